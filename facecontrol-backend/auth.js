@@ -0,0 +1,120 @@
+/**
+ * Pairing & Origin Checks
+ * The control socket can move and click the user's real mouse, so only a
+ * panel that knows the pairing token (and loads from an allowed origin)
+ * may use it.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const TOKEN_FILE = path.join(__dirname, '.pairing-token');
+
+// No 0/O, 1/I/L - the token is read off a console and typed in by hand
+const TOKEN_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const TOKEN_LENGTH = 8;
+
+// Add-on dev server, Adobe Express and published add-on hosts
+const DEFAULT_ALLOWED_ORIGINS = [
+    'https://localhost:5241',
+    'https://new.express.adobe.com',
+    'https://express.adobe.com',
+    'https://*.wxp.adobe-addons.com'
+];
+
+function generateToken() {
+    const bytes = crypto.randomBytes(TOKEN_LENGTH);
+    let token = '';
+    for (let i = 0; i < TOKEN_LENGTH; i++) {
+        token += TOKEN_ALPHABET[bytes[i] % TOKEN_ALPHABET.length];
+    }
+    // XXXX-XXXX is easier to read aloud
+    return `${token.slice(0, 4)}-${token.slice(4)}`;
+}
+
+/**
+ * Load the stored pairing token, generating (and storing) one if needed
+ * @param {object} [options]
+ * @param {string} [options.token] - Fixed token (e.g. from PAIRING_TOKEN), not stored
+ * @param {boolean} [options.reset] - Ignore the stored token and make a new one
+ * @returns {{token: string, source: 'env'|'file'|'generated'}}
+ */
+function loadPairingToken(options = {}) {
+    if (options.token) return { token: options.token, source: 'env' };
+
+    if (!options.reset) {
+        try {
+            const stored = fs.readFileSync(TOKEN_FILE, 'utf8').trim();
+            if (stored) return { token: stored, source: 'file' };
+        } catch (error) {
+            // No stored token yet
+        }
+    }
+
+    const token = generateToken();
+    try {
+        fs.writeFileSync(TOKEN_FILE, token + '\n', { mode: 0o600 });
+    } catch (error) {
+        console.warn('⚠️ Could not store pairing token:', error.message);
+    }
+    return { token, source: 'generated' };
+}
+
+// Case, spaces and dashes don't matter when typing the token
+function normalizeToken(token) {
+    return String(token || '').toUpperCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Constant-time token comparison
+ */
+function tokensMatch(expected, received) {
+    const a = Buffer.from(normalizeToken(expected));
+    const b = Buffer.from(normalizeToken(received));
+    return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * @param {string|string[]} [value] - Origins (array or comma-separated); "*." wildcards allowed in the host
+ */
+function parseAllowedOrigins(value) {
+    const origins = (Array.isArray(value) ? value : String(value || '').split(','))
+        .map(origin => origin.trim())
+        .filter(Boolean);
+    return origins.length > 0 ? origins : DEFAULT_ALLOWED_ORIGINS.slice();
+}
+
+/**
+ * Check a request Origin against the allowlist.
+ * Requests without an Origin (curl, native tools) are not from a web page and pass;
+ * they still need the pairing token.
+ */
+function isOriginAllowed(origin, allowedOrigins) {
+    if (!origin) return true;
+
+    return allowedOrigins.some(pattern => {
+        if (pattern === origin) return true;
+        const wildcard = /^(https?:\/\/)\*\.(.+)$/.exec(pattern);
+        if (!wildcard) return false;
+        return origin.startsWith(wildcard[1]) && origin.endsWith('.' + wildcard[2]);
+    });
+}
+
+/**
+ * Read a token from "Authorization: Bearer <token>" or the X-Pairing-Token header
+ */
+function getRequestToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7);
+    return req.headers['x-pairing-token'] || '';
+}
+
+module.exports = {
+    TOKEN_FILE,
+    loadPairingToken,
+    tokensMatch,
+    parseAllowedOrigins,
+    isOriginAllowed,
+    getRequestToken
+};
@@ -0,0 +1,162 @@
+/**
+ * Encoding Benchmark - JSON vs binary pointer frames
+ * Starts a backend with the virtual driver, streams cursor moves at the
+ * panel's rate over each encoding and reports backend CPU and ping latency:
+ *
+ *   node bench-encoding.js [--rate 125] [--seconds 10] [--port 3099]
+ *
+ * Backend CPU comes from /api/health (process.cpu), latency from ping/pong
+ * round trips measured while the moves stream.
+ */
+
+const path = require('path');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+const { PROTOCOL_VERSION, BINARY, encodeBinary } = require('../src/protocol');
+
+function readFlag(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] !== undefined ? Number(process.argv[index + 1]) : fallback;
+}
+
+const RATE = readFlag('rate', 125);
+const SECONDS = readFlag('seconds', 10);
+const PORT = readFlag('port', 3099);
+const TOKEN = 'BENCH-0000';
+const PING_INTERVAL = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function startBackend() {
+    const backend = spawn(process.execPath, [path.join(__dirname, 'server.js'), '--port', String(PORT), '--driver', 'virtual'], {
+        env: { ...process.env, PAIRING_TOKEN: TOKEN, TLS_ENABLED: '0' },
+        stdio: 'ignore'
+    });
+    backend.on('exit', (code) => {
+        if (code) console.error(`❌ Backend exited (${code})`);
+    });
+    return backend;
+}
+
+async function health() {
+    const res = await fetch(`http://localhost:${PORT}/api/health`, { headers: { Authorization: `Bearer ${TOKEN}` } });
+    return res.json();
+}
+
+async function waitForBackend() {
+    for (let i = 0; i < 50; i++) {
+        try {
+            return await health();
+        } catch (error) {
+            await sleep(200);
+        }
+    }
+    throw new Error('Backend did not start');
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return NaN;
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+function connect(encoding) {
+    return new Promise((resolve, reject) => {
+        const ws = new WebSocket(`ws://localhost:${PORT}`);
+        ws.on('error', reject);
+        ws.on('open', () => {
+            const auth = { action: 'auth', token: TOKEN, version: PROTOCOL_VERSION };
+            if (encoding === 'binary') auth.encodings = [BINARY.ENCODING];
+            ws.send(JSON.stringify(auth));
+        });
+        ws.once('message', (data) => {
+            const msg = JSON.parse(data);
+            if (msg.type !== 'auth_ok') return reject(new Error(msg.message));
+            if (encoding === 'binary' && !(msg.encodings || []).includes(BINARY.ENCODING)) {
+                return reject(new Error('Backend declined binary frames'));
+            }
+            resolve(ws);
+        });
+    });
+}
+
+async function run(encoding, seconds = SECONDS) {
+    const ws = await connect(encoding);
+    const rtts = [];
+    ws.on('message', (data) => {
+        const msg = JSON.parse(data);
+        if (msg.type === 'pong') rtts.push(performance.now() - msg.t);
+    });
+
+    const before = await health();
+    const clientCpuBefore = process.cpuUsage();
+    const started = performance.now();
+    const total = Math.round(RATE * seconds);
+    let lastPing = 0;
+
+    // Same path the panel's head tracking traces: a slow circle
+    for (let i = 0; i < total; i++) {
+        const angle = i / RATE;
+        const msg = { action: 'moveTo', x: Math.round(960 + 400 * Math.cos(angle)), y: Math.round(540 + 300 * Math.sin(angle)) };
+        ws.send(encoding === 'binary' ? encodeBinary(msg) : JSON.stringify(msg));
+
+        const now = performance.now();
+        if (now - lastPing >= PING_INTERVAL) {
+            lastPing = now;
+            ws.send(JSON.stringify({ action: 'ping', t: now }));
+        }
+
+        // Keep the send schedule on time rather than drifting
+        const due = started + ((i + 1) * 1000) / RATE;
+        await sleep(Math.max(0, due - performance.now()));
+    }
+
+    await sleep(300); // Last pongs
+    const elapsed = (performance.now() - started) / 1000;
+    const clientCpu = process.cpuUsage(clientCpuBefore);
+    const after = await health();
+    ws.close();
+
+    const backendMicros = (after.process.cpu.user + after.process.cpu.system) - (before.process.cpu.user + before.process.cpu.system);
+    const sorted = rtts.slice().sort((a, b) => a - b);
+    return {
+        encoding,
+        moves: total,
+        backendCpu: backendMicros / 10000 / elapsed,
+        backendMicrosPerMove: backendMicros / total,
+        clientCpu: (clientCpu.user + clientCpu.system) / 10000 / elapsed,
+        p50: percentile(sorted, 0.5),
+        p95: percentile(sorted, 0.95)
+    };
+}
+
+async function main() {
+    console.log(`⏱️  ${RATE} moves/s for ${SECONDS}s per encoding (backend on port ${PORT})\n`);
+    const backend = startBackend();
+
+    try {
+        await waitForBackend();
+        // Warm up the JIT so the first encoding isn't penalised
+        await run('json', 2).catch(() => null);
+
+        const results = [];
+        for (const encoding of ['json', 'binary']) {
+            results.push(await run(encoding));
+        }
+
+        console.log('encoding  moves  backend CPU  µs/move  client CPU  ping p50  ping p95');
+        for (const r of results) {
+            console.log(
+                `${r.encoding.padEnd(8)}  ${String(r.moves).padStart(5)}  ${r.backendCpu.toFixed(2).padStart(10)}%  ` +
+                `${r.backendMicrosPerMove.toFixed(1).padStart(7)}  ${r.clientCpu.toFixed(2).padStart(9)}%  ` +
+                `${r.p50.toFixed(2).padStart(6)}ms  ${r.p95.toFixed(2).padStart(6)}ms`
+            );
+        }
+    } finally {
+        backend.kill();
+    }
+}
+
+main().catch((error) => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+});
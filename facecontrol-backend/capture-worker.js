@@ -0,0 +1,105 @@
+/**
+ * Capture Worker
+ * Runs inside the capture service's thread pool (see capture.js).
+ * Grabs the screen through its own copy of the input driver when it can,
+ * converts BGRA -> RGBA, crops, downscales and encodes to JPEG.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { Jimp } = require('jimp');
+const { loadDriver } = require('./drivers');
+
+// Native capture only works here if the driver loads in a worker thread
+// (robotjs may not be context-aware); otherwise the main thread captures
+let driver = null;
+try {
+    const loaded = loadDriver(workerData.driver, { screen: workerData.screen });
+    if (!loaded.fallbackReason) driver = loaded.driver;
+} catch (error) {
+    driver = null;
+}
+
+/**
+ * Driver capture (BGRA, rows may be padded) -> Jimp image (RGBA)
+ */
+function fromBGRA(capture) {
+    const { width, height } = capture;
+    const data = capture.image;
+    const rowBytes = capture.byteWidth || width * 4;
+    const rgbaBuffer = Buffer.alloc(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+        let src = y * rowBytes;
+        let dst = y * width * 4;
+        for (let x = 0; x < width; x++, src += 4, dst += 4) {
+            rgbaBuffer[dst] = data[src + 2];     // R
+            rgbaBuffer[dst + 1] = data[src + 1]; // G
+            rgbaBuffer[dst + 2] = data[src];     // B
+            rgbaBuffer[dst + 3] = 255;           // A
+        }
+    }
+
+    return new Jimp({ width, height, data: rgbaBuffer });
+}
+
+/**
+ * Crop, fit into maxSize, flatten onto a background and encode as JPEG
+ */
+async function finish(image, options) {
+    const { crop, maxSize, quality = 70, background } = options;
+
+    if (crop) {
+        const x = Math.max(0, Math.round(crop.x));
+        const y = Math.max(0, Math.round(crop.y));
+        const w = Math.min(image.bitmap.width - x, Math.round(crop.width));
+        const h = Math.min(image.bitmap.height - y, Math.round(crop.height));
+        if (w > 0 && h > 0) image.crop({ x, y, w, h });
+    }
+
+    if (maxSize && (image.bitmap.width > maxSize || image.bitmap.height > maxSize)) {
+        image.scaleToFit({ w: maxSize, h: maxSize });
+    }
+
+    // JPEG has no alpha - transparent areas would turn black
+    if (background !== undefined) {
+        const backdrop = new Jimp({ width: image.bitmap.width, height: image.bitmap.height, color: background });
+        image = backdrop.composite(image, 0, 0);
+    }
+
+    const buffer = await image.getBuffer('image/jpeg', { quality });
+    return {
+        base64: buffer.toString('base64'),
+        width: image.bitmap.width,
+        height: image.bitmap.height
+    };
+}
+
+async function runTask(task) {
+    switch (task.type) {
+        case 'capture': {
+            // Screen area to grab; the crop option is already applied by capturing just that area
+            const { region, options } = task;
+            const capture = task.capture || driver.captureScreen(region.x, region.y, region.width, region.height);
+            return finish(fromBGRA(capture), { ...options, crop: null });
+        }
+
+        case 'encode': {
+            const image = await Jimp.read(Buffer.from(task.image, 'base64'));
+            return finish(image, task.options);
+        }
+
+        default:
+            throw new Error(`Unknown capture task: ${task.type}`);
+    }
+}
+
+parentPort.on('message', async (task) => {
+    try {
+        const result = await runTask(task);
+        parentPort.postMessage({ id: task.id, result });
+    } catch (error) {
+        parentPort.postMessage({ id: task.id, error: error.message });
+    }
+});
+
+parentPort.postMessage({ ready: true, canCapture: Boolean(driver) });
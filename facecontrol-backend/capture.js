@@ -0,0 +1,189 @@
+/**
+ * Capture Service
+ * Screen capture and image encoding for the AI features, run in a pool of
+ * worker threads (capture-worker.js) so a 4K screenshot never stalls the
+ * cursor batching loop on the main event loop.
+ *
+ * If the input driver can't be loaded inside a worker, the main thread
+ * grabs the pixels (one fast native call) and the pool does the rest.
+ */
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const WORKER_FILE = path.join(__dirname, 'capture-worker.js');
+const TASK_TIMEOUT = 30000;
+// A worker that dies before it is ready is restarted after a growing delay
+// (ms, doubling); after this many in a row the pool gives up
+const RESPAWN_DELAY = 500;
+const RESPAWN_MAX_DELAY = 10000;
+const MAX_START_FAILURES = 5;
+
+/**
+ * @param {object} options
+ * @param {object} options.driver - Active input driver (main-thread capture fallback, screen size)
+ * @param {number} [options.size] - Worker count (default: cores - 1, between 1 and 2)
+ * @param {string|URL} [options.workerFile] - Worker script (tests)
+ * @param {number} [options.respawnDelay] - First restart delay after a failed start (tests)
+ */
+function createCaptureService({ driver, size, workerFile = WORKER_FILE, respawnDelay = RESPAWN_DELAY }) {
+    const poolSize = size || Math.max(1, Math.min(2, os.cpus().length - 1));
+    const workers = [];
+    const queue = [];
+    let nextTaskId = 1;
+    let closed = false;
+    // Workers in a row that died before they were ready; set to the reason once the pool gives up
+    let startFailures = 0;
+    let failed = null;
+
+    function spawn() {
+        const worker = new Worker(workerFile, {
+            workerData: { driver: driver.name, screen: driver.getScreenSize() }
+        });
+        const slot = { worker, ready: false, canCapture: false, task: null };
+
+        worker.on('message', (message) => {
+            if (message.ready) {
+                slot.ready = true;
+                startFailures = 0;
+                slot.canCapture = message.canCapture;
+                drain();
+                return;
+            }
+
+            const task = slot.task;
+            if (!task || task.id !== message.id) return;
+            clearTimeout(task.timer);
+            slot.task = null;
+
+            if (message.error) task.reject(new Error(message.error));
+            else task.resolve(message.result);
+            drain();
+        });
+
+        worker.on('error', (error) => {
+            console.error('[Capture Worker Error]', error.message);
+        });
+
+        // A crashed worker fails its task and is replaced. One that never got ready
+        // (e.g. a broken Jimp install) would crash again: back off, then give up
+        worker.on('exit', (code) => {
+            const index = workers.indexOf(slot);
+            if (index !== -1) workers.splice(index, 1);
+            if (slot.task) {
+                clearTimeout(slot.task.timer);
+                slot.task.reject(new Error(`Capture worker exited (${code})`));
+            }
+            if (closed || failed) return;
+
+            if (slot.ready) {
+                workers.push(spawn());
+                drain();
+                return;
+            }
+            startFailures++;
+            if (startFailures >= MAX_START_FAILURES) {
+                // Carry on with the workers still running, if any
+                if (workers.length === 0) giveUp(`Capture workers failed to start ${startFailures} times (exit code ${code})`);
+                return;
+            }
+            const delay = Math.min(RESPAWN_MAX_DELAY, respawnDelay * Math.pow(2, startFailures - 1));
+            const timer = setTimeout(() => {
+                if (!closed && !failed) workers.push(spawn());
+            }, delay);
+            timer.unref();
+        });
+
+        // Never keep the process alive just for the pool
+        worker.unref();
+        return slot;
+    }
+
+    // No more restarts: what is waiting, and everything after, fails straight away
+    function giveUp(reason) {
+        failed = reason;
+        console.error(`❌ ${reason} - AI screen features are unavailable until the backend restarts`);
+        for (const task of queue.splice(0)) task.reject(new Error(reason));
+    }
+
+    function dispatch(slot, task) {
+        slot.task = task;
+        let message = task.message;
+
+        // Worker can't capture - grab the pixels here, convert/encode there
+        if (message.type === 'capture' && !slot.canCapture) {
+            const { region } = message;
+            try {
+                message = { ...message, capture: driver.captureScreen(region.x, region.y, region.width, region.height) };
+            } catch (error) {
+                slot.task = null;
+                task.reject(error);
+                return;
+            }
+        }
+
+        task.timer = setTimeout(() => {
+            console.warn('⚠️ Capture task timed out, restarting worker');
+            slot.worker.terminate();
+        }, TASK_TIMEOUT);
+
+        slot.worker.postMessage({ id: task.id, ...message });
+    }
+
+    function drain() {
+        while (queue.length > 0) {
+            const slot = workers.find(w => w.ready && !w.task);
+            if (!slot) return;
+            dispatch(slot, queue.shift());
+        }
+    }
+
+    function run(message) {
+        if (closed) return Promise.reject(new Error('Capture service closed'));
+        if (failed) return Promise.reject(new Error(failed));
+        return new Promise((resolve, reject) => {
+            queue.push({ id: nextTaskId++, message, resolve, reject, timer: null });
+            drain();
+        });
+    }
+
+    for (let i = 0; i < poolSize; i++) workers.push(spawn());
+
+    return {
+        /**
+         * Capture (part of) the screen as JPEG
+         * @param {object} [options]
+         * @param {{x: number, y: number, width: number, height: number}} [options.crop] - Screen area (default: whole screen)
+         * @param {number} [options.maxSize] - Scale to fit a maxSize x maxSize box
+         * @param {number} [options.quality] - JPEG quality 1-100 (default 70)
+         * @returns {Promise<{base64: string, width: number, height: number}>}
+         */
+        captureScreen(options = {}) {
+            const screen = driver.getScreenSize();
+            const region = options.crop || { x: 0, y: 0, width: screen.width, height: screen.height };
+            return run({ type: 'capture', region, options });
+        },
+
+        /**
+         * Decode a PNG/JPEG and re-encode it as JPEG
+         * @param {string} image - Base64 image data
+         * @param {object} [options] - crop (image area), maxSize, quality, background (RGBA int for transparency)
+         * @returns {Promise<{base64: string, width: number, height: number}>}
+         */
+        encodeImage(image, options = {}) {
+            return run({ type: 'encode', image, options });
+        },
+
+        stats() {
+            return { workers: workers.length, busy: workers.filter(w => w.task).length, queued: queue.length, failed };
+        },
+
+        close() {
+            closed = true;
+            for (const { worker } of workers) worker.terminate();
+        }
+    };
+}
+
+module.exports = { createCaptureService };
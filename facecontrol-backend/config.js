@@ -0,0 +1,270 @@
+/**
+ * Backend Configuration
+ * Every tunable setting in one place, resolved in layers (later wins):
+ *
+ *   1. defaults below
+ *   2. config file - facecontrol.config.json / .yaml / .yml next to server.js,
+ *      or the file named by --config / FACECONTROL_CONFIG
+ *   3. environment variables (and .env)
+ *   4. CLI flags: --port 3003, --vision.model=... (any setting by its dotted name)
+ *
+ * Values are validated after merging; secrets are redacted by publicConfig()
+ * so the result can be shown in /api/health.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { availableDrivers } = require('./drivers');
+const { VISION_DEFAULTS } = require('./vision');
+const { EASINGS } = require('./motion');
+
+const CONFIG_FILES = ['facecontrol.config.json', 'facecontrol.config.yaml', 'facecontrol.config.yml'];
+
+// Short CLI flags for the settings changed most often
+const FLAG_ALIASES = {
+    port: 'server.port',
+    'tls-port': 'tls.port',
+    driver: 'input.driver'
+};
+
+/**
+ * Setting specs: type (integer | number | string | boolean | list), default,
+ * env (variable names, first set wins), min/max/values, secret (never exposed)
+ */
+const SETTINGS = {
+    'server.port': { type: 'integer', default: 3002, min: 1, max: 65535, env: ['PORT'] },
+    'server.batchInterval': { type: 'integer', default: 8, min: 1, max: 100, env: ['BATCH_INTERVAL_MS'] },
+
+    // Server-side interpolation between cursor targets (see motion.js)
+    'motion.easing': { type: 'string', default: 'exponential', values: EASINGS, env: ['MOTION_EASING'] },
+    'motion.maxSpeed': { type: 'number', default: 8000, min: 100, max: 100000, env: ['MOTION_MAX_SPEED'] },
+    'motion.acceleration': { type: 'number', default: 80000, min: 1000, max: 1000000, env: ['MOTION_ACCELERATION'] },
+    'motion.followTime': { type: 'number', default: 25, min: 1, max: 500, env: ['MOTION_FOLLOW_TIME_MS'] },
+
+    'tls.enabled': { type: 'boolean', default: true, env: ['TLS_ENABLED'] },
+    'tls.port': { type: 'integer', default: 3443, min: 1, max: 65535, env: ['TLS_PORT'] },
+    // Both empty = self-signed certificate generated into .tls/
+    'tls.cert': { type: 'string', default: '', env: ['TLS_CERT_FILE'] },
+    'tls.key': { type: 'string', default: '', env: ['TLS_KEY_FILE'] },
+
+    // Recorded macros, one JSON file each (empty = macros/ next to server.js)
+    'macros.dir': { type: 'string', default: '', env: ['MACROS_DIR'] },
+
+    'input.driver': { type: 'string', default: 'robotjs', values: availableDrivers, env: ['INPUT_DRIVER'] },
+    'input.virtualLog': { type: 'string', default: '', env: ['VIRTUAL_DRIVER_LOG'] },
+
+    'security.pairingToken': { type: 'string', default: '', secret: true, env: ['PAIRING_TOKEN'] },
+    'security.resetPairingToken': { type: 'boolean', default: false, env: ['RESET_PAIRING_TOKEN'] },
+    // Empty = the add-on dev server and Adobe Express hosts (see auth.js)
+    'security.allowedOrigins': { type: 'list', default: [], env: ['ALLOWED_ORIGINS'] },
+
+    'capture.workers': { type: 'integer', default: 0, min: 0, max: 16, env: ['CAPTURE_WORKERS'] },
+    'capture.aiImageMaxSize': { type: 'integer', default: 1024, min: 256, max: 4096, env: ['AI_IMAGE_MAX_SIZE'] },
+    'capture.jpegQuality': { type: 'integer', default: 70, min: 1, max: 100, env: ['AI_JPEG_QUALITY'] },
+    'capture.inspectorSize': { type: 'integer', default: 600, min: 100, max: 2000 },
+    'capture.inspectorQuality': { type: 'integer', default: 80, min: 1, max: 100 },
+
+    'vision.baseUrl': { type: 'string', default: VISION_DEFAULTS.baseUrl, env: ['VISION_BASE_URL'] },
+    'vision.model': { type: 'string', default: VISION_DEFAULTS.model, env: ['VISION_MODEL'] },
+    // HF_API_KEY still works so existing .env files keep working
+    'vision.apiKey': { type: 'string', default: '', secret: true, env: ['VISION_API_KEY', 'HF_API_KEY'] },
+    'vision.timeout': { type: 'integer', default: VISION_DEFAULTS.timeout, min: 1000, env: ['VISION_TIMEOUT_MS'] },
+    'vision.retries': { type: 'integer', default: VISION_DEFAULTS.retries, min: 0, max: 10, env: ['VISION_RETRIES'] },
+    'vision.retryDelay': { type: 'integer', default: VISION_DEFAULTS.retryDelay, min: 0, env: ['VISION_RETRY_DELAY_MS'] },
+
+    // Per-feature model parameters
+    'vision.inspector.maxTokens': { type: 'integer', default: 300, min: 1 },
+    'vision.inspector.temperature': { type: 'number', default: 0.1, min: 0, max: 2 },
+    'vision.advisor.maxTokens': { type: 'integer', default: 500, min: 1 },
+    'vision.advisor.temperature': { type: 'number', default: 0.2, min: 0, max: 2 },
+    'vision.improve.maxTokens': { type: 'integer', default: 800, min: 1 },
+    'vision.improve.temperature': { type: 'number', default: 0.3, min: 0, max: 2 },
+    'vision.suggest.maxTokens': { type: 'integer', default: 50, min: 1 },
+    'vision.suggest.temperature': { type: 'number', default: 0.3, min: 0, max: 2 },
+
+    'unsplash.baseUrl': { type: 'string', default: 'https://api.unsplash.com', env: ['UNSPLASH_BASE_URL'] },
+    'unsplash.accessKey': { type: 'string', default: '', secret: true, env: ['UNSPLASH_ACCESS_KEY'] },
+    'unsplash.maxPerPage': { type: 'integer', default: 30, min: 1, max: 30 },
+    'unsplash.suggestionCount': { type: 'integer', default: 9, min: 1, max: 30 }
+};
+
+function getPath(object, key) {
+    return key.split('.').reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), object);
+}
+
+function setPath(object, key, value) {
+    const parts = key.split('.');
+    const last = parts.pop();
+    let node = object;
+    for (const part of parts) {
+        if (!node[part] || typeof node[part] !== 'object') node[part] = {};
+        node = node[part];
+    }
+    node[last] = value;
+}
+
+// Dotted names of every leaf in a (file) object, to catch typos
+function leafKeys(object, prefix = '') {
+    return Object.entries(object).flatMap(([key, value]) => {
+        const name = prefix ? `${prefix}.${key}` : key;
+        return value && typeof value === 'object' && !Array.isArray(value) ? leafKeys(value, name) : [name];
+    });
+}
+
+/**
+ * Coerce a raw value (strings from env/CLI, anything from a file) to the spec type.
+ * @returns {{value?: *, error?: string}}
+ */
+function coerce(spec, raw) {
+    switch (spec.type) {
+        case 'integer':
+        case 'number': {
+            const number = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+            if (typeof number !== 'number' || !Number.isFinite(number)) return { error: 'must be a number' };
+            if (spec.type === 'integer' && !Number.isInteger(number)) return { error: 'must be a whole number' };
+            if (spec.min !== undefined && number < spec.min) return { error: `must be at least ${spec.min}` };
+            if (spec.max !== undefined && number > spec.max) return { error: `must be at most ${spec.max}` };
+            return { value: number };
+        }
+        case 'boolean': {
+            if (typeof raw === 'boolean') return { value: raw };
+            const text = String(raw).trim().toLowerCase();
+            if (['1', 'true', 'yes', 'on'].includes(text)) return { value: true };
+            if (['0', 'false', 'no', 'off', ''].includes(text)) return { value: false };
+            return { error: 'must be true or false' };
+        }
+        case 'list': {
+            const items = Array.isArray(raw) ? raw : String(raw).split(',');
+            return { value: items.map(item => String(item).trim()).filter(Boolean) };
+        }
+        default: {
+            if (typeof raw !== 'string' && typeof raw !== 'number') return { error: 'must be a string' };
+            const text = String(raw).trim();
+            if (spec.values && !spec.values.includes(text)) return { error: `must be one of ${spec.values.join(', ')}` };
+            return { value: text };
+        }
+    }
+}
+
+/**
+ * --name value / --name=value pairs; a flag without a value means "true"
+ */
+function parseFlags(argv) {
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+
+        const body = arg.slice(2);
+        const equals = body.indexOf('=');
+        if (equals !== -1) {
+            flags[body.slice(0, equals)] = body.slice(equals + 1);
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            flags[body] = argv[++i];
+        } else {
+            flags[body] = 'true';
+        }
+    }
+    return flags;
+}
+
+function findConfigFile(explicit, dir) {
+    if (explicit) {
+        const file = path.resolve(explicit);
+        if (!fs.existsSync(file)) throw new Error(`Config file not found: ${file}`);
+        return file;
+    }
+    return CONFIG_FILES.map(name => path.join(dir, name)).find(file => fs.existsSync(file)) || null;
+}
+
+function readConfigFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    try {
+        const data = /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+        if (data === null || data === undefined) return {};
+        if (typeof data !== 'object' || Array.isArray(data)) throw new Error('top level must be an object');
+        return data;
+    } catch (error) {
+        throw new Error(`Could not parse ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Resolve the config from all layers.
+ * Throws one Error listing every invalid setting.
+ * @param {object} [options]
+ * @param {string[]} [options.argv] - CLI arguments (default: process.argv.slice(2))
+ * @param {object} [options.env] - Environment (default: process.env)
+ * @param {string} [options.dir] - Where to look for a config file (default: this directory)
+ * @returns {{config: object, sources: object, file: string|null}}
+ */
+function loadConfig({ argv = process.argv.slice(2), env = process.env, dir = __dirname } = {}) {
+    const flags = parseFlags(argv);
+    const file = findConfigFile(flags.config || env.FACECONTROL_CONFIG, dir);
+    const fileData = file ? readConfigFile(file) : {};
+    delete flags.config;
+
+    const errors = [];
+    for (const key of leafKeys(fileData)) {
+        if (!SETTINGS[key]) errors.push(`${key}: unknown setting (in ${path.basename(file)})`);
+    }
+    for (const name of Object.keys(flags)) {
+        if (!SETTINGS[FLAG_ALIASES[name] || name]) errors.push(`--${name}: unknown flag`);
+    }
+
+    const config = {};
+    // Where each value came from: default | file | env:NAME | flag
+    const sources = {};
+
+    for (const [key, spec] of Object.entries(SETTINGS)) {
+        let raw = spec.default;
+        let source = 'default';
+
+        const fromFile = getPath(fileData, key);
+        if (fromFile !== undefined) {
+            raw = fromFile;
+            source = 'file';
+        }
+
+        const envName = (spec.env || []).find(name => env[name] !== undefined && env[name] !== '');
+        if (envName) {
+            raw = env[envName];
+            source = `env:${envName}`;
+        }
+
+        const flagName = Object.keys(flags).find(name => (FLAG_ALIASES[name] || name) === key);
+        if (flagName) {
+            raw = flags[flagName];
+            source = 'flag';
+        }
+
+        const { value, error } = source === 'default' ? { value: raw } : coerce(spec, raw);
+        if (error) {
+            errors.push(`${key} ${error} (got ${JSON.stringify(raw)} from ${source})`);
+            continue;
+        }
+        setPath(config, key, value);
+        sources[key] = source;
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    return { config, sources, file };
+}
+
+/**
+ * Config safe to show to clients: secrets become a "set" flag
+ */
+function publicConfig(config) {
+    const result = {};
+    for (const [key, spec] of Object.entries(SETTINGS)) {
+        const value = getPath(config, key);
+        setPath(result, key, spec.secret ? Boolean(value) : value);
+    }
+    return result;
+}
+
+module.exports = { SETTINGS, loadConfig, publicConfig };
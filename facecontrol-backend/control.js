@@ -0,0 +1,94 @@
+/**
+ * Control Ownership
+ * Every paired panel (e.g. two open Express tabs) is a session, but only
+ * one of them drives the mouse and keyboard at a time. The others observe
+ * and wait in line: when the controller leaves or releases control, the
+ * longest-waiting session takes over. takeControl skips the line.
+ */
+
+/**
+ * @param {object} options
+ * @param {function({previous: object|null, current: object|null}): void} options.onChange -
+ *   Called after every change of controller or line (broadcast it from there)
+ */
+function createControlArbiter({ onChange }) {
+    let controller = null;
+    // Waiting sessions, longest-waiting first
+    const waiting = [];
+
+    function setController(next) {
+        const previous = controller;
+        controller = next;
+        onChange({ previous, current: controller });
+    }
+
+    function removeWaiting(session) {
+        const index = waiting.indexOf(session);
+        if (index !== -1) waiting.splice(index, 1);
+    }
+
+    return {
+        // A newly paired session gets control if nobody has it, else waits
+        join(session) {
+            if (!controller) {
+                setController(session);
+            } else {
+                waiting.push(session);
+                onChange({ previous: controller, current: controller });
+            }
+        },
+
+        leave(session) {
+            removeWaiting(session);
+            if (controller === session) {
+                setController(waiting.shift() || null);
+            } else {
+                onChange({ previous: controller, current: controller });
+            }
+        },
+
+        // The previous controller goes to the front of the line - it was active most recently
+        take(session) {
+            if (controller === session) return;
+            removeWaiting(session);
+            if (controller) waiting.unshift(controller);
+            setController(session);
+        },
+
+        release(session) {
+            if (controller !== session) return;
+            waiting.push(session);
+            setController(waiting.length > 1 ? waiting.shift() : null);
+        },
+
+        /**
+         * May this session move the mouse now?
+         * With nobody in control (everyone released), the first session to act claims it.
+         */
+        claim(session) {
+            if (controller === session) return true;
+            if (controller) return false;
+            removeWaiting(session);
+            setController(session);
+            return true;
+        },
+
+        isController(session) {
+            return controller === session;
+        },
+
+        // What one session is told about the arbitration
+        describe(session) {
+            return {
+                inControl: controller === session,
+                sessionId: session.sessionId,
+                controllerId: controller ? controller.sessionId : null,
+                // 1 = next in line, 0 = not waiting
+                queuePosition: waiting.indexOf(session) + 1,
+                sessions: waiting.length + (controller ? 1 : 0)
+            };
+        }
+    };
+}
+
+module.exports = { createControlArbiter };
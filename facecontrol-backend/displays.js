@@ -0,0 +1,189 @@
+/**
+ * Display Enumeration
+ * Lists every connected display with its offset in the virtual desktop and
+ * its DPI scale, so the panel can map the head onto any monitor.
+ *
+ * Each display: { id, name, x, y, width, height, scale, primary }
+ * Coordinates are in the same space the input driver moves the cursor in.
+ * scale is null where it can't be told.
+ */
+
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+const PROBE_TIMEOUT = 3000;
+
+// ---- Linux (X11): xrandr ----
+
+// Physical sizes outside this DPI range are placeholders (0mm, a projector's aspect ratio x 100)
+const PLAUSIBLE_DPI = { min: 50, max: 500 };
+
+/**
+ * Displays from `xrandr --query` output
+ * @param {string} output
+ * @param {number|null} [xftDpi] - The desktop's Xft.dpi setting: the scale every display is drawn at.
+ *   Without it the scale is estimated from each display's physical size, or null when that's unknown
+ */
+function parseXrandr(output, xftDpi = null) {
+    const displays = [];
+    const pattern = /^(\S+) connected (primary )?(\d+)x(\d+)\+(-?\d+)\+(-?\d+)(?:.*\s(\d+)mm x (\d+)mm)?/;
+
+    for (const line of output.split('\n')) {
+        const match = pattern.exec(line);
+        if (!match) continue;
+        const width = Number(match[3]);
+        const height = Number(match[4]);
+        let scale = null;
+        if (xftDpi) {
+            scale = xftDpi / 96;
+        } else if (match[7]) {
+            // Diagonals, so a rotated display (pixels swapped, millimetres not) comes out the same
+            const dpi = Math.hypot(width, height) / (Math.hypot(Number(match[7]), Number(match[8])) / 25.4);
+            if (dpi >= PLAUSIBLE_DPI.min && dpi <= PLAUSIBLE_DPI.max) scale = Math.round(dpi / 96 * 4) / 4;
+        }
+        displays.push({
+            name: match[1],
+            primary: Boolean(match[2]),
+            width,
+            height,
+            x: Number(match[5]),
+            y: Number(match[6]),
+            scale
+        });
+    }
+    return displays;
+}
+
+// Xft.dpi from the X resources, if the desktop sets it
+function readXftDpi() {
+    try {
+        const output = execFileSync('xrdb', ['-query'], { encoding: 'utf8', timeout: PROBE_TIMEOUT });
+        const match = /^Xft\.dpi:\s*(\d+(?:\.\d+)?)/m.exec(output);
+        return match ? Number(match[1]) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function probeXrandr() {
+    const output = execFileSync('xrandr', ['--query'], { encoding: 'utf8', timeout: PROBE_TIMEOUT });
+    return parseXrandr(output, readXftDpi());
+}
+
+// ---- macOS: NSScreen via JavaScript for Automation ----
+function probeMac() {
+    const script = `
+ObjC.import('AppKit');
+const screens = $.NSScreen.screens.js;
+JSON.stringify(screens.map((s, i) => ({
+    name: s.localizedName ? s.localizedName.js : 'Display ' + (i + 1),
+    x: s.frame.origin.x, y: s.frame.origin.y,
+    width: s.frame.size.width, height: s.frame.size.height,
+    scale: s.backingScaleFactor
+})));`;
+    const output = execFileSync('osascript', ['-l', 'JavaScript', '-e', script], {
+        encoding: 'utf8',
+        timeout: PROBE_TIMEOUT
+    });
+    const screens = JSON.parse(output);
+    if (screens.length === 0) return [];
+
+    // Cocoa origins are bottom-left of the primary screen; flip to top-left
+    const primaryHeight = screens[0].height;
+    return screens.map((s, i) => ({
+        name: s.name,
+        primary: i === 0,
+        x: s.x,
+        y: primaryHeight - (s.y + s.height),
+        width: s.width,
+        height: s.height,
+        scale: s.scale || 1
+    }));
+}
+
+// ---- Windows: System.Windows.Forms.Screen + per-monitor DPI ----
+function probeWindows() {
+    const script = `
+Add-Type -AssemblyName System.Windows.Forms
+Add-Type @'
+using System;
+using System.Runtime.InteropServices;
+public static class Dpi {
+    [DllImport("user32.dll")] public static extern IntPtr MonitorFromPoint(System.Drawing.Point pt, uint flags);
+    [DllImport("shcore.dll")] public static extern int GetDpiForMonitor(IntPtr hmon, int type, out uint dpiX, out uint dpiY);
+}
+'@ -ReferencedAssemblies System.Drawing
+[System.Windows.Forms.Screen]::AllScreens | ForEach-Object {
+    $b = $_.Bounds
+    $dpiX = 96; $dpiY = 96
+    $mon = [Dpi]::MonitorFromPoint((New-Object System.Drawing.Point ($b.X + 1), ($b.Y + 1)), 2)
+    [void][Dpi]::GetDpiForMonitor($mon, 0, [ref]$dpiX, [ref]$dpiY)
+    [PSCustomObject]@{ name = $_.DeviceName; primary = $_.Primary; x = $b.X; y = $b.Y; width = $b.Width; height = $b.Height; scale = $dpiX / 96 }
+} | ConvertTo-Json -Compress`;
+    const output = execFileSync('powershell', ['-NoProfile', '-Command', script], {
+        encoding: 'utf8',
+        timeout: PROBE_TIMEOUT * 2
+    });
+    const parsed = JSON.parse(output);
+    return Array.isArray(parsed) ? parsed : [parsed];
+}
+
+const PROBES = {
+    linux: probeXrandr,
+    darwin: probeMac,
+    win32: probeWindows
+};
+
+/**
+ * Detect displays, falling back to a single display of the driver's screen size
+ * @param {object} driver - Active input driver (for the fallback size)
+ * @returns {Array<{id: number, name: string, x: number, y: number, width: number, height: number, scale: number|null, primary: boolean}>}
+ */
+function listDisplays(driver) {
+    let displays = [];
+    const probe = PROBES[os.platform()];
+
+    // The virtual driver simulates one screen - don't report the host's monitors
+    if (probe && driver.name !== 'virtual') {
+        try {
+            displays = probe();
+        } catch (error) {
+            console.warn(`⚠️ Display detection failed (${os.platform()}):`, error.message);
+        }
+    }
+
+    if (displays.length === 0) {
+        const size = driver.getScreenSize();
+        displays = [{ name: 'Primary', primary: true, x: 0, y: 0, width: size.width, height: size.height, scale: 1 }];
+    }
+
+    // Primary first, then left-to-right, top-to-bottom
+    displays.sort((a, b) => (b.primary - a.primary) || (a.x - b.x) || (a.y - b.y));
+    if (!displays.some(d => d.primary)) displays[0].primary = true;
+
+    return displays.map((d, id) => ({ id, ...d }));
+}
+
+/**
+ * Bounding rectangle of all displays (the virtual desktop)
+ */
+function getDesktopBounds(displays) {
+    const left = Math.min(...displays.map(d => d.x));
+    const top = Math.min(...displays.map(d => d.y));
+    const right = Math.max(...displays.map(d => d.x + d.width));
+    const bottom = Math.max(...displays.map(d => d.y + d.height));
+    return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * The display a point is on, or the nearest one (a point in a gap between displays)
+ */
+function displayAt(displays, x, y) {
+    const distance = (d) => Math.hypot(
+        Math.max(d.x - x, 0, x - (d.x + d.width - 1)),
+        Math.max(d.y - y, 0, y - (d.y + d.height - 1))
+    );
+    return displays.reduce((best, d) => (distance(d) < distance(best) ? d : best));
+}
+
+module.exports = { listDisplays, getDesktopBounds, displayAt, parseXrandr };
@@ -0,0 +1,52 @@
+/**
+ * Input Driver Loader
+ * Picks the implementation behind the backend's mouse/keyboard functions.
+ *
+ * Every driver exposes the same interface:
+ *   name, moveMouse(x, y), mouseClick(button, double), mouseToggle(direction, button),
+ *   scrollMouse(x, y), typeString(text), keyTap(key, modifiers), keyToggle(key, direction, modifiers),
+ *   getMousePos(), getScreenSize(), captureScreen(x, y, w, h),
+ *   capabilities: { capture } - false when captureScreen only throws
+ *
+ * Key names are robotjs names ("z", "enter", "pageup") and modifiers are
+ * "command", "control", "alt" or "shift" - see keyboard.js for the allowlist.
+ * scrollMouse amounts are wheel steps: positive y scrolls up, positive x scrolls right.
+ */
+
+const { createRobotDriver } = require('./robotjs');
+const { createShellDriver } = require('./shell');
+const { createVirtualDriver } = require('./virtual');
+
+const DRIVERS = {
+    robotjs: () => createRobotDriver(),
+    xdotool: (options) => createShellDriver({ ...options, tool: 'xdotool' }),
+    ydotool: (options) => createShellDriver({ ...options, tool: 'ydotool' }),
+    virtual: (options) => createVirtualDriver(options)
+};
+
+/**
+ * Load the requested driver, falling back to the virtual driver if it can't start.
+ * @param {string} name - One of DRIVERS
+ * @param {object} [options] - Passed to the driver factory
+ * @returns {{driver: object, fallbackReason: string|null}}
+ */
+function loadDriver(name = 'robotjs', options = {}) {
+    const factory = DRIVERS[name];
+
+    if (!factory) {
+        const reason = `Unknown input driver "${name}" (available: ${Object.keys(DRIVERS).join(', ')})`;
+        return { driver: createVirtualDriver(options), fallbackReason: reason };
+    }
+
+    try {
+        return { driver: factory(options), fallbackReason: null };
+    } catch (error) {
+        if (name === 'virtual') throw error;
+        return { driver: createVirtualDriver(options), fallbackReason: error.message };
+    }
+}
+
+module.exports = {
+    loadDriver,
+    availableDrivers: Object.keys(DRIVERS)
+};
@@ -0,0 +1,61 @@
+/**
+ * RobotJS Input Driver
+ * Native mouse/keyboard control via @jitsi/robotjs (Windows, macOS, X11)
+ */
+
+function createRobotDriver() {
+    // Throws if the native module is missing - the driver loader handles fallback
+    const robot = require('@jitsi/robotjs');
+
+    // Configure robotjs for speed
+    robot.setMouseDelay(0);
+
+    return {
+        name: 'robotjs',
+        capabilities: { capture: true },
+
+        moveMouse(x, y) {
+            robot.moveMouse(x, y);
+        },
+
+        mouseClick(button = 'left', double = false) {
+            robot.mouseClick(button, double);
+        },
+
+        mouseToggle(direction = 'down', button = 'left') {
+            robot.mouseToggle(direction, button);
+        },
+
+        // Positive y scrolls up, positive x scrolls right
+        scrollMouse(x, y) {
+            robot.scrollMouse(x, y);
+        },
+
+        typeString(text) {
+            robot.typeString(text);
+        },
+
+        keyTap(key, modifiers = []) {
+            robot.keyTap(key, modifiers);
+        },
+
+        keyToggle(key, direction = 'down', modifiers = []) {
+            robot.keyToggle(key, direction, modifiers);
+        },
+
+        getMousePos() {
+            return robot.getMousePos();
+        },
+
+        getScreenSize() {
+            return robot.getScreenSize();
+        },
+
+        // Returns { width, height, image } with BGRA pixel data
+        captureScreen(x, y, width, height) {
+            return robot.screen.capture(x, y, width, height);
+        }
+    };
+}
+
+module.exports = { createRobotDriver };
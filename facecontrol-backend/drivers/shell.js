@@ -0,0 +1,212 @@
+/**
+ * Shell Input Driver (Linux)
+ * Drives the pointer through xdotool (X11) or ydotool (Wayland/uinput)
+ * for machines where robotjs can't be built or can't reach the display.
+ */
+
+const childProcess = require('child_process');
+
+const DEFAULT_SCREEN = { width: 1920, height: 1080 };
+
+// ydotool click codes: 0xC0 = down+up, 0x40 = down, 0x80 = up (OR'd with button id)
+const YDOTOOL_BUTTONS = { left: 0x00, right: 0x01, middle: 0x02 };
+const XDOTOOL_BUTTONS = { left: '1', middle: '2', right: '3' };
+
+// robotjs key name -> xdotool keysym
+const XDOTOOL_KEYS = {
+    enter: 'Return', escape: 'Escape', tab: 'Tab', backspace: 'BackSpace', delete: 'Delete',
+    space: 'space', up: 'Up', down: 'Down', left: 'Left', right: 'Right',
+    home: 'Home', end: 'End', pageup: 'Prior', pagedown: 'Next',
+    '-': 'minus', '=': 'equal', '[': 'bracketleft', ']': 'bracketright', ',': 'comma',
+    '.': 'period', '/': 'slash', ';': 'semicolon', '\'': 'apostrophe', '\\': 'backslash', '`': 'grave',
+    command: 'super', control: 'ctrl', alt: 'alt', shift: 'shift'
+};
+
+// robotjs key name -> Linux input event code (ydotool works with raw codes)
+const LINUX_KEYCODES = {
+    escape: 1, '-': 12, '=': 13, backspace: 14, tab: 15, '[': 26, ']': 27, enter: 28,
+    ';': 39, '\'': 40, '`': 41, '\\': 43, ',': 51, '.': 52, '/': 53, space: 57,
+    home: 102, up: 103, pageup: 104, left: 105, right: 106, end: 107, down: 108, pagedown: 109, delete: 111,
+    f11: 87, f12: 88,
+    control: 29, shift: 42, alt: 56, command: 125
+};
+'1234567890'.split('').forEach((digit, i) => { LINUX_KEYCODES[digit] = 2 + i; });
+['qwertyuiop', 'asdfghjkl', 'zxcvbnm'].forEach((row, r) => {
+    const start = [16, 30, 44][r];
+    row.split('').forEach((letter, i) => { LINUX_KEYCODES[letter] = start + i; });
+});
+for (let i = 1; i <= 10; i++) LINUX_KEYCODES['f' + i] = 58 + i;
+
+function xdotoolCombo(key, modifiers) {
+    return [...modifiers, key].map(name => XDOTOOL_KEYS[name] || name).join('+');
+}
+
+function ydotoolKeyEvents(key, modifiers, down, up) {
+    const codes = [...modifiers, key].map(name => {
+        const code = LINUX_KEYCODES[name];
+        if (code === undefined) throw new Error(`No keycode for "${name}"`);
+        return code;
+    });
+    const events = [];
+    if (down) codes.forEach(code => events.push(`${code}:1`));
+    if (up) codes.slice().reverse().forEach(code => events.push(`${code}:0`));
+    return events;
+}
+
+const TOOLS = {
+    xdotool: {
+        move: (x, y) => ['mousemove', String(x), String(y)],
+        click: (button, double) => ['click', ...(double ? ['--repeat', '2'] : []), XDOTOOL_BUTTONS[button] || '1'],
+        toggle: (direction, button) => [direction === 'up' ? 'mouseup' : 'mousedown', XDOTOOL_BUTTONS[button] || '1'],
+        // Wheel buttons: 4 = up, 5 = down, 6 = left, 7 = right
+        scroll: (x, y) => {
+            const args = [];
+            if (y) args.push('click', '--repeat', String(Math.abs(y)), y > 0 ? '4' : '5');
+            if (x) args.push('click', '--repeat', String(Math.abs(x)), x > 0 ? '7' : '6');
+            return args;
+        },
+        type: (text) => ['type', '--', text],
+        keyTap: (key, modifiers) => ['key', xdotoolCombo(key, modifiers)],
+        keyToggle: (key, direction, modifiers) => [direction === 'up' ? 'keyup' : 'keydown', xdotoolCombo(key, modifiers)]
+    },
+    ydotool: {
+        move: (x, y) => ['mousemove', '--absolute', '-x', String(x), '-y', String(y)],
+        click: (button, double) => {
+            const code = '0x' + (0xC0 | (YDOTOOL_BUTTONS[button] || 0)).toString(16).toUpperCase();
+            return double ? ['click', '--repeat', '2', code] : ['click', code];
+        },
+        toggle: (direction, button) => {
+            const flag = direction === 'up' ? 0x80 : 0x40;
+            return ['click', '0x' + (flag | (YDOTOOL_BUTTONS[button] || 0)).toString(16).toUpperCase()];
+        },
+        scroll: (x, y) => ['mousemove', '--wheel', '-x', String(x), '-y', String(y)],
+        type: (text) => ['type', '--', text],
+        keyTap: (key, modifiers) => ['key', ...ydotoolKeyEvents(key, modifiers, true, true)],
+        keyToggle: (key, direction, modifiers) => ['key', ...ydotoolKeyEvents(key, modifiers, direction !== 'up', direction === 'up')]
+    }
+};
+
+/**
+ * @param {object} [options]
+ * @param {'xdotool'|'ydotool'} [options.tool='xdotool']
+ * @param {{width: number, height: number}} [options.screen] - Used when the tool can't report it
+ * @param {object} [options.childProcess] - Stand-in for child_process (tests)
+ */
+function createShellDriver(options = {}) {
+    const tool = options.tool || 'xdotool';
+    const commands = TOOLS[tool];
+    if (!commands) throw new Error(`Unknown shell input tool: ${tool}`);
+    const { execFile, execFileSync } = options.childProcess || childProcess;
+
+    // Fail fast at startup if the binary isn't installed
+    try {
+        execFileSync(tool, ['--help'], { stdio: 'ignore', timeout: 2000 });
+    } catch (error) {
+        if (error.code === 'ENOENT') throw new Error(`${tool} not found in PATH`);
+    }
+
+    let position = { x: 0, y: 0 };
+
+    // One process at a time, in the order the commands came in: a click can't land before the
+    // move ahead of it, and a release can't overtake its press. Moves waiting back to back
+    // collapse into the latest target.
+    const queue = [];
+    let running = false;
+
+    function runNext() {
+        const command = queue.shift();
+        if (!command) {
+            running = false;
+            return;
+        }
+        running = true;
+        execFile(tool, command.args, { timeout: 2000 }, (error) => {
+            if (error) console.error(`[${tool} Error]`, error.message);
+            runNext();
+        });
+    }
+
+    function run(args, move = false) {
+        const last = queue[queue.length - 1];
+        if (move && last && last.move) {
+            last.args = args;
+        } else {
+            queue.push({ args, move });
+        }
+        if (!running) runNext();
+    }
+
+    function readScreenSize() {
+        if (tool === 'xdotool') {
+            try {
+                const output = execFileSync(tool, ['getdisplaygeometry'], { encoding: 'utf8', timeout: 2000 });
+                const [width, height] = output.trim().split(/\s+/).map(Number);
+                if (width && height) return { width, height };
+            } catch (error) {
+                console.error('[xdotool Error]', error.message);
+            }
+        }
+        return options.screen || DEFAULT_SCREEN;
+    }
+
+    const screen = readScreenSize();
+
+    return {
+        name: tool,
+        // Neither tool can read pixels back
+        capabilities: { capture: false },
+
+        moveMouse(x, y) {
+            position = { x, y };
+            run(commands.move(x, y), true);
+        },
+
+        mouseClick(button = 'left', double = false) {
+            run(commands.click(button, double));
+        },
+
+        mouseToggle(direction = 'down', button = 'left') {
+            run(commands.toggle(direction, button));
+        },
+
+        scrollMouse(x, y) {
+            if (x || y) run(commands.scroll(x, y));
+        },
+
+        typeString(text) {
+            run(commands.type(text));
+        },
+
+        keyTap(key, modifiers = []) {
+            run(commands.keyTap(key, modifiers));
+        },
+
+        keyToggle(key, direction = 'down', modifiers = []) {
+            run(commands.keyToggle(key, direction, modifiers));
+        },
+
+        getMousePos() {
+            if (tool === 'xdotool') {
+                try {
+                    const output = execFileSync(tool, ['getmouselocation', '--shell'], { encoding: 'utf8', timeout: 1000 });
+                    const x = Number(/X=(\d+)/.exec(output)?.[1]);
+                    const y = Number(/Y=(\d+)/.exec(output)?.[1]);
+                    if (!Number.isNaN(x) && !Number.isNaN(y)) position = { x, y };
+                } catch (error) {
+                    // Fall back to the last position we set
+                }
+            }
+            return { ...position };
+        },
+
+        getScreenSize() {
+            return { ...screen };
+        },
+
+        captureScreen() {
+            throw new Error(`Screen capture is not supported by the ${tool} driver`);
+        }
+    };
+}
+
+module.exports = { createShellDriver };
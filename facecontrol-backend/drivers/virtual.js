@@ -0,0 +1,98 @@
+/**
+ * Virtual Input Driver
+ * Records every pointer/keyboard action instead of touching the OS.
+ * Used on CI machines, for debugging ("did the click really happen?")
+ * and as the fallback when no native driver can be loaded.
+ */
+
+const fs = require('fs');
+
+const DEFAULT_SCREEN = { width: 1920, height: 1080 };
+const MAX_MEMORY_ACTIONS = 1000;
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.logFile] - Append each action as a JSON line to this file
+ * @param {{width: number, height: number}} [options.screen] - Simulated screen size
+ */
+function createVirtualDriver(options = {}) {
+    const screen = options.screen || DEFAULT_SCREEN;
+    const actions = [];
+    let position = { x: Math.round(screen.width / 2), y: Math.round(screen.height / 2) };
+    let logStream = null;
+
+    if (options.logFile) {
+        logStream = fs.createWriteStream(options.logFile, { flags: 'a' });
+        logStream.on('error', (error) => {
+            console.error('[Virtual Driver] Log file error:', error.message);
+            logStream = null;
+        });
+    }
+
+    function record(type, details = {}) {
+        const entry = { time: Date.now(), type, ...details };
+        actions.push(entry);
+        if (actions.length > MAX_MEMORY_ACTIONS) actions.shift();
+        if (logStream) logStream.write(JSON.stringify(entry) + '\n');
+        return entry;
+    }
+
+    return {
+        name: 'virtual',
+        capabilities: { capture: true },
+
+        moveMouse(x, y) {
+            position = { x, y };
+            record('move', { x, y });
+        },
+
+        mouseClick(button = 'left', double = false) {
+            record('click', { button, double, ...position });
+        },
+
+        mouseToggle(direction = 'down', button = 'left') {
+            record('toggle', { direction, button, ...position });
+        },
+
+        scrollMouse(x, y) {
+            record('scroll', { scrollX: x, scrollY: y, ...position });
+        },
+
+        typeString(text) {
+            record('type', { text });
+        },
+
+        keyTap(key, modifiers = []) {
+            record('key', { key, modifiers });
+        },
+
+        keyToggle(key, direction = 'down', modifiers = []) {
+            record('keyToggle', { key, direction, modifiers });
+        },
+
+        getMousePos() {
+            return { ...position };
+        },
+
+        getScreenSize() {
+            return { ...screen };
+        },
+
+        // Blank (black) BGRA frame so AI features still get an image
+        captureScreen(x, y, width, height) {
+            return { width, height, image: Buffer.alloc(width * height * 4) };
+        },
+
+        // ---- Virtual-only helpers ----
+
+        getActions() {
+            return actions.slice();
+        },
+
+        clearActions() {
+            actions.length = 0;
+        }
+    };
+}
+
+module.exports = { createVirtualDriver };
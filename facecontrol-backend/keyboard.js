@@ -0,0 +1,161 @@
+/**
+ * Keyboard Actions
+ * Validates key names against an allowlist and runs taps, holds and
+ * sequences through the active input driver.
+ *
+ * Key strokes can be written as combo strings ("mod+shift+z") or objects
+ * ({ key: 'z', modifiers: ['mod', 'shift'], hold: 0 } or { combo: 'mod+z', hold: 500 }).
+ * "mod" resolves to Command on macOS and Control everywhere else.
+ */
+
+const os = require('os');
+
+const MAX_HOLD_MS = 5000;
+const MAX_SEQUENCE_LENGTH = 20;
+const DEFAULT_SEQUENCE_DELAY = 60;
+const MAX_SEQUENCE_DELAY = 2000;
+
+// Canonical (robotjs) key names that remote clients may press
+const ALLOWED_KEYS = new Set([
+    ...'abcdefghijklmnopqrstuvwxyz0123456789'.split(''),
+    'f1', 'f2', 'f3', 'f4', 'f5', 'f6', 'f7', 'f8', 'f9', 'f10', 'f11', 'f12',
+    'enter', 'escape', 'tab', 'backspace', 'delete', 'space',
+    'up', 'down', 'left', 'right', 'home', 'end', 'pageup', 'pagedown',
+    '-', '=', '[', ']', ',', '.', '/', ';', '\'', '\\', '`'
+]);
+
+const KEY_ALIASES = {
+    esc: 'escape',
+    return: 'enter',
+    del: 'delete',
+    minus: '-',
+    equal: '='
+};
+
+const MODIFIER_ALIASES = {
+    mod: os.platform() === 'darwin' ? 'command' : 'control',
+    ctrl: 'control',
+    control: 'control',
+    cmd: 'command',
+    command: 'command',
+    meta: 'command',
+    alt: 'alt',
+    option: 'alt',
+    shift: 'shift'
+};
+
+function normalizeModifiers(modifiers = []) {
+    if (!Array.isArray(modifiers)) modifiers = [modifiers];
+
+    const result = [];
+    for (const modifier of modifiers) {
+        const name = MODIFIER_ALIASES[String(modifier).toLowerCase()];
+        if (!name) throw new Error(`Modifier not allowed: ${modifier}`);
+        if (!result.includes(name)) result.push(name);
+    }
+    return result;
+}
+
+function normalizeKey(key) {
+    if (typeof key !== 'string' || key.length === 0) throw new Error('Missing key');
+
+    const lower = key.toLowerCase();
+    const name = KEY_ALIASES[lower] || lower;
+    if (!ALLOWED_KEYS.has(name)) throw new Error(`Key not allowed: ${key}`);
+    return name;
+}
+
+/**
+ * Parse one key stroke into { key, modifiers, hold }
+ * @param {string|object} stroke - "mod+z", { key, modifiers, hold } or { combo, hold }
+ */
+function parseKeyStroke(stroke) {
+    let key;
+    let modifiers = [];
+    let hold = 0;
+
+    if (typeof stroke === 'string') {
+        const parts = stroke.split('+').map(part => part.trim()).filter(Boolean);
+        key = parts.pop();
+        modifiers = parts;
+    } else if (stroke && typeof stroke.combo === 'string') {
+        return { ...parseKeyStroke(stroke.combo), hold: parseHold(stroke.hold) };
+    } else if (stroke && typeof stroke === 'object') {
+        key = stroke.key;
+        modifiers = stroke.modifiers || [];
+        hold = stroke.hold || 0;
+    } else {
+        throw new Error('Invalid key stroke');
+    }
+
+    return {
+        key: normalizeKey(key),
+        modifiers: normalizeModifiers(modifiers),
+        hold: parseHold(hold)
+    };
+}
+
+function parseHold(hold = 0) {
+    hold = Number(hold);
+    if (!Number.isFinite(hold) || hold < 0 || hold > MAX_HOLD_MS) {
+        throw new Error(`hold must be between 0 and ${MAX_HOLD_MS}ms`);
+    }
+    return hold;
+}
+
+/**
+ * Parse a list of strokes for a sequence, enforcing the length limit
+ */
+function parseKeySequence(strokes) {
+    if (!Array.isArray(strokes) || strokes.length === 0) throw new Error('Empty key sequence');
+    if (strokes.length > MAX_SEQUENCE_LENGTH) {
+        throw new Error(`Key sequence too long (max ${MAX_SEQUENCE_LENGTH})`);
+    }
+    return strokes.map(parseKeyStroke);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function pressKeyStroke(driver, stroke) {
+    if (stroke.hold > 0) {
+        driver.keyToggle(stroke.key, 'down', stroke.modifiers);
+        try {
+            await sleep(stroke.hold);
+        } finally {
+            driver.keyToggle(stroke.key, 'up', stroke.modifiers);
+        }
+    } else {
+        driver.keyTap(stroke.key, stroke.modifiers);
+    }
+}
+
+/**
+ * Create a runner that presses parsed strokes in order.
+ * Sequences from different messages never interleave.
+ */
+function createKeyboardRunner(driver) {
+    let queue = Promise.resolve();
+
+    return function runKeys(strokes, delay = DEFAULT_SEQUENCE_DELAY) {
+        delay = Math.max(0, Math.min(MAX_SEQUENCE_DELAY, Number(delay) || 0));
+
+        const run = async () => {
+            for (let i = 0; i < strokes.length; i++) {
+                if (i > 0 && delay > 0) await sleep(delay);
+                await pressKeyStroke(driver, strokes[i]);
+            }
+        };
+
+        const result = queue.then(run);
+        // Keep the queue alive even if one sequence fails
+        queue = result.catch(() => { });
+        return result;
+    };
+}
+
+module.exports = {
+    ALLOWED_KEYS,
+    parseKeyStroke,
+    parseKeySequence,
+    createKeyboardRunner
+};
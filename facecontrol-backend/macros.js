@@ -0,0 +1,207 @@
+/**
+ * Macros
+ * A session can record the pointer/keyboard actions it sends, with their
+ * timing, into a named macro saved as JSON in the macros directory
+ * (macros.dir). Playing it back runs the same actions through the action
+ * handler, with the delays scaled by a speed factor. Only one macro plays
+ * at a time - there is only one mouse.
+ *
+ * File format: { name, createdAt, duration, steps: [{ t, action, ...params }] }
+ * where t is ms since recording started.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, 'macros');
+
+// Actions a recording keeps (relative moves are recorded as the moveTo they produce)
+const RECORDED_ACTIONS = new Set(['moveTo', 'click', 'doubleclick', 'mousedown', 'mouseup', 'scroll', 'keyTap', 'keyCombo', 'type']);
+
+// Cursor targets closer together than this are merged - the motion follower glides between them anyway
+const MOVE_MERGE_MS = 16;
+const MAX_STEPS = 20000;
+
+// File name for a macro name: "Brand Font!" -> "brand-font"
+function slugify(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Macros on disk, one JSON file each
+ * @param {string} [dir] - Directory (created on first save)
+ */
+function createMacroStore(dir = DEFAULT_DIR) {
+    function fileFor(name) {
+        const slug = slugify(name);
+        if (!slug) throw new Error('Macro name needs at least one letter or digit');
+        return path.join(dir, `${slug}.json`);
+    }
+
+    function read(file) {
+        const macro = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!macro || typeof macro.name !== 'string' || !Array.isArray(macro.steps)) {
+            throw new Error(`${path.basename(file)} is not a macro`);
+        }
+        return macro;
+    }
+
+    return {
+        dir,
+
+        // Summaries (no steps), alphabetical; unreadable files are skipped
+        list() {
+            let files;
+            try {
+                files = fs.readdirSync(dir).filter(file => file.endsWith('.json'));
+            } catch (error) {
+                return [];
+            }
+
+            const macros = [];
+            for (const file of files) {
+                try {
+                    const macro = read(path.join(dir, file));
+                    macros.push({ name: macro.name, steps: macro.steps.length, duration: macro.duration, createdAt: macro.createdAt });
+                } catch (error) {
+                    console.warn(`⚠️ Skipping macro file ${file}:`, error.message);
+                }
+            }
+            return macros.sort((a, b) => a.name.localeCompare(b.name));
+        },
+
+        // null if there is no such macro
+        load(name) {
+            const file = fileFor(name);
+            return fs.existsSync(file) ? read(file) : null;
+        },
+
+        // Overwrites a macro of the same name
+        save(macro) {
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(fileFor(macro.name), JSON.stringify(macro, null, 2));
+        },
+
+        rename(name, to) {
+            const macro = this.load(name);
+            if (!macro) throw new Error(`No macro named "${name}"`);
+            const from = fileFor(name);
+            const target = fileFor(to);
+            if (target !== from && fs.existsSync(target)) throw new Error(`A macro named "${to}" already exists`);
+
+            macro.name = to;
+            fs.writeFileSync(target, JSON.stringify(macro, null, 2));
+            if (target !== from) fs.unlinkSync(from);
+        },
+
+        remove(name) {
+            const file = fileFor(name);
+            if (!fs.existsSync(file)) throw new Error(`No macro named "${name}"`);
+            fs.unlinkSync(file);
+        }
+    };
+}
+
+/**
+ * Collects one session's actions while it records
+ * @param {string} name - Macro name
+ */
+function createMacroRecorder(name) {
+    const startedAt = performance.now();
+    const steps = [];
+
+    return {
+        name,
+
+        /**
+         * @param {object} msg - A validated action (requestId is dropped)
+         * @returns {boolean} false once the recording is full
+         */
+        record(msg) {
+            if (!RECORDED_ACTIONS.has(msg.action)) return true;
+
+            const { requestId, ...step } = msg;
+            step.t = Math.round(performance.now() - startedAt);
+
+            const last = steps[steps.length - 1];
+            if (step.action === 'moveTo' && last && last.action === 'moveTo' && step.t - last.t < MOVE_MERGE_MS) {
+                steps[steps.length - 1] = { ...step, t: last.t };
+                return true;
+            }
+
+            if (steps.length >= MAX_STEPS) return false;
+            steps.push(step);
+            return true;
+        },
+
+        get length() {
+            return steps.length;
+        },
+
+        finish() {
+            return {
+                name,
+                createdAt: new Date().toISOString(),
+                duration: Math.round(performance.now() - startedAt),
+                steps
+            };
+        }
+    };
+}
+
+/**
+ * Plays a macro back, one step at a time on the original schedule
+ * @param {object} macro
+ * @param {object} options
+ * @param {number} options.speed - 2 = twice as fast
+ * @param {function(object): void} options.run - Performs one step ({ action, ...params })
+ * @param {function({aborted: boolean}): void} options.onDone
+ */
+function playMacro(macro, { speed, run, onDone }) {
+    const startedAt = performance.now();
+    let index = 0;
+    let timer = null;
+    let finished = false;
+    // A drag cut short by abort must not leave the button down
+    let holdsButton = false;
+
+    function finish(aborted) {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        if (holdsButton) run({ action: 'mouseup' });
+        onDone({ aborted });
+    }
+
+    function next() {
+        // Run every step that is due (timers fire late when the event loop is busy)
+        while (index < macro.steps.length && macro.steps[index].t / speed <= performance.now() - startedAt) {
+            const { t, ...msg } = macro.steps[index++];
+            if (msg.action === 'mousedown') holdsButton = true;
+            if (msg.action === 'mouseup') holdsButton = false;
+            try {
+                run(msg);
+            } catch (error) {
+                console.error(`[Macro ${msg.action} Error]`, error.message);
+            }
+        }
+
+        if (index >= macro.steps.length) {
+            finish(false);
+            return;
+        }
+        timer = setTimeout(next, Math.max(0, macro.steps[index].t / speed - (performance.now() - startedAt)));
+    }
+
+    // Asynchronously, so the caller holds the player before onDone can run
+    timer = setTimeout(next, 0);
+
+    return {
+        name: macro.name,
+        abort() {
+            finish(true);
+        }
+    };
+}
+
+module.exports = { DEFAULT_DIR, RECORDED_ACTIONS, createMacroStore, createMacroRecorder, playMacro };
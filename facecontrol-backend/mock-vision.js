@@ -0,0 +1,152 @@
+/**
+ * Mock Vision + Unsplash Server
+ * Canned answers for all four AI features so they can be tried without the
+ * internet or an API key:
+ *
+ *   node mock-vision.js [--port 3010] [--fail-first 2] [--delay 300]
+ *
+ * then start the backend with
+ *
+ *   VISION_BASE_URL=http://localhost:3010/v1 UNSPLASH_BASE_URL=http://localhost:3010 UNSPLASH_ACCESS_KEY=mock
+ *
+ * --fail-first N answers the first N completions with 503 (exercises retries),
+ * --delay MS waits before every answer (exercises timeouts).
+ */
+
+const http = require('http');
+
+function readFlag(name, fallback) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] !== undefined ? Number(process.argv[index + 1]) : fallback;
+}
+
+const PORT = readFlag('port', 3010);
+let failuresLeft = readFlag('fail-first', 0);
+const DELAY = readFlag('delay', 0);
+
+// Picked by matching the prompt text server.js sends for each feature
+const ANSWERS = [
+    {
+        feature: 'design advisor',
+        match: /Design Director/,
+        content: JSON.stringify({
+            layout: 'Headline and image compete; give the headline more space.',
+            practices: 'Two typefaces, one accent color - consistent and clean.',
+            accessibility: 'Grey subtitle on white is low contrast; darken it.',
+            clarity: 'Event poster purpose is clear at a glance.'
+        })
+    },
+    {
+        feature: 'design improvements',
+        match: /Design Improvement Engine/,
+        content: '```json\n' + JSON.stringify({
+            reasoning: 'An accent bar and a soft backdrop anchor the headline.',
+            improvements: {
+                addShape: [{ type: 'rectangle', x: 40, y: 40, width: 320, height: 120, fill: '#6366f1', opacity: 0.3, cornerRadius: 16 }],
+                addText: [{ content: 'Mock headline', x: 60, y: 80, color: '#111827' }],
+                addDecorations: [{ type: 'accent-shape', x: 20, y: 40, width: 8, height: 120, fill: '#10b981', cornerRadius: 4 }]
+            }
+        }, null, 2) + '\n```'
+    },
+    {
+        feature: 'image suggestions',
+        match: /stock photo/,
+        content: '"minimalist blue gradient"'
+    },
+    {
+        feature: 'element inspector',
+        match: /UI\/UX expert/,
+        content: JSON.stringify({ name: 'Mock Button', mood: 'Calm & Clear', reason: 'Mock answer - the real model is not being called.' })
+    }
+];
+
+const COLORS = ['#6366f1', '#10b981', '#f59e0b', '#ef4444', '#0ea5e9', '#8b5cf6', '#14b8a6', '#f97316', '#64748b'];
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+async function handleCompletion(req, res) {
+    const body = JSON.parse(await readBody(req));
+    const text = body.messages?.[0]?.content?.find(part => part.type === 'text')?.text || '';
+    const hasImage = body.messages?.[0]?.content?.some(part => part.type === 'image_url');
+
+    if (failuresLeft > 0) {
+        failuresLeft--;
+        console.log(`💥 503 for ${body.model} (${failuresLeft} more failures)`);
+        return sendJson(res, 503, { error: 'Mock overload' });
+    }
+
+    const answer = ANSWERS.find(candidate => candidate.match.test(text));
+    console.log(`🧠 ${answer ? answer.feature : 'unknown prompt'} (model ${body.model}, image: ${hasImage ? 'yes' : 'no'})`);
+
+    sendJson(res, 200, {
+        id: `mock-${Date.now()}`,
+        object: 'chat.completion',
+        model: body.model,
+        choices: [{
+            index: 0,
+            finish_reason: 'stop',
+            message: { role: 'assistant', content: answer ? answer.content : 'Mock model: no canned answer for this prompt.' }
+        }]
+    });
+}
+
+// Unsplash /search/photos look-alike with inline SVG placeholders
+function handlePhotoSearch(url, res) {
+    const query = url.searchParams.get('query') || 'mock';
+    const count = Math.min(Number(url.searchParams.get('per_page')) || 9, 30);
+    console.log(`🖼️ Photo search "${query}" (${count})`);
+
+    const results = Array.from({ length: count }, (_, i) => {
+        const color = COLORS[i % COLORS.length];
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="800" height="533"><rect width="100%" height="100%" fill="${color}"/><text x="50%" y="50%" fill="#fff" font-size="40" text-anchor="middle" font-family="sans-serif">${query} ${i + 1}</text></svg>`;
+        const src = `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+        return {
+            id: `mock-${i}`,
+            width: 800,
+            height: 533,
+            color,
+            description: `${query} ${i + 1}`,
+            alt_description: null,
+            urls: { small: src, regular: src, full: src },
+            user: { name: 'Mock Photographer', username: 'mock', links: { html: 'https://unsplash.com' } }
+        };
+    });
+
+    sendJson(res, 200, { total: count, total_pages: 1, results });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    try {
+        if (DELAY > 0) await new Promise(resolve => setTimeout(resolve, DELAY));
+
+        if (req.method === 'POST' && url.pathname.endsWith('/chat/completions')) {
+            return await handleCompletion(req, res);
+        }
+        if (req.method === 'GET' && url.pathname === '/search/photos') {
+            return handlePhotoSearch(url, res);
+        }
+        sendJson(res, 404, { error: 'Not found' });
+    } catch (error) {
+        console.error('❌ Mock error:', error.message);
+        sendJson(res, 400, { error: error.message });
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`🧪 Mock vision server on http://localhost:${PORT}`);
+    console.log(`   VISION_BASE_URL=http://localhost:${PORT}/v1 UNSPLASH_BASE_URL=http://localhost:${PORT} UNSPLASH_ACCESS_KEY=mock`);
+});
@@ -0,0 +1,118 @@
+/**
+ * Cursor Motion Profile
+ * The panel sends targets at camera frame rate (often 30fps, less when the
+ * browser throttles the tab); the batching loop moves the OS cursor every
+ * 8ms. A follower fills in the steps between targets:
+ *
+ *   none         jump straight to the latest target (no interpolation)
+ *   exponential  close a fixed share of the gap per followTime - eases out
+ *   trapezoid    accelerate to maxSpeed, cruise, brake to stop on target
+ *
+ * Both interpolating easings are limited by maxSpeed (px/s) and
+ * acceleration (px/s²).
+ */
+
+const EASINGS = ['none', 'exponential', 'trapezoid'];
+
+// Close enough to call it arrived (pixels, px/s)
+const SETTLE_DISTANCE = 0.5;
+const SETTLE_SPEED = 20;
+
+// Longest step integrated at once - a stalled timer must not fling the cursor
+const MAX_STEP = 0.05;
+
+/**
+ * @param {object} profile
+ * @param {string} profile.easing - One of EASINGS
+ * @param {number} profile.maxSpeed - px/s
+ * @param {number} profile.acceleration - px/s²
+ * @param {number} profile.followTime - ms; exponential time constant
+ * @param {{x: number, y: number}} start - Current cursor position
+ */
+function createMotionFollower(profile, start) {
+    let pos = { x: start.x, y: start.y };
+    let velocity = { x: 0, y: 0 };
+    let target = null;
+
+    // Speed we'd like to move at towards the target (px/s along the gap)
+    function desiredSpeed(distance) {
+        if (profile.easing === 'trapezoid') {
+            // Fastest speed from which we can still brake to a stop at the target
+            return Math.min(profile.maxSpeed, Math.sqrt(2 * profile.acceleration * distance));
+        }
+        return Math.min(profile.maxSpeed, distance / (profile.followTime / 1000));
+    }
+
+    return {
+        setTarget(x, y) {
+            target = { x, y };
+        },
+
+        // Where the next relative move starts from
+        getTarget() {
+            return target ? { ...target } : { ...pos };
+        },
+
+        // Teleport (e.g. REST moveTo, or the real mouse moved under us)
+        jumpTo(x, y) {
+            pos = { x, y };
+            velocity = { x: 0, y: 0 };
+            target = null;
+        },
+
+        isSettled() {
+            return target === null;
+        },
+
+        /**
+         * Advance by dt seconds
+         * @returns {{x: number, y: number}|null} New position, or null when there is nothing to do
+         */
+        step(dt) {
+            if (!target) return null;
+
+            const dx = target.x - pos.x;
+            const dy = target.y - pos.y;
+            const distance = Math.hypot(dx, dy);
+
+            if (profile.easing === 'none' || (distance < SETTLE_DISTANCE && Math.hypot(velocity.x, velocity.y) < SETTLE_SPEED)) {
+                pos = { ...target };
+                velocity = { x: 0, y: 0 };
+                target = null;
+                return { ...pos };
+            }
+
+            dt = Math.min(dt, MAX_STEP);
+
+            // Steer the velocity towards the desired one, limited by acceleration
+            const speed = distance > 0 ? desiredSpeed(distance) : 0;
+            const wantX = distance > 0 ? (dx / distance) * speed : 0;
+            const wantY = distance > 0 ? (dy / distance) * speed : 0;
+            let changeX = wantX - velocity.x;
+            let changeY = wantY - velocity.y;
+            const change = Math.hypot(changeX, changeY);
+            const maxChange = profile.acceleration * dt;
+            if (change > maxChange) {
+                changeX *= maxChange / change;
+                changeY *= maxChange / change;
+            }
+            velocity = { x: velocity.x + changeX, y: velocity.y + changeY };
+
+            let stepX = velocity.x * dt;
+            let stepY = velocity.y * dt;
+
+            // Never overshoot the target within one step
+            const stepLength = Math.hypot(stepX, stepY);
+            if (stepLength > distance) {
+                stepX = dx;
+                stepY = dy;
+                velocity = { x: 0, y: 0 };
+            }
+
+            pos = { x: pos.x + stepX, y: pos.y + stepY };
+            return { ...pos };
+        }
+    };
+}
+
+module.exports = { EASINGS, createMotionFollower };
@@ -0,0 +1,184 @@
+/**
+ * OpenAPI Description
+ * Builds the REST API description served at /api/openapi.json.
+ * Action bodies are generated from the shared protocol schemas, so the
+ * document can't drift from what POST /api/mouse actually accepts.
+ */
+
+const { PROTOCOL_VERSION, ERROR_CODES, ACTIONS } = require('../src/protocol');
+
+// Protocol field spec -> JSON Schema
+function fieldSchema(spec) {
+    const schema = {};
+
+    switch (spec.type) {
+        case 'integer':
+        case 'number':
+            schema.type = spec.type;
+            if (spec.min !== undefined) schema.minimum = spec.min;
+            if (spec.max !== undefined) schema.maximum = spec.max;
+            break;
+        case 'string':
+            schema.type = 'string';
+            if (spec.maxLength !== undefined) schema.maxLength = spec.maxLength;
+            if (spec.values) schema.enum = spec.values;
+            break;
+        case 'array':
+            schema.type = 'array';
+            schema.items = {};
+            if (spec.maxItems !== undefined) schema.maxItems = spec.maxItems;
+            break;
+    }
+
+    return schema;
+}
+
+function actionSchema(name, action) {
+    const properties = { action: { type: 'string', enum: [name] } };
+    const required = ['action'];
+
+    for (const [field, spec] of Object.entries(action.fields)) {
+        properties[field] = fieldSchema(spec);
+        if (spec.required) required.push(field);
+    }
+
+    const schema = {
+        type: 'object',
+        description: action.description,
+        properties,
+        required,
+        additionalProperties: false
+    };
+    if (action.oneOf) schema.oneOf = action.oneOf.map(field => ({ required: [field] }));
+    return schema;
+}
+
+const errorResponse = (description) => ({
+    description,
+    content: {
+        'application/json': {
+            schema: { $ref: '#/components/schemas/Error' }
+        }
+    }
+});
+
+/**
+ * @param {object} options
+ * @param {string} options.serverUrl - e.g. http://localhost:3002
+ */
+function buildOpenApi({ serverUrl }) {
+    // auth and control ownership only exist on the socket - REST uses the Authorization header
+    const restActions = Object.entries(ACTIONS).filter(([, action]) => !action.socketOnly);
+
+    const actionSchemas = {};
+    for (const [name, action] of restActions) {
+        actionSchemas[`Action_${name}`] = actionSchema(name, action);
+    }
+
+    const point = {
+        type: 'object',
+        properties: { x: { type: 'integer' }, y: { type: 'integer' } },
+        required: ['x', 'y']
+    };
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'FaceControl Backend',
+            version: `${PROTOCOL_VERSION}.0.0`,
+            description: 'Mouse, keyboard and AI actions over plain HTTP. POST /api/mouse accepts the same actions as the WebSocket. ' +
+                'Send the pairing token printed by the backend as "Authorization: Bearer <token>".'
+        },
+        servers: [{ url: serverUrl }],
+        security: [{ pairingToken: [] }],
+        paths: {
+            '/api/health': {
+                get: {
+                    summary: 'Health check, input driver, displays, vision model',
+                    description: 'Without the pairing token only status, protocolVersion, auth, endpoints and websocket.',
+                    security: [{}, { pairingToken: [] }],
+                    parameters: [{ name: 'refresh', in: 'query', schema: { type: 'string' }, description: 'Re-detect displays (needs the pairing token)' }],
+                    responses: { 200: { description: 'Backend status' } }
+                }
+            },
+            '/api/mouse': {
+                post: {
+                    summary: 'Run one action',
+                    description: 'Pointer and keyboard actions return once performed. AI/search actions ' +
+                        `(${restActions.filter(([, a]) => a.responds).map(([n]) => n).join(', ')}) return their result in "response".`,
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    oneOf: restActions.map(([name]) => ({ $ref: `#/components/schemas/Action_${name}` })),
+                                    discriminator: { propertyName: 'action' }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: {
+                            description: 'Action performed',
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        type: 'object',
+                                        properties: {
+                                            ok: { type: 'boolean' },
+                                            action: { type: 'string' },
+                                            position: point,
+                                            response: { type: 'object', description: 'Result message (AI/search actions), same as on the socket' }
+                                        }
+                                    }
+                                }
+                            }
+                        },
+                        400: errorResponse('Invalid action or parameters'),
+                        401: errorResponse('Missing or wrong pairing token'),
+                        500: errorResponse('Input driver or internal failure'),
+                        502: errorResponse('AI model or Unsplash failed'),
+                        503: errorResponse('AI feature not configured'),
+                        504: errorResponse('No result in time')
+                    }
+                }
+            },
+            '/api/mouse/position': {
+                get: {
+                    summary: 'Current cursor position',
+                    responses: { 200: { description: 'Position', content: { 'application/json': { schema: point } } } }
+                }
+            },
+            '/api/screen': {
+                get: {
+                    summary: 'Primary screen size, all displays and the virtual desktop',
+                    responses: { 200: { description: 'Screen layout' } }
+                }
+            },
+            '/api/driver/actions': {
+                get: {
+                    summary: 'Actions recorded by the virtual driver',
+                    responses: { 200: { description: 'Recorded actions' }, 404: errorResponse('Driver does not record') }
+                }
+            }
+        },
+        components: {
+            securitySchemes: {
+                pairingToken: { type: 'http', scheme: 'bearer', description: 'Pairing token from the backend console' }
+            },
+            schemas: {
+                ...actionSchemas,
+                Error: {
+                    type: 'object',
+                    properties: {
+                        error: { type: 'string' },
+                        code: { type: 'string', enum: Object.values(ERROR_CODES) }
+                    },
+                    required: ['error']
+                }
+            }
+        }
+    };
+}
+
+module.exports = { buildOpenApi };
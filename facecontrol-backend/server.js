@@ -1,6 +1,6 @@
 /**
  * FaceControl Backend - WebSocket Edition
- * Ultra-low latency mouse control using WebSocket + robotjs (cross-platform)
+ * Ultra-low latency mouse control using WebSocket + pluggable input drivers (cross-platform)
  * Environment Independent - Works on Windows, Mac, Linux
  */
 
@@ -8,76 +8,170 @@ const express = require('express');
 const cors = require('cors');
 const { WebSocketServer } = require('ws');
 const http = require('http');
+const https = require('https');
 const os = require('os');
 const path = require('path');
 
-// Cross-platform mouse control via robotjs
-let robot;
-try {
-    robot = require('@jitsi/robotjs');
-    // Configure robotjs for speed
-    robot.setMouseDelay(0);
-    console.log(`✅ RobotJS loaded successfully (Platform: ${os.platform()})`);
-} catch (error) {
-    console.error(`❌ Failed to load RobotJS on ${os.platform()}:`, error.message);
-    console.log('⚠️ Mouse control will be disabled. Reinstall with: npm rebuild @jitsi/robotjs');
-    // Create a mock robot object to prevent crashes
-    robot = {
-        moveMouse: () => { },
-        mouseClick: () => { },
-        mouseToggle: () => { },
-        typeString: () => { },
-        getMousePos: () => ({ x: 0, y: 0 }),
-        getScreenSize: () => ({ width: 1920, height: 1080 }),
-        screen: { capture: () => ({ width: 100, height: 100, image: Buffer.alloc(40000) }) }
-    };
-}
-
-const { Jimp } = require('jimp');
+const { loadDriver } = require('./drivers');
+const { parseKeyStroke, parseKeySequence, createKeyboardRunner } = require('./keyboard');
+const { listDisplays, getDesktopBounds, displayAt } = require('./displays');
+const {
+    TOKEN_FILE,
+    loadPairingToken,
+    tokensMatch,
+    parseAllowedOrigins,
+    isOriginAllowed,
+    getRequestToken
+} = require('./auth');
+// Message schemas + error codes shared with the panel
+const {
+    PROTOCOL_VERSION,
+    ERROR_CODES,
+    CLOSE_CODES,
+    ACTIONS,
+    BINARY,
+    validateMessage,
+    isFinalResponse,
+    decodeBinary
+} = require('../src/protocol');
+const { createVisionClient } = require('./vision');
+const { createCaptureService } = require('./capture');
+const { buildOpenApi } = require('./openapi');
+const { loadConfig, publicConfig } = require('./config');
+const { loadTlsCredentials } = require('./tls');
+const { createMotionFollower } = require('./motion');
+const { createControlArbiter } = require('./control');
+const { createMacroStore, createMacroRecorder, playMacro, RECORDED_ACTIONS } = require('./macros');
 // Node 18+ has native fetch, no need for node-fetch
 // Load environment variables (cross-platform path handling)
 const dotenvPath = path.resolve(__dirname, '.env');
 require('dotenv').config({ path: dotenvPath });
 
+// Settings: defaults < facecontrol.config.json/yaml < environment < CLI flags (see config.js)
+let loadedConfig;
+try {
+    loadedConfig = loadConfig();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+const { config } = loadedConfig;
+if (loadedConfig.file) console.log(`⚙️  Config file: ${loadedConfig.file}`);
+
+// Pluggable input driver: robotjs (default), xdotool, ydotool or virtual
+// input.driver (INPUT_DRIVER) selects it, input.virtualLog records virtual actions to a file
+const requestedDriver = config.input.driver;
+const { driver, fallbackReason } = loadDriver(requestedDriver, {
+    logFile: config.input.virtualLog || undefined
+});
+
+if (fallbackReason) {
+    console.error(`❌ Failed to load "${requestedDriver}" input driver on ${os.platform()}:`, fallbackReason);
+    console.log('⚠️ Using the virtual driver - actions are recorded, not performed.');
+    if (requestedDriver === 'robotjs') {
+        console.log('   Reinstall with: npm rebuild @jitsi/robotjs, or set INPUT_DRIVER=xdotool|ydotool');
+    }
+} else {
+    console.log(`✅ Input driver "${driver.name}" loaded (Platform: ${os.platform()})`);
+}
+
 // Log platform info for debugging
 console.log(`🖥️  Platform: ${os.platform()} (${os.arch()})`);
 console.log(`📁 Working Directory: ${process.cwd()}`);
 
-// HF API Key - fallback to hardcoded if env not set
-const HF_API_KEY = process.env.HF_API_KEY;
+// Vision model used by every AI feature (any OpenAI-compatible endpoint)
+const visionClient = createVisionClient(config.vision);
 
-// Unsplash API Key for voice image search
-const UNSPLASH_ACCESS_KEY = process.env.UNSPLASH_ACCESS_KEY;
+// Unsplash API Key for voice image search (unsplash.baseUrl points at a mock/proxy)
+const UNSPLASH_ACCESS_KEY = config.unsplash.accessKey;
+const UNSPLASH_BASE_URL = config.unsplash.baseUrl.replace(/\/+$/, '');
 
 const app = express();
-const PORT = 3002;
+const PORT = config.server.port;
+// https/wss runs next to http/ws on its own port (tls.enabled, tls.port)
+const TLS_PORT = config.tls.port;
+let secureEndpoint = null; // Set once the https server is listening
+
+// Pairing token (PAIRING_TOKEN overrides, RESET_PAIRING_TOKEN=1 issues a new one)
+const pairing = loadPairingToken({
+    token: config.security.pairingToken || undefined,
+    reset: config.security.resetPairingToken
+});
+const PAIRING_TOKEN = pairing.token;
+
+// Web origins allowed to talk to the backend (ALLOWED_ORIGINS=comma,separated,list)
+const ALLOWED_ORIGINS = parseAllowedOrigins(config.security.allowedOrigins);
+
+// Unpaired sockets get this long to send { action: 'auth', token, version }
+const AUTH_TIMEOUT = 5000;
 
 // Middleware
-app.use(cors({ origin: '*' }));
-app.use(express.json());
+app.use(cors({
+    origin: (origin, callback) => callback(null, isOriginAllowed(origin, ALLOWED_ORIGINS))
+}));
+app.use((req, res, next) => {
+    if (!isOriginAllowed(req.headers.origin, ALLOWED_ORIGINS)) {
+        return res.status(403).json({ error: 'Origin not allowed' });
+    }
+    next();
+});
+// Large enough for a page rendition (see MAX_IMAGE_LENGTH in the protocol)
+app.use(express.json({ limit: '12mb' }));
+
+// Everything except the health check's liveness answer needs the pairing token
+function requireToken(req, res, next) {
+    if (!tokensMatch(PAIRING_TOKEN, getRequestToken(req))) {
+        return res.status(401).json({ error: 'Pairing token required' });
+    }
+    next();
+}
+
+// Keyboard taps/holds/sequences run in order through the driver
+const runKeys = createKeyboardRunner(driver);
+
+// Screenshots + JPEG encoding run in worker threads (capture.workers sets the pool size, 0 = auto)
+const captureService = createCaptureService({
+    driver,
+    size: config.capture.workers || undefined
+});
 
 // Current state
 let currentPos = { x: 960, y: 540 };
-let screenSize = robot.getScreenSize();
+let screenSize = driver.getScreenSize();
+
+// All displays (offsets + DPI scale) and the virtual desktop they span
+let displays = listDisplays(driver);
+let desktopBounds = getDesktopBounds(displays);
+console.log(`🖥️  Displays: ${displays.map(d => `${d.name} ${d.width}x${d.height}@${d.x},${d.y} (${d.scale === null ? 'scale unknown' : `${d.scale}x`})`).join(' | ')}`);
+
+function refreshDisplays() {
+    screenSize = driver.getScreenSize();
+    displays = listDisplays(driver);
+    desktopBounds = getDesktopBounds(displays);
+}
 
-// Movement queue for batching
-let pendingMove = null;
+// Movement loop: the OS cursor steps towards the latest target every tick
 let moveTimer = null;
-const BATCH_INTERVAL = 8; // 8ms = 125fps max
+let lastMoveTick = 0;
+const BATCH_INTERVAL = config.server.batchInterval; // 8ms = 125fps max
+
+// Interpolates between targets (motion.easing, maxSpeed, acceleration, followTime)
+const motion = createMotionFollower(config.motion, currentPos);
 
 // ============================================
 // Mouse Control Functions (Cross-Platform)
 // ============================================
 
 function moveCursor(x, y) {
-    x = Math.max(0, Math.min(screenSize.width - 1, Math.round(x)));
-    y = Math.max(0, Math.min(screenSize.height - 1, Math.round(y)));
+    // Clamp to the whole virtual desktop so secondary displays are reachable
+    x = Math.max(desktopBounds.x, Math.min(desktopBounds.x + desktopBounds.width - 1, Math.round(x)));
+    y = Math.max(desktopBounds.y, Math.min(desktopBounds.y + desktopBounds.height - 1, Math.round(y)));
 
     // Only move if position changed
     if (x === currentPos.x && y === currentPos.y) return currentPos;
 
     try {
-        robot.moveMouse(x, y);
+        driver.moveMouse(x, y);
         currentPos = { x, y };
     } catch (error) {
         // Silent fail for speed
@@ -90,16 +184,16 @@ function mouseClick(action = 'left') {
     try {
         switch (action) {
             case 'left':
-                robot.mouseClick();
+                driver.mouseClick('left');
                 break;
             case 'right':
-                robot.mouseClick('right');
+                driver.mouseClick('right');
                 break;
             case 'mousedown':
-                robot.mouseToggle('down');
+                driver.mouseToggle('down');
                 break;
             case 'mouseup':
-                robot.mouseToggle('up');
+                driver.mouseToggle('up');
                 break;
         }
     } catch (error) {
@@ -107,140 +201,856 @@ function mouseClick(action = 'left') {
     }
 }
 
-// Batched move execution
+// Scroll amounts are wheel steps (y: positive=up, negative=down; x: positive=right)
+const MAX_SCROLL_STEP = 50;
+
+function mouseScroll(x = 0, y = 0) {
+    x = Math.max(-MAX_SCROLL_STEP, Math.min(MAX_SCROLL_STEP, Math.round(Number(x) || 0)));
+    y = Math.max(-MAX_SCROLL_STEP, Math.min(MAX_SCROLL_STEP, Math.round(Number(y) || 0)));
+    if (x === 0 && y === 0) return;
+
+    try {
+        driver.scrollMouse(x, y);
+    } catch (error) {
+        console.error('[Scroll Error]', error.message);
+    }
+}
+
+// Convert { direction, amount } into signed x/y wheel steps
+function scrollDelta(msg) {
+    if (!msg.direction) return { x: msg.x || 0, y: msg.y || 0 };
+
+    const amount = Math.abs(msg.amount || 1);
+    switch (msg.direction) {
+        case 'up': return { x: 0, y: amount };
+        case 'down': return { x: 0, y: -amount };
+        case 'left': return { x: -amount, y: 0 };
+        case 'right': return { x: amount, y: 0 };
+        default: return { x: 0, y: 0 };
+    }
+}
+
+// Run validated key strokes, reporting bad keys or driver failures to the client.
+// Resolves once the keys are pressed (or rejected)
+function sendKeys(ws, requestId, strokes, delay) {
+    let parsed;
+    try {
+        parsed = strokes.length === 1 ? [parseKeyStroke(strokes[0])] : parseKeySequence(strokes);
+    } catch (error) {
+        replyError(ws, requestId, ERROR_CODES.INVALID_PARAMS, `Key rejected: ${error.message}`);
+        return Promise.resolve();
+    }
+
+    return runKeys(parsed, delay).catch((error) => {
+        console.error('[Key Error]', error.message);
+        replyError(ws, requestId, ERROR_CODES.DRIVER_FAILED, 'Key press failed');
+    });
+}
+
+// Skip the glide and put the cursor on its target now (REST callers expect it there)
 function executePendingMove() {
-    if (pendingMove) {
-        moveCursor(pendingMove.x, pendingMove.y);
-        pendingMove = null;
+    if (motion.isSettled()) return;
+    const target = motion.getTarget();
+    motion.jumpTo(target.x, target.y);
+    moveCursor(target.x, target.y);
+}
+
+function stepMotion() {
+    const now = performance.now();
+    const position = motion.step((now - lastMoveTick) / 1000);
+    lastMoveTick = now;
+
+    if (position) moveCursor(position.x, position.y);
+
+    // Idle until the next target arrives
+    if (motion.isSettled()) {
+        clearInterval(moveTimer);
+        moveTimer = null;
     }
 }
 
-// Queue move for batched execution
+// New cursor target - the movement loop takes it from here
 function queueMove(x, y) {
-    pendingMove = { x, y };
+    // Targets outside the desktop would leave the follower chasing a point the cursor can't reach
+    x = Math.max(desktopBounds.x, Math.min(desktopBounds.x + desktopBounds.width - 1, x));
+    y = Math.max(desktopBounds.y, Math.min(desktopBounds.y + desktopBounds.height - 1, y));
+    motion.setTarget(x, y);
 
     if (!moveTimer) {
-        moveTimer = setInterval(() => {
-            if (pendingMove) {
-                executePendingMove();
-            }
-        }, BATCH_INTERVAL);
+        lastMoveTick = performance.now();
+        moveTimer = setInterval(stepMotion, BATCH_INTERVAL);
+    }
+}
+
+// ============================================
+// Design Images (page rendition or screen capture)
+// ============================================
+
+// AI images are scaled to fit this box (saves tokens, avoids timeouts on 4K screens)
+const AI_IMAGE_MAX_SIZE = config.capture.aiImageMaxSize;
+const AI_JPEG_QUALITY = config.capture.jpegQuality;
+
+function renditionFrom(msg) {
+    return msg.image ? { image: msg.image, imageType: msg.imageType || 'image/png' } : null;
+}
+
+/**
+ * JPEG of the user's design for the vision model.
+ * Prefers the page rendition exported by the panel; falls back to capturing
+ * the whole screen when there is none (or it can't be decoded).
+ * @param {{image: string, imageType: string}|null} rendition - Base64 image from the panel
+ * @returns {Promise<{base64Image: string, source: 'rendition'|'screen'}>}
+ */
+async function getDesignImage(rendition) {
+    if (rendition) {
+        try {
+            // Transparent page areas would turn black in a JPEG - flatten onto white
+            const result = await captureService.encodeImage(rendition.image, {
+                maxSize: AI_IMAGE_MAX_SIZE,
+                quality: AI_JPEG_QUALITY,
+                background: 0xffffffff
+            });
+            return { base64Image: result.base64, source: 'rendition' };
+        } catch (error) {
+            if (!driver.capabilities.capture) throw error;
+            console.warn('⚠️ Could not decode page rendition, capturing screen:', error.message);
+        }
     }
+
+    // Quality 70 (default) is fast and still good for text
+    const result = await captureService.captureScreen({ maxSize: AI_IMAGE_MAX_SIZE, quality: AI_JPEG_QUALITY });
+    return { base64Image: result.base64, source: 'screen' };
+}
+
+/**
+ * Refuse a request that needs a screen capture the driver can't make (xdotool/ydotool),
+ * before any work is queued. A page rendition from the panel doesn't need one.
+ * @returns {boolean} true when refused (the error has been sent)
+ */
+function refuseScreenCapture(ws, requestId, rendition = null) {
+    if (rendition || driver.capabilities.capture) return false;
+    replyError(ws, requestId, ERROR_CODES.UNSUPPORTED,
+        `Screen capture is not supported by the ${driver.name} driver - use robotjs, or open the panel in Adobe Express so it can send the page`);
+    return true;
 }
 
 // ============================================
-// HTTP API (for health check only)
+// HTTP API
 // ============================================
 
 app.get('/api/health', (req, res) => {
-    res.json({
+    // The address the client reached us on (the panel may have found us on a non-default port)
+    const host = req.get('host') || `localhost:${req.secure ? TLS_PORT : PORT}`;
+    // Enough to find the backend and pair with it
+    const liveness = {
         status: 'healthy',
+        protocolVersion: PROTOCOL_VERSION,
+        auth: { required: true },
+        endpoints: { http: `http://localhost:${PORT}`, https: secureEndpoint },
+        websocket: `${req.secure ? 'wss' : 'ws'}://${host}`
+    };
+
+    // The setup, paths and process stats - and the blocking display probe - are for paired clients
+    if (!tokensMatch(PAIRING_TOKEN, getRequestToken(req))) {
+        if (req.query.refresh) return res.status(401).json({ error: 'Pairing token required' });
+        return res.json(liveness);
+    }
+
+    // ?refresh=1 re-detects displays (e.g. after plugging in a monitor)
+    if (req.query.refresh) refreshDisplays();
+
+    res.json({
+        ...liveness,
         position: currentPos,
         screen: screenSize,
-        websocket: `ws://localhost:${PORT}`
+        displays,
+        desktop: desktopBounds,
+        driver: {
+            name: driver.name,
+            requested: requestedDriver,
+            fallbackReason
+        },
+        vision: visionClient.describe(),
+        capture: captureService.stats(),
+        // CPU time in microseconds since start (bench-encoding.js diffs it)
+        process: { uptime: process.uptime(), cpu: process.cpuUsage(), rss: process.memoryUsage().rss },
+        // What the panel can offer with this backend
+        capabilities: {
+            vision: visionClient.isConfigured(),
+            imageSearch: Boolean(UNSPLASH_ACCESS_KEY),
+            restApi: true,
+            recordsActions: typeof driver.getActions === 'function',
+            capture: driver.capabilities.capture
+        },
+        // Effective settings, read-only, secrets shown as true/false
+        config: publicConfig(config)
     });
 });
 
+// Recorded actions (virtual driver only) - shows exactly what would have been sent to the OS
+app.get('/api/driver/actions', requireToken, (req, res) => {
+    if (typeof driver.getActions !== 'function') {
+        return res.status(404).json({ error: `Driver "${driver.name}" does not record actions` });
+    }
+    res.json({ driver: driver.name, actions: driver.getActions() });
+});
+
+// REST control uses the WebSocket action handlers; replies land here instead of on a socket
+const HTTP_ERROR_STATUS = {
+    [ERROR_CODES.BAD_JSON]: 400,
+    [ERROR_CODES.UNKNOWN_ACTION]: 400,
+    [ERROR_CODES.INVALID_PARAMS]: 400,
+    [ERROR_CODES.MISSING_API_KEY]: 503,
+    [ERROR_CODES.UPSTREAM_FAILED]: 502,
+    [ERROR_CODES.DRIVER_FAILED]: 500,
+    [ERROR_CODES.UNSUPPORTED]: 501,
+    [ERROR_CODES.TIMEOUT]: 504,
+    [ERROR_CODES.INTERNAL]: 500
+};
+const HTTP_RESULT_TIMEOUT = 120000;
+
+// Stands in for a socket: collects reply()/replyError() messages for one request
+function createHttpConnection() {
+    const messages = [];
+    let notify = null;
+
+    return {
+        readyState: 1,
+        OPEN: 1,
+        messages,
+        send(data) {
+            const message = JSON.parse(data);
+            messages.push(message);
+            if (notify && isFinalResponse(message.type)) notify(message);
+        },
+        // First final message (result or error)
+        finalMessage(timeout) {
+            const done = messages.find(message => isFinalResponse(message.type));
+            if (done) return Promise.resolve(done);
+            return new Promise((resolve) => {
+                const timer = setTimeout(() => resolve(null), timeout);
+                notify = (message) => {
+                    clearTimeout(timer);
+                    resolve(message);
+                };
+            });
+        }
+    };
+}
+
+function sendHttpError(res, code, message) {
+    res.status(HTTP_ERROR_STATUS[code] || 500).json({ error: message, code });
+}
+
+// Same actions as the WebSocket: { action, ...params }
+app.post('/api/mouse', requireToken, async (req, res) => {
+    const msg = req.body;
+    const check = validateMessage(msg);
+    if (!check.ok) return sendHttpError(res, check.code, check.message);
+    // REST calls come from your own scripts and are not arbitrated like panel sessions
+    if (ACTIONS[msg.action].socketOnly) {
+        return sendHttpError(res, ERROR_CODES.UNKNOWN_ACTION, `${msg.action} is only used on the WebSocket`);
+    }
+
+    const connection = createHttpConnection();
+    try {
+        await handleAction(connection, msg);
+    } catch (error) {
+        console.error(`[HTTP ${msg.action} Error]`, error.message);
+        return sendHttpError(res, ERROR_CODES.INTERNAL, `${msg.action} failed`);
+    }
+
+    // Don't make HTTP callers wait for the next batch tick
+    executePendingMove();
+
+    let response = null;
+    if (ACTIONS[msg.action].responds) {
+        response = await connection.finalMessage(HTTP_RESULT_TIMEOUT);
+        if (!response) return sendHttpError(res, ERROR_CODES.TIMEOUT, `${msg.action} timed out`);
+    } else {
+        response = connection.messages.find(message => message.type === 'error') || null;
+    }
+
+    if (response && response.type === 'error') {
+        return sendHttpError(res, response.code, response.message);
+    }
+
+    res.json({ ok: true, action: msg.action, position: currentPos, response });
+});
+
+app.get('/api/mouse/position', requireToken, (req, res) => {
+    // Ask the driver - the user may have moved the real mouse
+    try {
+        const pos = driver.getMousePos();
+        res.json({ x: pos.x, y: pos.y });
+    } catch (error) {
+        res.json({ ...currentPos });
+    }
+});
+
+app.get('/api/screen', requireToken, (req, res) => {
+    res.json({ ...screenSize, displays, desktop: desktopBounds });
+});
+
+// OpenAPI description of the REST API (generated from the shared protocol)
+app.get('/api/openapi.json', (req, res) => {
+    res.json(buildOpenApi({ serverUrl: `${req.protocol}://${req.get('host') || `localhost:${PORT}`}` }));
+});
+
 app.use((req, res) => res.status(404).json({ error: 'Not found' }));
 
+// Malformed JSON bodies (and any other middleware error) as JSON, not HTML
+app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        return sendHttpError(res, ERROR_CODES.BAD_JSON, 'Body is not valid JSON');
+    }
+    console.error('[HTTP Error]', error.message);
+    res.status(error.status || 500).json({ error: error.message });
+});
+
 // ============================================
 // Create HTTP + WebSocket Server
 // ============================================
 
 const server = http.createServer(app);
-const wss = new WebSocketServer({ server });
+
+// ws on the http server, wss on the https server - same handlers
+function attachWebSocket(httpServer) {
+    const wss = new WebSocketServer({
+        server: httpServer,
+        // Room for a page rendition (see MAX_IMAGE_LENGTH in the protocol)
+        maxPayload: 16 * 1024 * 1024,
+        // Reject web pages that aren't the add-on before the upgrade completes
+        verifyClient: (info) => {
+            const allowed = isOriginAllowed(info.origin, ALLOWED_ORIGINS);
+            if (!allowed) console.warn(`🚫 WebSocket rejected from origin: ${info.origin}`);
+            return allowed;
+        }
+    });
+    wss.on('connection', handleConnection);
+    socketServers.push(wss);
+    return wss;
+}
+
+// Terminate sockets that missed a whole heartbeat interval (their close handler then runs)
+const HEARTBEAT_INTERVAL = 15000;
+const socketServers = [];
+
+setInterval(() => {
+    for (const wss of socketServers) {
+        for (const ws of wss.clients) {
+            if (!ws.isAlive) {
+                console.warn('💔 Client missed its heartbeat - closing');
+                ws.terminate();
+                continue;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }
+    }
+}, HEARTBEAT_INTERVAL).unref();
+
+// Every reply echoes the requestId of the message it answers (if it had one)
+function reply(ws, requestId, type, payload = {}) {
+    if (ws.readyState !== ws.OPEN) return;
+    ws.send(JSON.stringify({ type, requestId, ...payload }));
+}
+
+function replyError(ws, requestId, code, message) {
+    reply(ws, requestId, 'error', { code, message });
+}
+
+// ============================================
+// Control Ownership (one session moves the mouse)
+// ============================================
+
+let nextSessionId = 1;
+const sessions = new Set();
+
+const control = createControlArbiter({
+    onChange({ previous, current }) {
+        if (previous !== current) {
+            console.log(`🎮 Control: ${current ? `session ${current.sessionId}` : 'nobody'}${previous ? ` (was session ${previous.sessionId})` : ''}`);
+            // The new controller must not inherit a drag the old one started
+            if (previous) releaseHeldButton(previous);
+            // ...or the rest of a macro the old one started
+            if (macroPlayer && macroPlayer.owner === previous) stopMacroPlayback();
+        }
+        for (const ws of sessions) {
+            reply(ws, undefined, 'control', control.describe(ws));
+        }
+    }
+});
+
+function releaseHeldButton(ws) {
+    if (!ws.holdsMouseButton) return;
+    ws.holdsMouseButton = false;
+    mouseClick('mouseup');
+    console.log(`✋ Released mouse button held by session ${ws.sessionId}`);
+}
+
+// Observers' pointer/keyboard actions are dropped; they hear why at most once a second
+const NOT_CONTROLLER_NOTICE_INTERVAL = 1000;
+
+function mayControl(ws, msg, requestId) {
+    if (!ACTIONS[msg.action].controls || control.claim(ws)) return true;
+
+    const now = Date.now();
+    if (requestId !== undefined || now - (ws.lastNotControllerNotice || 0) >= NOT_CONTROLLER_NOTICE_INTERVAL) {
+        ws.lastNotControllerNotice = now;
+        replyError(ws, requestId, ERROR_CODES.NOT_CONTROLLER, 'Another session is in control - send takeControl first');
+    }
+    return false;
+}
+
+// ============================================
+// Macros (record + play back pointer/keyboard actions)
+// ============================================
+
+const macroStore = createMacroStore(config.macros.dir || undefined);
+// The macro playing right now ({ name, owner, abort }) - one at a time, there is one mouse
+let macroPlayer = null;
+
+function macroState(ws, extra = {}) {
+    return {
+        recording: ws.macroRecorder ? ws.macroRecorder.name : null,
+        playing: macroPlayer ? macroPlayer.name : null,
+        ...extra
+    };
+}
+
+// Keep what the session just did if it is recording ('move' is stored as the target it produced)
+function recordMacroStep(ws, msg) {
+    if (!ws.macroRecorder || !RECORDED_ACTIONS.has(msg.action === 'move' ? 'moveTo' : msg.action)) return;
+
+    const step = msg.action === 'move' ? { action: 'moveTo', ...motion.getTarget() } : msg;
+    if (!ws.macroRecorder.record(step)) {
+        replyError(ws, undefined, ERROR_CODES.INVALID_PARAMS, 'Macro is full - recording stopped');
+        finishRecording(ws);
+    }
+}
+
+function finishRecording(ws, requestId) {
+    const recorder = ws.macroRecorder;
+    ws.macroRecorder = null;
+
+    const macro = recorder.finish();
+    if (macro.steps.length === 0) {
+        reply(ws, requestId, 'macro_state', macroState(ws, { saved: null }));
+        return;
+    }
+
+    try {
+        macroStore.save(macro);
+    } catch (error) {
+        console.error('[Macro Save Error]', error.message);
+        replyError(ws, requestId, ERROR_CODES.INTERNAL, `Could not save macro: ${error.message}`);
+        return;
+    }
+    console.log(`⏺️ Macro "${macro.name}" saved (${macro.steps.length} steps, ${(macro.duration / 1000).toFixed(1)}s)`);
+    reply(ws, requestId, 'macro_state', macroState(ws, { saved: macro.name }));
+}
+
+// Saved steps are re-validated - the file may have been edited by hand
+function loadPlayableMacro(name) {
+    const macro = macroStore.load(name);
+    if (!macro) return { error: `No macro named "${name}"` };
+
+    for (const [index, { t, ...step }] of macro.steps.entries()) {
+        const check = validateMessage(step);
+        if (!Number.isFinite(t) || !check.ok || !RECORDED_ACTIONS.has(step.action)) {
+            return { error: `Macro "${name}" step ${index + 1} is invalid${check.ok ? '' : `: ${check.message}`}` };
+        }
+    }
+    return { macro };
+}
+
+function startMacroPlayback(ws, requestId, name, speed = 1) {
+    if (macroPlayer) {
+        replyError(ws, requestId, ERROR_CODES.INVALID_PARAMS, `Macro "${macroPlayer.name}" is already playing`);
+        return;
+    }
+    if (ws.macroRecorder) {
+        replyError(ws, requestId, ERROR_CODES.INVALID_PARAMS, 'Stop recording before playing a macro');
+        return;
+    }
+
+    let loaded;
+    try {
+        loaded = loadPlayableMacro(name);
+    } catch (error) {
+        loaded = { error: `Could not read macro: ${error.message}` };
+    }
+    if (loaded.error) {
+        replyError(ws, requestId, ERROR_CODES.INVALID_PARAMS, loaded.error);
+        return;
+    }
+
+    console.log(`▶️ Playing macro "${loaded.macro.name}" at ${speed}x`);
+    const player = playMacro(loaded.macro, {
+        speed,
+        run: (step) => handleAction(ws, step),
+        onDone: ({ aborted }) => {
+            if (macroPlayer === player) macroPlayer = null;
+            console.log(`${aborted ? '⏹️' : '✅'} Macro "${player.name}" ${aborted ? 'aborted' : 'finished'}`);
+            reply(ws, undefined, 'macro_state', macroState(ws, { finished: player.name, aborted }));
+        }
+    });
+    player.owner = ws;
+    macroPlayer = player;
+    reply(ws, requestId, 'macro_state', macroState(ws));
+}
+
+function stopMacroPlayback() {
+    if (macroPlayer) macroPlayer.abort();
+}
+
+function handleMacroAction(ws, msg) {
+    const { requestId } = msg;
+
+    switch (msg.action) {
+        case 'macroList':
+            reply(ws, requestId, 'macros', { macros: macroStore.list() });
+            break;
+
+        case 'macroRecord':
+            if (ws.macroRecorder) {
+                replyError(ws, requestId, ERROR_CODES.INVALID_PARAMS, `Already recording "${ws.macroRecorder.name}"`);
+                break;
+            }
+            ws.macroRecorder = createMacroRecorder(msg.name);
+            console.log(`⏺️ Session ${ws.sessionId} recording macro "${msg.name}"`);
+            reply(ws, requestId, 'macro_state', macroState(ws));
+            break;
+
+        case 'macroStop':
+            // Recording first: a session never records and plays at once
+            if (ws.macroRecorder) {
+                finishRecording(ws, requestId);
+            } else if (macroPlayer && macroPlayer.owner !== ws && !control.isController(ws)) {
+                // An observer (or a REST call) can't abort the controller's macro
+                replyError(ws, requestId, ERROR_CODES.NOT_CONTROLLER, 'Only the session in control can stop this macro');
+            } else {
+                stopMacroPlayback();
+                reply(ws, requestId, 'macro_state', macroState(ws));
+            }
+            break;
+
+        case 'macroPlay':
+            startMacroPlayback(ws, requestId, msg.name, msg.speed);
+            break;
+
+        case 'macroRename':
+            macroStore.rename(msg.name, msg.to);
+            reply(ws, requestId, 'macros', { macros: macroStore.list() });
+            break;
+
+        case 'macroDelete':
+            macroStore.remove(msg.name);
+            reply(ws, requestId, 'macros', { macros: macroStore.list() });
+            break;
+    }
+}
+
+// First message must be { action: 'auth', token, version } - nothing else runs until then
+function handleAuthMessage(ws, msg, check) {
+    const isAuth = msg && msg.action === 'auth';
+
+    if (isAuth && msg.version !== PROTOCOL_VERSION) {
+        console.warn(`🚫 WebSocket client speaks protocol v${msg.version}, expected v${PROTOCOL_VERSION}`);
+        reply(ws, check.requestId, 'auth_error', {
+            code: ERROR_CODES.UNSUPPORTED_VERSION,
+            message: `Unsupported protocol version (backend speaks v${PROTOCOL_VERSION})`,
+            version: PROTOCOL_VERSION
+        });
+        ws.close(CLOSE_CODES.UNSUPPORTED_VERSION, 'Unsupported protocol version');
+        return;
+    }
+
+    if (isAuth && check.ok && tokensMatch(PAIRING_TOKEN, msg.token)) {
+        ws.isAuthenticated = true;
+        clearTimeout(ws.authTimer);
+        // Binary pointer frames only if the client asked for them
+        ws.binaryFrames = Array.isArray(msg.encodings) && msg.encodings.includes(BINARY.ENCODING);
+        console.log(`🔐 Client paired${ws.binaryFrames ? ' (binary pointer frames)' : ''}`);
+        reply(ws, check.requestId, 'auth_ok', {
+            version: PROTOCOL_VERSION,
+            encodings: ws.binaryFrames ? [BINARY.ENCODING] : []
+        });
+
+        // Send current position once paired
+        reply(ws, undefined, 'position', currentPos);
+
+        // Control if nobody has it, otherwise wait in line (everyone hears about it)
+        ws.sessionId = nextSessionId++;
+        sessions.add(ws);
+        control.join(ws);
+        return;
+    }
+
+    console.warn('🚫 WebSocket client failed pairing');
+    reply(ws, check.requestId, 'auth_error', {
+        code: ERROR_CODES.AUTH_FAILED,
+        message: isAuth ? 'Invalid pairing token' : 'Pair first with { action: "auth", token, version }'
+    });
+    ws.close(CLOSE_CODES.UNAUTHORIZED, 'Invalid pairing token');
+}
+
+// Run one validated message from a paired client.
+// Returns a promise for actions that finish later (key presses), otherwise nothing
+function handleAction(ws, msg) {
+    const { requestId } = msg;
+
+    switch (msg.action) {
+        case 'moveTo':
+            // Queue move for batched execution (ultra-fast)
+            queueMove(msg.x, msg.y);
+            break;
+
+        case 'move': {
+            // Relative to where the cursor is heading, so quick deltas add up
+            const target = motion.getTarget();
+            queueMove(target.x + (msg.x || 0), target.y + (msg.y || 0));
+            break;
+        }
+
+        case 'click':
+            mouseClick(msg.button || 'left');
+            break;
+
+        case 'doubleclick':
+            mouseClick('left');
+            setTimeout(() => mouseClick('left'), 50);
+            break;
+
+        case 'ping':
+            reply(ws, requestId, 'pong', { t: msg.t, serverTime: Date.now() });
+            break;
+
+        case 'takeControl':
+            control.take(ws);
+            break;
+
+        case 'releaseControl':
+            control.release(ws);
+            break;
+
+        case 'mousedown':
+            mouseClick('mousedown');
+            // Released for the client if its socket goes away mid-drag
+            ws.holdsMouseButton = true;
+            break;
+
+        case 'mouseup':
+            mouseClick('mouseup');
+            ws.holdsMouseButton = false;
+            break;
+
+        case 'scroll': {
+            // { x, y } wheel steps, or { direction, amount }
+            const delta = scrollDelta(msg);
+            mouseScroll(delta.x, delta.y);
+            break;
+        }
+
+        case 'keyTap':
+            // { key, modifiers?, hold? }
+            return sendKeys(ws, requestId, [{ key: msg.key, modifiers: msg.modifiers, hold: msg.hold }]);
+
+        case 'keyCombo':
+            // { combo: "mod+z", hold? } or { sequence: ["mod+a", "delete"], delay? } (schema allows one)
+            if (msg.sequence) {
+                return sendKeys(ws, requestId, msg.sequence, msg.delay);
+            }
+            return sendKeys(ws, requestId, [{ combo: msg.combo, hold: msg.hold }]);
+
+        case 'type':
+            // Type text from speech recognition
+            if (msg.text) {
+                try {
+                    driver.typeString(msg.text);
+                } catch (error) {
+                    console.error('[Type Error]', error.message);
+                    replyError(ws, requestId, ERROR_CODES.DRIVER_FAILED, 'Typing failed');
+                }
+            }
+            break;
+
+        case 'macroList':
+        case 'macroRecord':
+        case 'macroStop':
+        case 'macroPlay':
+        case 'macroRename':
+        case 'macroDelete':
+            try {
+                handleMacroAction(ws, msg);
+            } catch (error) {
+                replyError(ws, requestId, ERROR_CODES.INVALID_PARAMS, error.message);
+            }
+            break;
+
+        case 'analyze':
+            console.log('🔍 Analyzing screen at', msg.x, msg.y);
+            analyzeScreen(msg.x, msg.y, ws, requestId);
+            break;
+
+        case 'analyze_design':
+            console.log('🎨 Analyzing FULL DESIGN...');
+            analyzeFullDesign(ws, requestId, renditionFrom(msg));
+            break;
+
+        case 'improve_design':
+            console.log('🚀 Generating Design IMPROVEMENTS...');
+            generateDesignImprovements(ws, requestId, renditionFrom(msg));
+            break;
+
+        case 'image_search':
+            console.log('🖼️ Image Search:', msg.query);
+            searchUnsplashImages(msg.query, msg.count || 12, ws, requestId);
+            break;
+
+        case 'suggest_images':
+            console.log('🔮 AI Image Suggestions requested...');
+            generateSmartImageSuggestions(ws, requestId, renditionFrom(msg));
+            break;
+
+        default:
+            // validateMessage knows an action this switch doesn't handle
+            replyError(ws, requestId, ERROR_CODES.UNKNOWN_ACTION, `Unhandled action: ${msg.action}`);
+    }
+}
+
+// moveTo/click/drag as binary frames (negotiated in the handshake) - no JSON.parse per cursor update
+function handleBinaryFrame(ws, data) {
+    if (!ws.isAuthenticated || !ws.binaryFrames) {
+        replyError(ws, undefined, ERROR_CODES.BAD_JSON, 'Binary frames were not negotiated');
+        return;
+    }
+
+    // decodeBinary only returns well-formed pointer messages, no schema check needed
+    const msg = decodeBinary(data);
+    if (!msg) {
+        replyError(ws, undefined, ERROR_CODES.INVALID_PARAMS, 'Malformed binary frame');
+        return;
+    }
+    if (!mayControl(ws, msg)) return;
+
+    try {
+        handleAction(ws, msg);
+        recordMacroStep(ws, msg);
+    } catch (error) {
+        console.error(`[${msg.action} Error]`, error.message);
+        replyError(ws, undefined, ERROR_CODES.INTERNAL, `${msg.action} failed`);
+    }
+}
 
 // WebSocket connection handler
-wss.on('connection', (ws) => {
-    console.log('🔌 Client connected via WebSocket');
+function handleConnection(ws, req) {
+    console.log(`🔌 Client connected via ${req.socket.encrypted ? 'secure ' : ''}WebSocket`);
 
-    // Send current position on connect
-    ws.send(JSON.stringify({ type: 'position', ...currentPos }));
+    ws.isAuthenticated = false;
+    ws.authTimer = setTimeout(() => {
+        if (!ws.isAuthenticated) ws.close(CLOSE_CODES.UNAUTHORIZED, 'Pairing required');
+    }, AUTH_TIMEOUT);
 
-    ws.on('message', (data) => {
+    ws.on('message', (data, isBinary) => {
+        if (isBinary) {
+            handleBinaryFrame(ws, data);
+            return;
+        }
+
+        let msg;
         try {
-            const msg = JSON.parse(data);
-
-            switch (msg.action) {
-                case 'moveTo':
-                    // Queue move for batched execution (ultra-fast)
-                    queueMove(msg.x, msg.y);
-                    break;
-
-                case 'move':
-                    // Relative move
-                    queueMove(currentPos.x + (msg.x || 0), currentPos.y + (msg.y || 0));
-                    break;
-
-                case 'click':
-                    mouseClick(msg.button || 'left');
-                    break;
-
-                case 'doubleclick':
-                    mouseClick('left');
-                    setTimeout(() => mouseClick('left'), 50);
-                    break;
-
-                case 'mousedown':
-                    mouseClick('mousedown');
-                    break;
-
-                case 'mouseup':
-                    mouseClick('mouseup');
-                    break;
-
-                case 'type':
-                    // Type text from speech recognition
-                    if (msg.text) {
-                        try {
-                            robot.typeString(msg.text);
-                        } catch (error) {
-                            console.error('[Type Error]', error.message);
-                        }
-                    }
-                case 'analyze':
-                    console.log('🔍 Analyzing screen at', msg.x, msg.y);
-                    analyzeScreen(msg.x, msg.y, ws);
-                    break;
-
-                case 'analyze_design':
-                    console.log('🎨 Analyzing FULL DESIGN...');
-                    analyzeFullDesign(ws);
-                    break;
-
-                case 'improve_design':
-                    console.log('🚀 Generating Design IMPROVEMENTS...');
-                    generateDesignImprovements(ws);
-                    break;
-
-                case 'image_search':
-                    console.log('🖼️ Image Search:', msg.query);
-                    searchUnsplashImages(msg.query, msg.count || 12, ws);
-                    break;
-
-                case 'suggest_images':
-                    console.log('🔮 AI Image Suggestions requested...');
-                    generateSmartImageSuggestions(ws);
-                    break;
-            }
-        } catch (e) {
-            // Silent fail for speed
+            msg = JSON.parse(data);
+        } catch (error) {
+            replyError(ws, undefined, ERROR_CODES.BAD_JSON, 'Message is not valid JSON');
+            return;
+        }
+
+        const check = validateMessage(msg);
+
+        if (!ws.isAuthenticated) {
+            handleAuthMessage(ws, msg, check);
+            return;
+        }
+
+        if (!check.ok) {
+            console.warn(`⚠️ Rejected message (${check.code}): ${check.message}`);
+            replyError(ws, check.requestId, check.code, check.message);
+            return;
+        }
+
+        if (!mayControl(ws, msg, check.requestId)) return;
+
+        try {
+            handleAction(ws, msg);
+            // Macro playback calls handleAction directly, so it is never recorded into another macro
+            recordMacroStep(ws, msg);
+        } catch (error) {
+            console.error(`[${msg.action} Error]`, error.message);
+            replyError(ws, check.requestId, ERROR_CODES.INTERNAL, `${msg.action} failed`);
         }
     });
 
+    // Protocol-level pings (browsers answer them automatically) find half-dead sockets
+    ws.isAlive = true;
+    ws.on('pong', () => {
+        ws.isAlive = true;
+    });
+
     ws.on('close', () => {
-        console.log('🔌 Client disconnected');
+        clearTimeout(ws.authTimer);
+        console.log(`🔌 Client disconnected${ws.sessionId ? ` (session ${ws.sessionId})` : ''}`);
+
+        // A drag must not outlive its connection - the button would stay pressed
+        releaseHeldButton(ws);
+
+        // Nobody is left to abort it; a half-finished recording is still worth keeping
+        if (macroPlayer && macroPlayer.owner === ws) stopMacroPlayback();
+        if (ws.macroRecorder) finishRecording(ws);
+
+        if (sessions.delete(ws)) control.leave(ws);
     });
 
     ws.on('error', () => {
         // Silent
     });
-});
+}
+
+attachWebSocket(server);
 
 // ============================================
 // Start Server
 // ============================================
 
+// https + wss with the configured or a generated self-signed certificate
+async function startSecureServer() {
+    let credentials;
+    try {
+        credentials = await loadTlsCredentials({ certFile: config.tls.cert, keyFile: config.tls.key });
+    } catch (error) {
+        console.error('❌ TLS disabled - certificate unavailable:', error.message);
+        return;
+    }
+
+    const secureServer = https.createServer({ cert: credentials.cert, key: credentials.key }, app);
+    attachWebSocket(secureServer);
+
+    secureServer.on('error', (error) => {
+        console.error(`❌ HTTPS server on port ${TLS_PORT} failed:`, error.message);
+    });
+
+    secureServer.listen(TLS_PORT, () => {
+        secureEndpoint = `https://localhost:${TLS_PORT}`;
+        console.log(`🔒 HTTPS/WSS:  ${secureEndpoint} (certificate: ${credentials.source === 'files' ? credentials.certFile : 'self-signed'})`);
+        if (credentials.source !== 'files') {
+            console.log(`   ${credentials.source === 'generated' ? 'New certificate saved to' : 'Certificate'} ${credentials.certFile}`);
+            console.log(`   Open ${secureEndpoint}/api/health once and accept it (or trust the .pem) so the panel can use wss.`);
+            console.log(`   SHA-256: ${credentials.fingerprint}\n`);
+        }
+    });
+}
+
 server.listen(PORT, () => {
     const platform = os.platform();
     const platformName = {
@@ -261,65 +1071,49 @@ server.listen(PORT, () => {
     console.log('');
     console.log('✅ Ultra-smooth mode ready!\n');
 
-    // Check if HF_API_KEY is set
-    if (!HF_API_KEY) {
+    // Pairing token - the panel asks for it once and remembers it
+    console.log(`🔐 Pairing token: ${PAIRING_TOKEN}`);
+    if (pairing.source === 'generated') {
+        console.log(`   New token saved to ${TOKEN_FILE}`);
+    }
+    console.log('   Enter it in the SenseLink panel when asked to pair.\n');
+
+    // Check the vision model can be reached
+    const vision = visionClient.describe();
+    console.log(`🧠 Vision model: ${vision.model} @ ${vision.baseUrl}`);
+    if (!visionClient.isConfigured()) {
         console.log('⚠️  Warning: HF_API_KEY not set. AI analysis features will be disabled.');
-        console.log('   Create a .env file with: HF_API_KEY=your_key_here\n');
+        console.log('   Create a .env file with: HF_API_KEY=your_key_here');
+        console.log('   (or set VISION_BASE_URL to a local model server)\n');
     }
+
+    if (config.tls.enabled) startSecureServer();
 });
 
 
 // ============================================
 // 🎨 ANALYZE FULL DESIGN (Advisor)
 // ============================================
-async function analyzeFullDesign(ws) {
+async function analyzeFullDesign(ws, requestId, rendition) {
     try {
-        if (!HF_API_KEY) {
-            ws.send(JSON.stringify({ type: 'error', message: 'Missing HF_API_KEY' }));
+        if (!visionClient.isConfigured()) {
+            replyError(ws, requestId, ERROR_CODES.MISSING_API_KEY, 'Missing HF_API_KEY');
             return;
         }
+        if (refuseScreenCapture(ws, requestId, rendition)) return;
 
         const startTime = Date.now();
-        const screenSize = robot.getScreenSize();
-
-        // Capture FULL Screen (High Res for Design)
-        // We'll scale it down later if needed, but for now capture it all.
-        // NOTE: RobotJS capture is fast.
-        const capture = robot.screen.capture(0, 0, screenSize.width, screenSize.height);
-
-        // Convert BGRA -> RGBA
-        const width = capture.width;
-        const height = capture.height;
-        const rgbaBuffer = Buffer.alloc(width * height * 4);
-        const data = capture.image;
-
-        for (let i = 0; i < width * height; i++) {
-            const idx = i * 4;
-            rgbaBuffer[idx] = data[idx + 2];     // R
-            rgbaBuffer[idx + 1] = data[idx + 1]; // G
-            rgbaBuffer[idx + 2] = data[idx];     // B
-            rgbaBuffer[idx + 3] = 255;           // A
-        }
-
-        // Process with Jimp
-        const image = new Jimp({ width, height, data: rgbaBuffer });
-
-        // Resize to manageable max dim (e.g. 1024) to save tokens/bandwidth while keeping detail
-        // Aggressively resize to prevent timeouts with large screens (like retina/4k)
-        if (width > 1024 || height > 1024) {
-            image.scaleToFit({ w: 1024, h: 1024 });
-        }
+        const { base64Image, source } = await getDesignImage(rendition);
 
-        // Reduce quality to 70 for speed (still good for text)
-        const imageBuffer = await image.getBuffer('image/jpeg', { quality: 70 });
-        const base64Image = imageBuffer.toString('base64');
+        console.log(`🎨 Design image (${source}) ready in ${Date.now() - startTime}ms`);
 
-        console.log(`🎨 Captured & Resized: ${image.bitmap.width}x${image.bitmap.height} -> Ready in ${Date.now() - startTime}ms`);
-
-        // PROMPT: Detailed Design Advisor
+        // PROMPT: Detailed Design Advisor (a screenshot needs telling what to ignore)
+        const focus = source === 'rendition'
+            ? `The image is an export of the user's design page.`
+            : `TARGET FOCUS: Analyze ONLY the central "Canvas" area (the user's actual design/artwork inside the editing workspace).
+STRICTLY IGNORE: The surrounding Adobe Express interface, including the left sidebar (Add-ons), the top navigation bar, and the right floating panels (FaceControl).`;
         const prompt = `Act as a Senior UX/UI Design Director. 
-TARGET FOCUS: Analyze ONLY the central "Canvas" area (the user's actual design/artwork inside the editing workspace).
-STRICTLY IGNORE: The surrounding Adobe Express interface, including the left sidebar (Add-ons), the top navigation bar, and the right floating panels (FaceControl).
+${focus}
 
 Provide crisp, professional feedback specifically on the user's design composition:
 
@@ -338,44 +1132,13 @@ Return STRICT JSON:
 
 Keep feedback under 20 words per section. No markdown.`;
 
-        console.log("start");
-        const response = await fetch("https://router.huggingface.co/v1/chat/completions", {
-            method: "POST",
-            headers: {
-                "Authorization": `Bearer ${HF_API_KEY}`,
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify({
-                model: "Qwen/Qwen2.5-VL-72B-Instruct",
-                messages: [
-                    {
-                        role: "user",
-                        content: [
-                            { type: "text", text: prompt },
-                            {
-                                type: "image_url",
-                                image_url: {
-                                    url: `data:image/jpeg;base64,${base64Image}`
-                                }
-                            }
-                        ]
-                    }
-                ],
-                max_completion_tokens: 500,
-                temperature: 0.2,
-                stream: false
-            })
+        const content = await visionClient.complete({
+            prompt,
+            image: base64Image,
+            maxTokens: config.vision.advisor.maxTokens,
+            temperature: config.vision.advisor.temperature
         });
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('❌ HF API Error Response:', errorText);
-            throw new Error(`HF API Error: ${response.status} - ${errorText.substring(0, 200)}`);
-        }
-
-        const result = await response.json();
-        const content = result.choices[0].message.content;
-
         console.log(`🧠 AI Advice (${Date.now() - startTime}ms) len: ${content.length}`);
 
         // Parse JSON
@@ -388,65 +1151,37 @@ Keep feedback under 20 words per section. No markdown.`;
             advice = { layout: content }; // Fallback
         }
 
-        ws.send(JSON.stringify({
-            type: 'design_advice',
-            data: advice
-        }));
+        reply(ws, requestId, 'design_advice', { data: advice, source });
 
     } catch (error) {
         console.error('❌ Design Analysis Error:', error.message);
-        ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Design Analysis Failed'
-        }));
+        replyError(ws, requestId, ERROR_CODES.UPSTREAM_FAILED, 'Design Analysis Failed');
     }
 }
 
 // ============================================
 // 🚀 GENERATE DESIGN IMPROVEMENTS (Actionable)
 // ============================================
-async function generateDesignImprovements(ws) {
+async function generateDesignImprovements(ws, requestId, rendition) {
     try {
-        if (!HF_API_KEY) {
-            ws.send(JSON.stringify({ type: 'error', message: 'Missing HF_API_KEY' }));
+        if (!visionClient.isConfigured()) {
+            replyError(ws, requestId, ERROR_CODES.MISSING_API_KEY, 'Missing HF_API_KEY');
             return;
         }
+        if (refuseScreenCapture(ws, requestId, rendition)) return;
 
         const startTime = Date.now();
-        const screenSize = robot.getScreenSize();
-
-        // Capture FULL Screen
-        const capture = robot.screen.capture(0, 0, screenSize.width, screenSize.height);
-
-        // Convert BGRA -> RGBA
-        const width = capture.width;
-        const height = capture.height;
-        const rgbaBuffer = Buffer.alloc(width * height * 4);
-        const data = capture.image;
-
-        for (let i = 0; i < width * height; i++) {
-            const idx = i * 4;
-            rgbaBuffer[idx] = data[idx + 2];     // R
-            rgbaBuffer[idx + 1] = data[idx + 1]; // G
-            rgbaBuffer[idx + 2] = data[idx];     // B
-            rgbaBuffer[idx + 3] = 255;           // A
-        }
-
-        // Process with Jimp - resize for speed
-        const image = new Jimp({ width, height, data: rgbaBuffer });
-        if (width > 1024 || height > 1024) {
-            image.scaleToFit({ w: 1024, h: 1024 });
-        }
+        const { base64Image, source } = await getDesignImage(rendition);
 
-        const imageBuffer = await image.getBuffer('image/jpeg', { quality: 70 });
-        const base64Image = imageBuffer.toString('base64');
-
-        console.log(`🚀 Captured & Resized: ${image.bitmap.width}x${image.bitmap.height} -> Ready in ${Date.now() - startTime}ms`);
+        console.log(`🚀 Design image (${source}) ready in ${Date.now() - startTime}ms`);
 
         // PROMPT: Generate ACTIONABLE design improvements
-        const prompt = `You are a Design Improvement Engine. Analyze the central canvas area (the user's design) and generate ACTIONABLE improvement commands.
+        const focus = source === 'rendition'
+            ? `The image is an export of the user's design page; x/y positions map directly onto it.`
+            : `FOCUS ONLY on the user's design/artwork in the central canvas. IGNORE the Adobe Express UI (sidebars, toolbars, panels).`;
+        const prompt = `You are a Design Improvement Engine. Analyze the user's design and generate ACTIONABLE improvement commands.
 
-FOCUS ONLY on the user's design/artwork in the central canvas. IGNORE the Adobe Express UI (sidebars, toolbars, panels).
+${focus}
 
 Your task: Suggest 2-4 visual enhancements that can be programmatically added to improve the design.
 
@@ -497,43 +1232,13 @@ Guidelines:
 - Output ONLY valid JSON, no markdown or explanatory text`;
 
         console.log("🚀 Sending to AI for improvement generation...");
-        const response = await fetch("https://router.huggingface.co/v1/chat/completions", {
-            method: "POST",
-            headers: {
-                "Authorization": `Bearer ${HF_API_KEY}`,
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify({
-                model: "Qwen/Qwen2.5-VL-72B-Instruct",
-                messages: [
-                    {
-                        role: "user",
-                        content: [
-                            { type: "text", text: prompt },
-                            {
-                                type: "image_url",
-                                image_url: {
-                                    url: `data:image/jpeg;base64,${base64Image}`
-                                }
-                            }
-                        ]
-                    }
-                ],
-                max_completion_tokens: 800,
-                temperature: 0.3,
-                stream: false
-            })
+        const content = await visionClient.complete({
+            prompt,
+            image: base64Image,
+            maxTokens: config.vision.improve.maxTokens,
+            temperature: config.vision.improve.temperature
         });
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('❌ HF API Error Response:', errorText);
-            throw new Error(`HF API Error: ${response.status} - ${errorText.substring(0, 200)}`);
-        }
-
-        const result = await response.json();
-        const content = result.choices[0].message.content;
-
         console.log(`🧠 AI Improvements (${Date.now() - startTime}ms) len: ${content.length}`);
 
         // Parse JSON
@@ -584,75 +1289,43 @@ Guidelines:
 
         console.log("✅ Improvements generated:", JSON.stringify(improvements, null, 2));
 
-        ws.send(JSON.stringify({
-            type: 'design_improvements',
-            data: improvements
-        }));
+        reply(ws, requestId, 'design_improvements', { data: improvements, source });
 
     } catch (error) {
         console.error('❌ Design Improvement Error:', error.message);
-        ws.send(JSON.stringify({
-            type: 'error',
-            message: 'Design Improvement Failed'
-        }));
+        replyError(ws, requestId, ERROR_CODES.UPSTREAM_FAILED, 'Design Improvement Failed');
     }
 }
 
 // ============================================
 // 🔮 AI-POWERED IMAGE SUGGESTIONS
 // ============================================
-async function generateSmartImageSuggestions(ws) {
+async function generateSmartImageSuggestions(ws, requestId, rendition) {
     try {
-        if (!HF_API_KEY) {
-            ws.send(JSON.stringify({
-                type: 'image_suggestion_error',
-                message: 'Missing HF_API_KEY for AI analysis'
-            }));
+        if (!visionClient.isConfigured()) {
+            replyError(ws, requestId, ERROR_CODES.MISSING_API_KEY, 'Missing HF_API_KEY for AI analysis');
             return;
         }
 
         if (!UNSPLASH_ACCESS_KEY) {
-            ws.send(JSON.stringify({
-                type: 'image_suggestion_error',
-                message: 'Missing UNSPLASH_ACCESS_KEY'
-            }));
+            replyError(ws, requestId, ERROR_CODES.MISSING_API_KEY, 'Missing UNSPLASH_ACCESS_KEY');
             return;
         }
+        if (refuseScreenCapture(ws, requestId, rendition)) return;
 
         const startTime = Date.now();
 
-        // Step 1: Capture the screen (canvas area)
-        console.log('🔮 Step 1: Capturing screen...');
-        const screenSize = robot.getScreenSize();
-        const capture = robot.screen.capture(0, 0, screenSize.width, screenSize.height);
-
-        // Convert BGRA -> RGBA
-        const width = capture.width;
-        const height = capture.height;
-        const rgbaBuffer = Buffer.alloc(width * height * 4);
-        const data = capture.image;
-
-        for (let i = 0; i < width * height; i++) {
-            const idx = i * 4;
-            rgbaBuffer[idx] = data[idx + 2];     // R
-            rgbaBuffer[idx + 1] = data[idx + 1]; // G
-            rgbaBuffer[idx + 2] = data[idx];     // B
-            rgbaBuffer[idx + 3] = 255;           // A
-        }
-
-        // Process with Jimp - resize for speed
-        const image = new Jimp({ width, height, data: rgbaBuffer });
-        if (width > 1024 || height > 1024) {
-            image.scaleToFit({ w: 1024, h: 1024 });
-        }
-
-        const imageBuffer = await image.getBuffer('image/jpeg', { quality: 70 });
-        const base64Image = imageBuffer.toString('base64');
+        // Step 1: Page rendition from the panel (or a screen capture)
+        console.log('🔮 Step 1: Preparing design image...');
+        const { base64Image, source } = await getDesignImage(rendition);
 
         console.log(`🔮 Step 2: Sending to AI for analysis... (${Date.now() - startTime}ms)`);
 
         // Step 2: Send to AI to get search keywords
-        const prompt = `You are a visual researcher helping find stock photos. Look at the Adobe Express canvas in this screenshot (the white/colored design area in the center - IGNORE the toolbars and sidebar UI).
+        const look = source === 'rendition'
+            ? 'Look at this exported Adobe Express design page.'
+            : 'Look at the Adobe Express canvas in this screenshot (the white/colored design area in the center - IGNORE the toolbars and sidebar UI).';
+        const prompt = `You are a visual researcher helping find stock photos. ${look}
 
 Based on the design's theme, colors, text, and style, suggest a short search query for finding a complementary stock photo on Unsplash.
 
@@ -664,42 +1337,13 @@ Rules:
 
 Return ONLY the search query, nothing else.`;
 
-        const response = await fetch("https://router.huggingface.co/v1/chat/completions", {
-            method: "POST",
-            headers: {
-                "Authorization": `Bearer ${HF_API_KEY}`,
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify({
-                model: "Qwen/Qwen2.5-VL-72B-Instruct",
-                messages: [
-                    {
-                        role: "user",
-                        content: [
-                            { type: "text", text: prompt },
-                            {
-                                type: "image_url",
-                                image_url: {
-                                    url: `data:image/jpeg;base64,${base64Image}`
-                                }
-                            }
-                        ]
-                    }
-                ],
-                max_completion_tokens: 50,
-                temperature: 0.3,
-                stream: false
-            })
+        const content = await visionClient.complete({
+            prompt,
+            image: base64Image,
+            maxTokens: config.vision.suggest.maxTokens,
+            temperature: config.vision.suggest.temperature
         });
-
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error('❌ AI Analysis Error:', errorText);
-            throw new Error(`AI Error: ${response.status}`);
-        }
-
-        const result = await response.json();
-        let searchQuery = result.choices[0].message.content.trim();
+        let searchQuery = content.trim();
         
         // Clean up the query (remove quotes, extra punctuation)
         searchQuery = searchQuery.replace(/["']/g, '').replace(/\.$/, '').trim();
@@ -707,15 +1351,12 @@ Return ONLY the search query, nothing else.`;
         console.log(`🔮 Step 3: AI suggested query: "${searchQuery}" (${Date.now() - startTime}ms)`);
 
         // Send the insight back to frontend
-        ws.send(JSON.stringify({
-            type: 'image_suggestion_insight',
-            insight: searchQuery
-        }));
+        reply(ws, requestId, 'image_suggestion_insight', { insight: searchQuery, source });
 
         // Step 3: Search Unsplash with the AI-generated query
         console.log(`🔮 Step 4: Searching Unsplash for "${searchQuery}"...`);
 
-        const unsplashUrl = `https://api.unsplash.com/search/photos?query=${encodeURIComponent(searchQuery)}&per_page=9&orientation=landscape`;
+        const unsplashUrl = `${UNSPLASH_BASE_URL}/search/photos?query=${encodeURIComponent(searchQuery)}&per_page=${config.unsplash.suggestionCount}&orientation=landscape`;
 
         const unsplashResponse = await fetch(unsplashUrl, {
             headers: {
@@ -749,40 +1390,34 @@ Return ONLY the search query, nothing else.`;
 
         console.log(`🔮 Complete! Found ${images.length} images in ${Date.now() - startTime}ms`);
 
-        ws.send(JSON.stringify({
-            type: 'image_suggestion_results',
+        reply(ws, requestId, 'image_suggestion_results', {
             query: searchQuery,
             total: unsplashData.total,
             images: images
-        }));
+        });
 
     } catch (error) {
         console.error('❌ Smart Suggestion Error:', error.message);
-        ws.send(JSON.stringify({
-            type: 'image_suggestion_error',
-            message: error.message
-        }));
+        replyError(ws, requestId, ERROR_CODES.UPSTREAM_FAILED, error.message);
     }
 }
 
 // ============================================
 // 🖼️ IMAGE SEARCH (Unsplash)
 // ============================================
-async function searchUnsplashImages(query, count, ws) {
+async function searchUnsplashImages(query, count, ws, requestId) {
     try {
         if (!UNSPLASH_ACCESS_KEY) {
             console.log('❌ Missing UNSPLASH_ACCESS_KEY');
-            ws.send(JSON.stringify({
-                type: 'image_search_error',
-                message: 'Missing Unsplash API Key. Add UNSPLASH_ACCESS_KEY to .env file.'
-            }));
+            replyError(ws, requestId, ERROR_CODES.MISSING_API_KEY,
+                'Missing Unsplash API Key. Add UNSPLASH_ACCESS_KEY to .env file.');
             return;
         }
 
         const startTime = Date.now();
-        const perPage = Math.min(count, 30); // Unsplash max is 30
+        const perPage = Math.min(count, config.unsplash.maxPerPage); // Unsplash max is 30
 
-        const url = `https://api.unsplash.com/search/photos?query=${encodeURIComponent(query)}&per_page=${perPage}&orientation=landscape`;
+        const url = `${UNSPLASH_BASE_URL}/search/photos?query=${encodeURIComponent(query)}&per_page=${perPage}&orientation=landscape`;
 
         console.log(`🔍 Searching Unsplash: "${query}" (${perPage} results)`);
 
@@ -821,19 +1456,15 @@ async function searchUnsplashImages(query, count, ws) {
 
         console.log(`✅ Found ${images.length} images in ${Date.now() - startTime}ms`);
 
-        ws.send(JSON.stringify({
-            type: 'image_search_results',
+        reply(ws, requestId, 'image_search_results', {
             query: query,
             total: data.total,
             images: images
-        }));
+        });
 
     } catch (error) {
         console.error('❌ Image Search Error:', error.message);
-        ws.send(JSON.stringify({
-            type: 'image_search_error',
-            message: error.message
-        }));
+        replyError(ws, requestId, ERROR_CODES.UPSTREAM_FAILED, error.message);
     }
 }
 
@@ -841,53 +1472,39 @@ async function searchUnsplashImages(query, count, ws) {
 // AI Analysis Functions
 // ============================================
 
-async function analyzeScreen(x, y, ws) {
+async function analyzeScreen(x, y, ws, requestId) {
     try {
-        if (!HF_API_KEY) {
+        if (!visionClient.isConfigured()) {
             console.log('❌ Missing HF_API_KEY');
-            ws.send(JSON.stringify({
-                type: 'explanation',
-                data: { name: 'Error', mood: 'Missing API Key', reason: 'Please add HF_API_KEY to .env file' }
-            }));
+            replyError(ws, requestId, ERROR_CODES.MISSING_API_KEY, 'Please add HF_API_KEY to .env file');
             return;
         }
+        // The inspector always looks at the screen itself
+        if (refuseScreenCapture(ws, requestId)) return;
 
         // 1. Get REAL mouse position from system
-        const mousePos = robot.getMousePos();
+        const mousePos = driver.getMousePos();
         const startTime = Date.now();
 
-        // 2. Capture Screen (600x600 for sharp text details)
-        const size = 600;
-
-        // Center vertically, but shift down 40% relative to cursor 
-        const captureX = Math.max(0, Math.min(mousePos.x - size / 2, screenSize.width - size));
-        const captureY = Math.max(0, Math.min(mousePos.y - (size * 0.2), screenSize.height - size));
-
-        const capture = robot.screen.capture(captureX, captureY, size, size);
+        // 2. Capture Screen (600x600 by default, for sharp text details)
+        const size = config.capture.inspectorSize;
 
-        // Convert BGRA (robotjs) to RGBA (Jimp)
-        const width = capture.width;
-        const height = capture.height;
-        const rgbaBuffer = Buffer.alloc(width * height * 4);
-        const data = capture.image;
-
-        for (let i = 0; i < width * height; i++) {
-            const idx = i * 4;
-            rgbaBuffer[idx] = data[idx + 2];     // R
-            rgbaBuffer[idx + 1] = data[idx + 1]; // G
-            rgbaBuffer[idx + 2] = data[idx];     // B
-            rgbaBuffer[idx + 3] = 255;           // A
-        }
+        // Center vertically, but shift down 40% relative to cursor - kept on the display the cursor is on
+        const display = displayAt(displays, mousePos.x, mousePos.y);
+        const width = Math.min(size, display.width);
+        const height = Math.min(size, display.height);
+        const captureX = Math.max(display.x, Math.min(mousePos.x - width / 2, display.x + display.width - width));
+        const captureY = Math.max(display.y, Math.min(mousePos.y - (height * 0.2), display.y + display.height - height));
 
-        // Create compressed JPEG (High Quality for text readability)
-        const image = new Jimp({ width, height, data: rgbaBuffer });
-        const imageBuffer = await image.getBuffer('image/jpeg', { quality: 80 });
-        const base64Image = imageBuffer.toString('base64');
+        // High quality JPEG for text readability (encoded off the cursor loop)
+        const { base64: base64Image } = await captureService.captureScreen({
+            crop: { x: captureX, y: captureY, width, height },
+            quality: config.capture.inspectorQuality
+        });
 
         console.log('📸 Captured & Encoded (High Res):', (Date.now() - startTime) + 'ms');
 
-        // STEP 3: HF Router API (Vision + JSON)
-        // Switch to Llama 3.2 Vision (11B) for better UI understanding
+        // STEP 3: Vision model (JSON answer)
         const prompt = `Act as a UI/UX expert. Analyze the specific UI element focused in this image (from Adobe Express).
 Return a raw JSON object with:
 - name: Precise technical component name (max 3 words).
@@ -900,36 +1517,13 @@ Output STRICTLY valid JSON. No markdown. No conversational text.`;
 
         console.log(`data:image/jpeg;base64,${base64Image}`);
 
-        const response = await fetch("https://router.huggingface.co/v1/chat/completions", {
-            method: "POST",
-            headers: {
-                "Authorization": `Bearer ${HF_API_KEY}`,
-                "Content-Type": "application/json"
-            },
-            body: JSON.stringify({
-                model: "Qwen/Qwen2.5-VL-72B-Instruct",
-                messages: [
-                    {
-                        role: "user",
-                        content: [
-                            { type: "text", text: prompt },
-                            { type: "image_url", image_url: { url: `data:image/jpeg;base64,${base64Image}` } }
-                        ]
-                    }
-                ],
-                max_completion_tokens: 300,
-                temperature: 0.1
-            })
+        const content = await visionClient.complete({
+            prompt,
+            image: base64Image,
+            maxTokens: config.vision.inspector.maxTokens,
+            temperature: config.vision.inspector.temperature
         });
 
-        if (!response.ok) {
-            const errText = await response.text();
-            throw new Error(`HF Router failed (${response.status}): ${errText.substring(0, 100)}`);
-        }
-
-        const responseData = await response.json();
-        const content = responseData.choices?.[0]?.message?.content || "";
-
         // Extract JSON from the router response
         let analysis;
         try {
@@ -946,20 +1540,16 @@ Output STRICTLY valid JSON. No markdown. No conversational text.`;
 
         console.log(`🧠 AI Thought (${Date.now() - startTime}ms):`, analysis);
 
-        ws.send(JSON.stringify({
-            type: 'explanation',
+        reply(ws, requestId, 'explanation', {
             data: {
                 name: analysis.name || 'Component',
                 mood: analysis.mood || 'Visual',
                 reason: analysis.reason || 'Detected visual element.'
             }
-        }));
+        });
 
     } catch (error) {
-        ws.send(JSON.stringify({
-            type: 'explanation',
-            data: { name: 'Error', mood: 'Failed', reason: error.message.replace(/"/g, '') }
-        }));
+        replyError(ws, requestId, ERROR_CODES.UPSTREAM_FAILED, error.message.replace(/"/g, ''));
     }
 }
 
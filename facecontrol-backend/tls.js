@@ -0,0 +1,96 @@
+/**
+ * Local TLS Certificate
+ * The add-on loads from https://localhost:5241, and some browsers refuse
+ * plain ws:// or http:// from a secure page. The backend therefore also
+ * serves https/wss, with either a certificate you provide (e.g. from mkcert)
+ * or a self-signed one generated on first start and kept in .tls/.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const selfsigned = require('selfsigned');
+
+const TLS_DIR = path.join(__dirname, '.tls');
+const CERT_FILE = path.join(TLS_DIR, 'localhost-cert.pem');
+const KEY_FILE = path.join(TLS_DIR, 'localhost-key.pem');
+
+const VALID_DAYS = 825; // Longest validity browsers accept for a leaf certificate
+const RENEW_BEFORE = 7 * 24 * 60 * 60 * 1000;
+
+async function generateCertificate() {
+    const notBeforeDate = new Date();
+    const notAfterDate = new Date(notBeforeDate.getTime() + VALID_DAYS * 24 * 60 * 60 * 1000);
+
+    const pems = await selfsigned.generate([{ name: 'commonName', value: 'localhost' }], {
+        keySize: 2048,
+        algorithm: 'sha256',
+        notBeforeDate,
+        notAfterDate,
+        extensions: [
+            { name: 'basicConstraints', cA: false },
+            { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+            { name: 'extKeyUsage', serverAuth: true },
+            {
+                name: 'subjectAltName',
+                altNames: [
+                    { type: 2, value: 'localhost' },
+                    { type: 7, ip: '127.0.0.1' },
+                    { type: 7, ip: '::1' }
+                ]
+            }
+        ]
+    });
+
+    return { cert: pems.cert, key: pems.private };
+}
+
+// Stored certificate, unless it is missing, unreadable or about to expire
+function readStoredCertificate() {
+    try {
+        const cert = fs.readFileSync(CERT_FILE, 'utf8');
+        const key = fs.readFileSync(KEY_FILE, 'utf8');
+        const validTo = new Date(new crypto.X509Certificate(cert).validTo).getTime();
+        if (validTo - Date.now() < RENEW_BEFORE) return null;
+        return { cert, key };
+    } catch (error) {
+        return null;
+    }
+}
+
+function fingerprint(cert) {
+    return new crypto.X509Certificate(cert).fingerprint256;
+}
+
+/**
+ * Certificate + key for the https/wss server
+ * @param {object} [options]
+ * @param {string} [options.certFile] - PEM certificate to use instead of the generated one
+ * @param {string} [options.keyFile] - Its PEM private key
+ * @returns {Promise<{cert: string, key: string, source: 'files'|'stored'|'generated', certFile: string, fingerprint: string}>}
+ */
+async function loadTlsCredentials(options = {}) {
+    const { certFile, keyFile } = options;
+
+    if (certFile || keyFile) {
+        if (!certFile || !keyFile) throw new Error('tls.cert and tls.key must be set together');
+        const cert = fs.readFileSync(certFile, 'utf8');
+        const key = fs.readFileSync(keyFile, 'utf8');
+        return { cert, key, source: 'files', certFile: path.resolve(certFile), fingerprint: fingerprint(cert) };
+    }
+
+    const stored = readStoredCertificate();
+    if (stored) return { ...stored, source: 'stored', certFile: CERT_FILE, fingerprint: fingerprint(stored.cert) };
+
+    const generated = await generateCertificate();
+    try {
+        fs.mkdirSync(TLS_DIR, { recursive: true });
+        fs.writeFileSync(CERT_FILE, generated.cert);
+        fs.writeFileSync(KEY_FILE, generated.key, { mode: 0o600 });
+    } catch (error) {
+        console.warn('⚠️ Could not store TLS certificate:', error.message);
+    }
+    return { ...generated, source: 'generated', certFile: CERT_FILE, fingerprint: fingerprint(generated.cert) };
+}
+
+module.exports = { TLS_DIR, loadTlsCredentials };
@@ -0,0 +1,147 @@
+/**
+ * Vision Model Client
+ * One client for every AI feature (element inspector, design advisor,
+ * design improvements, image suggestions). Talks to any OpenAI-compatible
+ * chat-completions endpoint: the Hugging Face router (default), a local
+ * model server, a company gateway, or mock-vision.js for offline testing.
+ */
+
+// Used by config.js as the defaults for the vision.* settings
+const VISION_DEFAULTS = {
+    baseUrl: 'https://router.huggingface.co/v1',
+    model: 'Qwen/Qwen2.5-VL-72B-Instruct',
+    timeout: 60000,
+    retries: 2,
+    retryDelay: 1000
+};
+const MAX_RETRY_DELAY = 10000;
+
+// Worth another try: timeouts, rate limits and server-side failures
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @param {object} config - The vision section of the backend config (see config.js)
+ * @param {string} config.baseUrl - Endpoint root; "/chat/completions" is appended
+ * @param {string} config.model
+ * @param {string} [config.apiKey] - Sent as a Bearer token when set
+ * @param {number} config.timeout - Per-attempt timeout (ms)
+ * @param {number} config.retries - Extra attempts after a retryable failure
+ * @param {number} config.retryDelay - First backoff delay (ms), doubled each retry
+ */
+function createVisionClient(config) {
+    const endpoint = config.baseUrl.replace(/\/+$/, '') + '/chat/completions';
+
+    // Delay before the next attempt - Retry-After wins when the server sends one
+    function backoff(attempt, response) {
+        const retryAfter = response && Number(response.headers.get('retry-after'));
+        const delay = retryAfter > 0 ? retryAfter * 1000 : config.retryDelay * 2 ** attempt;
+        return Math.min(delay, MAX_RETRY_DELAY);
+    }
+
+    async function post(body) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), config.timeout);
+
+        const headers = { 'Content-Type': 'application/json' };
+        if (config.apiKey) headers['Authorization'] = `Bearer ${config.apiKey}`;
+
+        try {
+            return await fetch(endpoint, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body),
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') throw new Error(`Vision model timed out after ${config.timeout}ms`);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    return {
+        /**
+         * The default (hosted) endpoint needs a key; custom endpoints may not
+         */
+        isConfigured() {
+            return Boolean(config.apiKey) || config.baseUrl !== VISION_DEFAULTS.baseUrl;
+        },
+
+        /**
+         * Config without the key (safe to log or show in /api/health)
+         */
+        describe() {
+            return {
+                baseUrl: config.baseUrl,
+                model: config.model,
+                timeout: config.timeout,
+                retries: config.retries,
+                hasApiKey: Boolean(config.apiKey)
+            };
+        },
+
+        /**
+         * Ask the model about one image
+         * @param {object} request
+         * @param {string} request.prompt
+         * @param {string} request.image - Base64 image data
+         * @param {string} [request.mimeType] - Defaults to image/jpeg
+         * @param {number} [request.maxTokens]
+         * @param {number} [request.temperature]
+         * @returns {Promise<string>} The reply text
+         */
+        async complete({ prompt, image, mimeType = 'image/jpeg', maxTokens = 500, temperature = 0.2 }) {
+            const body = {
+                model: config.model,
+                messages: [
+                    {
+                        role: 'user',
+                        content: [
+                            { type: 'text', text: prompt },
+                            { type: 'image_url', image_url: { url: `data:${mimeType};base64,${image}` } }
+                        ]
+                    }
+                ],
+                max_completion_tokens: maxTokens,
+                temperature,
+                stream: false
+            };
+
+            for (let attempt = 0; ; attempt++) {
+                const canRetry = attempt < config.retries;
+                let response;
+
+                try {
+                    response = await post(body);
+                } catch (error) {
+                    // Network error or timeout
+                    if (!canRetry) throw error;
+                    console.warn(`⚠️ Vision request failed (${error.message}), retry ${attempt + 1}/${config.retries}`);
+                    await sleep(backoff(attempt));
+                    continue;
+                }
+
+                if (!response.ok) {
+                    const errorText = await response.text();
+                    if (canRetry && RETRYABLE_STATUS.has(response.status)) {
+                        console.warn(`⚠️ Vision model returned ${response.status}, retry ${attempt + 1}/${config.retries}`);
+                        await sleep(backoff(attempt, response));
+                        continue;
+                    }
+                    console.error('❌ Vision API Error Response:', errorText);
+                    throw new Error(`Vision API Error: ${response.status} - ${errorText.substring(0, 200)}`);
+                }
+
+                const result = await response.json();
+                const content = result.choices?.[0]?.message?.content;
+                if (typeof content !== 'string') throw new Error('Vision model returned no message content');
+                return content;
+            }
+        }
+    };
+}
+
+module.exports = { VISION_DEFAULTS, createVisionClient };
@@ -0,0 +1,160 @@
+/**
+ * Multi-Point Calibration
+ * The user looks at targets spread over the display (the backend puts the
+ * cursor on each one) while the panel records their head pose. Each axis
+ * gets its own mapping from pose to screen: a piecewise-linear spline
+ * through the average pose at each column (yaw -> x) and row (pitch -> y).
+ * The spline follows the user's actual range of motion. Someone who can
+ * only turn 10° to the left still reaches the left edge, and uneven left/right
+ * reach is fine. Past the outer targets the mapping carries on with the
+ * slope of the outer segment. Loaded by the panel as a plain script
+ * (window.FaceControlCalibration) and by the Node tests.
+ *
+ * Screen positions are normalized to the target display (0-1); poses are
+ * { yaw, pitch } in degrees (see headpose.js).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FaceControlCalibration = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Target layouts, center first; the outer targets sit 10% in from the edges
+    const LAYOUTS = {
+        5: [[0.5, 0.5], [0.1, 0.5], [0.9, 0.5], [0.5, 0.1], [0.5, 0.9]],
+        9: [[0.5, 0.5], [0.1, 0.1], [0.5, 0.1], [0.9, 0.1], [0.9, 0.5], [0.9, 0.9], [0.5, 0.9], [0.1, 0.9], [0.1, 0.5]]
+    };
+
+    const LIMITS = {
+        // Samples needed for one target
+        minSamples: 5,
+        // Head wobble while looking at a target (degrees, RMS) above which the point is retried
+        maxSpread: 1.5,
+        // Off by more than this share of the display after the fit: the point is retried
+        maxPointError: 0.08,
+        // Neighbouring columns/rows must be at least this many degrees apart
+        minStep: 1.5
+    };
+
+    function median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    /**
+     * @param {number} count - 5 or 9
+     * @returns {Array<{x: number, y: number}>}
+     */
+    function calibrationTargets(count) {
+        const layout = LAYOUTS[count];
+        if (!layout) throw new Error(`No ${count}-point calibration layout`);
+        return layout.map(([x, y]) => ({ x, y }));
+    }
+
+    /**
+     * Poses recorded while looking at one target -> its pose and how steady the head was
+     * @param {Array<{yaw: number, pitch: number}>} samples
+     * @returns {{yaw: number, pitch: number, spread: number, count: number}|null} null with too few samples
+     */
+    function summarizeSamples(samples) {
+        if (samples.length < LIMITS.minSamples) return null;
+        const yaw = median(samples.map(sample => sample.yaw));
+        const pitch = median(samples.map(sample => sample.pitch));
+        const spread = Math.sqrt(samples.reduce((sum, sample) => sum + (sample.yaw - yaw) ** 2 + (sample.pitch - pitch) ** 2, 0) / samples.length);
+        return { yaw, pitch, spread, count: samples.length };
+    }
+
+    /**
+     * Spline knots for one axis: the average input at each target column/row, in screen order
+     * @returns {{knots?: Array<{input: number, output: number}>, error?: string}}
+     */
+    function fitAxis(pairs, name) {
+        const levels = new Map();
+        for (const { input, output } of pairs) {
+            if (!levels.has(output)) levels.set(output, []);
+            levels.get(output).push(input);
+        }
+        const knots = [...levels.entries()]
+            .map(([output, inputs]) => ({ output, input: inputs.reduce((sum, value) => sum + value, 0) / inputs.length }))
+            .sort((a, b) => a.output - b.output);
+
+        if (knots.length < 2) return { error: `Need targets at two ${name} positions at least` };
+        for (let i = 1; i < knots.length; i++) {
+            if (knots[i].input - knots[i - 1].input < LIMITS.minStep) {
+                return { error: `Turn your head further toward the ${name === 'x' ? 'left and right' : 'top and bottom'} targets` };
+            }
+        }
+        return { knots };
+    }
+
+    // Piecewise-linear through the knots, extended past the ends with the outer slopes
+    function mapAxis(knots, input) {
+        let i = 1;
+        while (i < knots.length - 1 && input > knots[i].input) i++;
+        const a = knots[i - 1];
+        const b = knots[i];
+        return a.output + (input - a.input) * (b.output - a.output) / (b.input - a.input);
+    }
+
+    /**
+     * @param {{x: {knots: Array}, y: {knots: Array}}} map - From fitCalibration
+     * @param {{yaw: number, pitch: number}} pose
+     * @returns {{x: number, y: number}} Normalized screen position (outside 0-1 past the outer targets)
+     */
+    function mapPose(map, pose) {
+        return { x: mapAxis(map.x.knots, pose.yaw), y: mapAxis(map.y.knots, pose.pitch) };
+    }
+
+    /**
+     * The same mapping for a head that now rests yaw/pitch degrees away from where it was calibrated
+     * @returns {object} A new map (quality and anything else carried over)
+     */
+    function shiftMap(map, yaw, pitch) {
+        const shift = (knots, by) => knots.map(knot => ({ input: knot.input + by, output: knot.output }));
+        return { ...map, x: { knots: shift(map.x.knots, yaw) }, y: { knots: shift(map.y.knots, pitch) } };
+    }
+
+    /**
+     * Fit the mapping and score it
+     * @param {Array<{target: {x: number, y: number}, yaw: number, pitch: number, spread: number}>} points
+     * @returns {{x?: object, y?: object, quality?: number, errors?: number[], badPoints?: number[], error?: string}}
+     *   quality 0-100; errors per point (share of the display); badPoints = indexes worth retrying;
+     *   error (and nothing else) when no usable mapping could be fitted
+     */
+    function fitCalibration(points) {
+        const x = fitAxis(points.map(point => ({ input: point.yaw, output: point.target.x })), 'x');
+        if (x.error) return { error: x.error };
+        const y = fitAxis(points.map(point => ({ input: point.pitch, output: point.target.y })), 'y');
+        if (y.error) return { error: y.error };
+
+        const map = { x, y };
+        const errors = points.map((point) => {
+            const mapped = mapPose(map, point);
+            return Math.hypot(mapped.x - point.target.x, mapped.y - point.target.y);
+        });
+        const badPoints = points
+            .map((point, i) => (errors[i] > LIMITS.maxPointError || point.spread > LIMITS.maxSpread ? i : -1))
+            .filter(i => i !== -1);
+
+        // Full marks for a fit within a hair of every target and a steady head;
+        // nothing left at 10% of the display off on average, or 3° of wobble
+        const rmsError = Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / errors.length);
+        const meanSpread = points.reduce((sum, point) => sum + point.spread, 0) / points.length;
+        const quality = Math.round(100 * Math.max(0, 1 - rmsError / 0.1) * Math.max(0, 1 - meanSpread / 3));
+
+        return { x, y, quality, errors, badPoints };
+    }
+
+    return {
+        LAYOUTS,
+        LIMITS,
+        calibrationTargets,
+        summarizeSamples,
+        fitCalibration,
+        mapPose,
+        shiftMap
+    };
+});
@@ -0,0 +1,117 @@
+/**
+ * Drift Correction
+ * Over a long session the posture the user rests in drifts away from the
+ * calibrated one, and the cursor creeps toward an edge. While the head rests
+ * still near neutral, the neutral pose follows it slowly. Holds away from
+ * neutral (pointing at something) don't count, the rate is slow enough that
+ * a few seconds' hold barely moves it, and the total correction is capped.
+ * Loaded by the panel as a plain script (window.FaceControlDrift) and by the
+ * Node tests.
+ *
+ * Poses are { yaw, pitch } in degrees relative to the calibrated neutral
+ * (see headpose.js); the offset is where the neutral has drifted to.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FaceControlDrift = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULTS = {
+        // Head turning slower than this (degrees/s) counts as still
+        stillSpeed: 3,
+        // Still for this long (ms) before the neutral starts to follow
+        stillMs: 1500,
+        // Only rests within this many degrees of the (drifted) neutral are taken as the neutral posture
+        nearNeutral: 6,
+        // Time constant of the correction (ms): a rest held this long closes ~63% of the gap
+        timeConstant: 45000,
+        // Furthest the neutral may drift from the calibrated one (degrees)
+        maxDrift: 10,
+        // Share of the way to the new pose, and to the new speed, per frame - pose noise isn't movement
+        poseLerp: 0.2,
+        speedLerp: 0.3,
+        // Longest frame gap (ms) taken at once - a stalled camera isn't a long rest
+        maxStep: 200
+    };
+
+    function option(config, name) {
+        return config[name] !== undefined ? config[name] : DEFAULTS[name];
+    }
+
+    /**
+     * @param {object} [config] - See DEFAULTS; read on every update, so it can be tuned live
+     * @returns {{update: Function, reset: Function, offset: {yaw: number, pitch: number}}}
+     */
+    function createDriftCorrector(config = {}) {
+        let offset = { yaw: 0, pitch: 0 };
+        let last = null;
+        let speed = 0;
+        let stillSince = null;
+
+        return {
+            get offset() {
+                return offset;
+            },
+
+            /**
+             * @param {{yaw: number, pitch: number}} pose - Relative to the calibrated neutral
+             * @param {number} t - Frame time (ms)
+             * @returns {{yaw: number, pitch: number}} The drift offset to subtract from the pose
+             */
+            update(pose, t) {
+                const dt = last ? Math.min(option(config, 'maxStep'), Math.max(0, t - last.t)) : 0;
+                let current = { yaw: pose.yaw, pitch: pose.pitch, t };
+                if (last) {
+                    const lerp = option(config, 'poseLerp');
+                    current = { yaw: last.yaw + (pose.yaw - last.yaw) * lerp, pitch: last.pitch + (pose.pitch - last.pitch) * lerp, t };
+                    if (dt > 0) {
+                        const moved = Math.hypot(current.yaw - last.yaw, current.pitch - last.pitch) / (dt / 1000);
+                        speed += (moved - speed) * option(config, 'speedLerp');
+                    }
+                }
+                last = current;
+
+                if (speed >= option(config, 'stillSpeed')) {
+                    stillSince = null;
+                    return offset;
+                }
+                if (stillSince === null) stillSince = t;
+
+                // Where the head rests, seen from the drifted neutral
+                const yaw = current.yaw - offset.yaw;
+                const pitch = current.pitch - offset.pitch;
+                if (t - stillSince < option(config, 'stillMs') || Math.hypot(yaw, pitch) > option(config, 'nearNeutral')) {
+                    return offset;
+                }
+
+                const follow = 1 - Math.exp(-dt / option(config, 'timeConstant'));
+                let next = { yaw: offset.yaw + yaw * follow, pitch: offset.pitch + pitch * follow };
+                const drift = Math.hypot(next.yaw, next.pitch);
+                const maxDrift = option(config, 'maxDrift');
+                if (drift > maxDrift) {
+                    next = { yaw: next.yaw * maxDrift / drift, pitch: next.pitch * maxDrift / drift };
+                }
+                offset = next;
+                return offset;
+            },
+
+            /**
+             * Forget the drift, or set it (recentering: the pose that should be neutral now)
+             */
+            reset(yaw = 0, pitch = 0) {
+                offset = { yaw, pitch };
+                last = null;
+                speed = 0;
+                stillSince = null;
+            }
+        };
+    }
+
+    return {
+        DEFAULTS,
+        createDriftCorrector
+    };
+});
@@ -0,0 +1,164 @@
+/**
+ * Gesture Thresholds
+ * Eye and mouth gestures fire when a measurement crosses a threshold. Fixed
+ * thresholds don't suit everyone: drooping eyelids, glasses or a face that
+ * rests with the mouth slightly open give constant false clicks, or gestures
+ * that never trigger. A gesture calibration records the user's resting and
+ * active values and places the thresholds between them. Each gesture has two:
+ * one to trigger and one, nearer the resting value, to release. That keeps a
+ * value hovering at the threshold from flickering on and off. Loaded by the
+ * panel as a plain script (window.FaceControlGestures) and by the Node tests.
+ *
+ * Samples are { left, right, mouth }: each eye's aspect ratio (open ~0.3,
+ * closed under ~0.15) and the mouth opening (height / width x 150).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FaceControlGestures = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // The fixed thresholds the panel always used; an eye closes below *Closed and opens above *Open
+    const DEFAULT_THRESHOLDS = {
+        leftClosed: 0.15,
+        leftOpen: 0.2,
+        rightClosed: 0.15,
+        rightOpen: 0.2,
+        mouthOpen: 15,
+        mouthClosed: 15
+    };
+
+    const LIMITS = {
+        // Samples needed for each step
+        minSamples: 10,
+        // Open and closed must be at least this far apart to tell them apart reliably
+        minEyeRange: 0.04,
+        minMouthRange: 8
+    };
+
+    // Where the thresholds sit, as a share of the way from the resting to the active value
+    const SPLITS = {
+        eyeClose: 0.6,
+        eyeOpen: 0.35,
+        mouthOpen: 0.5,
+        mouthClose: 0.3
+    };
+
+    // Value below which the given share of the values lie
+    function percentile(values, share) {
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.floor(share * sorted.length))];
+    }
+
+    function round(value, places) {
+        const factor = Math.pow(10, places);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Thresholds from a gesture calibration
+     * @param {{rest: Array, eyesClosed: Array, mouthOpen: Array}} steps - Samples with the face relaxed,
+     *   with both eyes closed and with the mouth open wide
+     * @returns {{thresholds?: object, levels?: object, error?: string}} levels = the resting and active
+     *   value per gesture; error (and nothing else) when a step can't be told from the resting face
+     */
+    function deriveThresholds({ rest, eyesClosed, mouthOpen }) {
+        if ([rest, eyesClosed, mouthOpen].some(samples => !samples || samples.length < LIMITS.minSamples)) {
+            return { error: 'Face not found - keep your face in view' };
+        }
+
+        // The low end of the open eye and the high end of the closed one: narrowing a little isn't closing
+        const levels = {};
+        for (const eye of ['left', 'right']) {
+            levels[eye] = {
+                rest: percentile(rest.map(sample => sample[eye]), 0.2),
+                active: percentile(eyesClosed.map(sample => sample[eye]), 0.8)
+            };
+            if (levels[eye].rest - levels[eye].active < LIMITS.minEyeRange) {
+                return { error: `Couldn't tell your ${eye} eye open from closed - close both eyes fully` };
+            }
+        }
+        levels.mouth = {
+            rest: percentile(rest.map(sample => sample.mouth), 0.9),
+            active: percentile(mouthOpen.map(sample => sample.mouth), 0.2)
+        };
+        if (levels.mouth.active - levels.mouth.rest < LIMITS.minMouthRange) {
+            return { error: 'Open your mouth wider' };
+        }
+
+        const between = ({ rest: from, active: to }, share) => from + (to - from) * share;
+        const thresholds = {
+            leftClosed: round(between(levels.left, SPLITS.eyeClose), 3),
+            leftOpen: round(between(levels.left, SPLITS.eyeOpen), 3),
+            rightClosed: round(between(levels.right, SPLITS.eyeClose), 3),
+            rightOpen: round(between(levels.right, SPLITS.eyeOpen), 3),
+            mouthOpen: round(between(levels.mouth, SPLITS.mouthOpen), 1),
+            mouthClosed: round(between(levels.mouth, SPLITS.mouthClose), 1)
+        };
+        return { thresholds, levels };
+    }
+
+    /**
+     * Saved thresholds are usable: all there, and each release on the resting side of its trigger
+     */
+    function isValidThresholds(thresholds) {
+        if (!thresholds || typeof thresholds !== 'object') return false;
+        if (Object.keys(DEFAULT_THRESHOLDS).some(name => !(thresholds[name] > 0))) return false;
+        return thresholds.leftClosed <= thresholds.leftOpen &&
+            thresholds.rightClosed <= thresholds.rightOpen &&
+            thresholds.mouthClosed <= thresholds.mouthOpen;
+    }
+
+    /**
+     * Move one gesture's trigger threshold (fine-tuning), keeping its gap to the release threshold
+     * @param {object} thresholds
+     * @param {string} gesture - 'left', 'right' or 'mouth'
+     * @param {number} value - The new trigger threshold
+     * @returns {object} New thresholds
+     */
+    function setTrigger(thresholds, gesture, value) {
+        if (gesture === 'mouth') {
+            const gap = thresholds.mouthOpen - thresholds.mouthClosed;
+            // Near the bottom of the range the gap shrinks: a release at 0 would never come
+            return { ...thresholds, mouthOpen: value, mouthClosed: Math.max(round(value / 2, 1), value - gap) };
+        }
+        const gap = thresholds[`${gesture}Open`] - thresholds[`${gesture}Closed`];
+        return { ...thresholds, [`${gesture}Closed`]: value, [`${gesture}Open`]: round(value + gap, 3) };
+    }
+
+    /**
+     * Each eye's open state after a frame. An open eye stays open until it drops below its *Closed
+     * threshold, and a closed one stays closed until it rises above *Open - an eye closing gradually
+     * through the gap between them still closes. A wink is one eye closing while the other is wide
+     * open, above its *Open threshold - not lagging a frame behind in a blink.
+     * @param {{left: boolean, right: boolean}} wasOpen - The state after the previous frame
+     * @param {{left: number, right: number}} levels - This frame's eye aspect ratios
+     * @param {object} thresholds
+     * @returns {{left: boolean, right: boolean, leftWink: boolean, rightWink: boolean}}
+     */
+    function updateEyes(wasOpen, levels, thresholds) {
+        const open = {};
+        for (const eye of ['left', 'right']) {
+            open[eye] = wasOpen[eye]
+                ? levels[eye] >= thresholds[`${eye}Closed`]
+                : levels[eye] > thresholds[`${eye}Open`];
+        }
+        return {
+            ...open,
+            leftWink: wasOpen.left && !open.left && levels.right > thresholds.rightOpen,
+            rightWink: wasOpen.right && !open.right && levels.left > thresholds.leftOpen
+        };
+    }
+
+    return {
+        DEFAULT_THRESHOLDS,
+        LIMITS,
+        SPLITS,
+        deriveThresholds,
+        isValidThresholds,
+        setTrigger,
+        updateEyes
+    };
+});
@@ -0,0 +1,155 @@
+/**
+ * Head Pose Estimation
+ * Yaw, pitch and roll of the head from the Face Mesh landmarks, so pointing
+ * follows where the head turns rather than where the nose sits in the frame.
+ * Leaning, swaying or moving closer to the camera moves the nose a lot but
+ * hardly turns the head. Loaded by the panel as a plain script
+ * (window.FaceControlHeadPose) and by the Node tests.
+ *
+ * A generic 3D face model is fitted to six landmarks with POSIT (DeMenthon &
+ * Davis), the classic solvePnP method: fit the pose under scaled orthographic
+ * projection, correct each landmark for its depth, repeat. The fit recovers
+ * where the head is too, so a head off to the side of the frame - which the
+ * camera sees from an angle - is not mistaken for a turned head
+ * (translation compensation).
+ *
+ * Angles are in degrees:
+ *   yaw    positive when the user turns to their right
+ *   pitch  positive when looking down
+ *   roll   positive when tilting toward the user's right shoulder
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FaceControlHeadPose = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Generic face model (about 3x life size in mm; x toward the image right, y up, z out of the face)
+    // and the Face Mesh landmark of each point
+    const MODEL_POINTS = [
+        { landmark: 4, point: [0, 0, 0] },            // Nose tip
+        { landmark: 152, point: [0, -330, -65] },     // Chin
+        { landmark: 33, point: [-225, 170, -135] },   // Right eye outer corner (image left)
+        { landmark: 263, point: [225, 170, -135] },   // Left eye outer corner (image right)
+        { landmark: 61, point: [-150, -150, -125] },  // Right mouth corner
+        { landmark: 291, point: [150, -150, -125] }   // Left mouth corner
+    ];
+
+    const DEFAULTS = {
+        // Camera frame in pixels (Face Mesh x/z are scaled by width, y by height)
+        width: 640,
+        height: 480,
+        // Horizontal field of view of a typical webcam, for translation compensation
+        fieldOfView: 60
+    };
+
+    const DEGREES = 180 / Math.PI;
+
+    function dot(a, b) {
+        return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+    }
+
+    function cross(a, b) {
+        return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    }
+
+    function scale(a, factor) {
+        return [a[0] * factor, a[1] * factor, a[2] * factor];
+    }
+
+    function length(a) {
+        return Math.sqrt(dot(a, a));
+    }
+
+    function invert3(m) {
+        const [[a, b, c], [d, e, f], [g, h, i]] = m;
+        const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+        return [
+            [(e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det],
+            [(f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det],
+            [(d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det]
+        ];
+    }
+
+    // Depth corrections converge within a few rounds
+    const POSIT_ITERATIONS = 8;
+
+    // The nose tip (model origin) is the reference point; the other points are fitted relative to it.
+    // The model never changes, so its half of the least-squares solution is computed once:
+    // weights[i] · image offset i summed over the points gives one row of the projection
+    const reference = MODEL_POINTS[0];
+    const fitted = MODEL_POINTS.slice(1);
+    const modelInverse = invert3([0, 1, 2].map(row => [0, 1, 2].map(col => fitted.reduce((sum, { point }) => sum + point[row] * point[col], 0))));
+    const weights = fitted.map(({ point }) => modelInverse.map(row => dot(row, point)));
+
+    /**
+     * @param {Array<{x: number, y: number}>} landmarks - Face Mesh landmarks (normalized)
+     * @param {object} [options] - See DEFAULTS
+     * @returns {{yaw: number, pitch: number, roll: number, x: number, y: number, scale: number}|null}
+     *   Angles in degrees; x/y is the nose tip in the frame (normalized), scale the apparent size of the head.
+     *   null when the landmarks are too collapsed to fit (e.g. a face seen edge-on)
+     */
+    function estimateHeadPose(landmarks, options = {}) {
+        const { width, height, fieldOfView } = { ...DEFAULTS, ...options };
+        const focal = (width / 2) / Math.tan(fieldOfView / 2 / DEGREES);
+
+        // Image points in pixels from the middle of the frame, y up like the model
+        const toImage = ({ landmark }) => [landmarks[landmark].x * width - width / 2, height / 2 - landmarks[landmark].y * height];
+        const origin = toImage(reference);
+        const image = fitted.map(toImage);
+
+        let corrections = fitted.map(() => 0);
+        let r1, r2, r3, size;
+        for (let iteration = 0; iteration < POSIT_ITERATIONS; iteration++) {
+            // Least-squares projection: rows I and J map model points onto image x and y
+            const rowI = [0, 0, 0];
+            const rowJ = [0, 0, 0];
+            image.forEach((point, i) => {
+                const offsetX = point[0] * (1 + corrections[i]) - origin[0];
+                const offsetY = point[1] * (1 + corrections[i]) - origin[1];
+                for (let axis = 0; axis < 3; axis++) {
+                    rowI[axis] += offsetX * weights[i][axis];
+                    rowJ[axis] += offsetY * weights[i][axis];
+                }
+            });
+
+            // Both rows are the rotation's first two rows times the same scale
+            const scaleI = length(rowI);
+            const scaleJ = length(rowJ);
+            size = Math.sqrt(scaleI * scaleJ);
+            if (!(size > 0)) return null;
+            r1 = scale(rowI, 1 / scaleI);
+            r2 = scale(rowJ, 1 / scaleJ);
+            r3 = cross(r1, r2);
+            r3 = scale(r3, 1 / length(r3));
+
+            // Points nearer the camera than the nose look bigger - shrink them back, relative to the head's distance
+            const distance = focal / size;
+            corrections = fitted.map(({ point }) => -dot(point, r3) / distance);
+        }
+
+        if (!r3.every(Number.isFinite)) return null;
+
+        // Square up the rotation (the two rows are only nearly perpendicular)
+        r2 = cross(r3, r1);
+
+        // Face direction (model z) and the eye line (model x) in camera space
+        const normal = [r1[2], r2[2], r3[2]];
+        return {
+            yaw: Math.atan2(-normal[0], normal[2]) * DEGREES,
+            pitch: Math.atan2(-normal[1], normal[2]) * DEGREES,
+            roll: Math.atan2(r2[0], r1[0]) * DEGREES,
+            x: landmarks[reference.landmark].x,
+            y: landmarks[reference.landmark].y,
+            scale: size
+        };
+    }
+
+    return {
+        MODEL_POINTS,
+        DEFAULTS,
+        estimateHeadPose
+    };
+});
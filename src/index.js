@@ -8,9 +8,20 @@
 // ============================================
 
 const CONFIG = {
+    // Found by discoverBackend() and remembered; the WebSocket address comes from /api/health
     backendUrl: 'http://localhost:3002',
+    websocketUrl: 'ws://localhost:3002',
+    // What the backend offers ({ vision, imageSearch, ... }) and its effective settings
+    capabilities: null,
+    backendConfig: null,
+    // Offer binary frames for moves/clicks/drags in the handshake (JSON if the backend declines)
+    binaryFrames: true,
     screenWidth: 1920,
-    screenHeight: 1080
+    screenHeight: 1080,
+    // Every display reported by the backend: { id, name, x, y, width, height, scale (null = unknown), primary }
+    displays: [],
+    // Bounding box of all displays
+    desktop: null
 };
 
 // ============================================
@@ -47,48 +58,113 @@ async function initAddOnSdk() {
 // ULTRA SMOOTH Movement - Advanced Multi-Layer Smoothing
 // ============================================
 
-// ---- Layer 1: Raw input buffer for noise reduction ----
-const RAW_BUFFER_SIZE = 8;  // Increased for more stability
-let rawBufferX = [];
-let rawBufferY = [];
-
-// ---- Layer 2: Kalman-style prediction filter (tuned for stability) ----
-let kalmanX = { estimate: null, errorEstimate: 1, errorMeasure: 0.05, q: 0.005 };
-let kalmanY = { estimate: null, errorEstimate: 1, errorMeasure: 0.05, q: 0.005 };
-
-// ---- Layer 3: Velocity-based adaptive smoothing ----
-let velocityX = 0;
-let velocityY = 0;
-let lastTargetX = null;
-let lastTargetY = null;
-let lastTargetTime = 0;
-
-// ---- Layer 4: Final output with bezier interpolation ----
-let smoothX = null;
-let smoothY = null;
-let outputX = null;
-let outputY = null;
-
 // ---- Smoothing parameters (Tuned for stability) ----
+// Filter settings live in smoothing.js (DEFAULTS); values here override them
 const SMOOTH_CONFIG = {
     // Base smoothing (lower = smoother, higher = more responsive)
     baseSmoothFactor: 0.06,  // Lower = more stable
-    // Velocity influence (higher = faster movements less smoothed)
-    velocityInfluence: 0.002,
-    // Maximum smooth factor (responsiveness cap)
-    maxSmoothFactor: 0.20,
-    // Minimum smooth factor (minimum smoothness) 
-    minSmoothFactor: 0.02,   // Very smooth when still
     // Jitter threshold in pixels (movements below this are filtered)
     jitterThreshold: 5,      // Increased to filter micro-movements
     // Dead zone radius in normalized coordinates
-    deadZone: 0.008,         // Larger dead zone for stability
-    // Output interpolation factor
-    outputLerp: 0.1,         // Slower interpolation = smoother
-    // Bezier curve control point factor
-    bezierFactor: 0.3
+    deadZone: 0.008          // Larger dead zone for stability
+};
+
+// Raw target -> smoothed cursor position (see smoothing.js for the filters)
+const Smoothing = window.FaceControlSmoothing;
+let smoothingPipeline = Smoothing.createSmoothingPipeline('layered', SMOOTH_CONFIG);
+
+// ---- Head-pose pointing ----
+// The cursor follows head yaw/pitch (see headpose.js), not where the nose sits in the frame
+const HeadPose = window.FaceControlHeadPose;
+const POINTING_CONFIG = {
+    // Share of the frame width the nose tip swings per unit tan(angle) at a typical
+    // webcam distance - keeps the sensitivity slider's feel from nose-position pointing
+    reach: 0.15
+};
+
+// ---- Joystick pointing ----
+// Relative mode: turning the head away from its rest pose moves the cursor at a speed, like a joystick
+const JOYSTICK_CONFIG = {
+    // Degrees of yaw/pitch from the rest pose that still hold the cursor still
+    deadZone: 4,
+    // Degrees at which the cursor reaches full speed
+    fullTilt: 20,
+    // Full speed in px/s (Joystick Speed setting)
+    maxSpeed: 1200,
+    // Speed curve exponent (Joystick Curve setting): 1 = linear, higher = finer control near the rest pose
+    curve: 2,
+    // Share of the way to the new velocity per frame - takes the edge off pose noise
+    velocityLerp: 0.3,
+    // Longest frame gap integrated at once (seconds) - a stalled camera must not fling the cursor
+    maxStep: 0.1
+};
+
+// ---- Multi-point calibration ----
+// Absolute pointing fitted to the user's own range of motion from 5 or 9 targets (see calibration.js).
+// The backend puts the cursor on each target in turn; the user turns to look at it
+const Calibration = window.FaceControlCalibration;
+const GUIDED_CALIBRATION_CONFIG = {
+    // Time to turn toward a target before its pose is sampled (ms)
+    settleMs: 1200,
+    // Sampling window per target (ms)
+    sampleMs: 800,
+    // Tries per target before a wobbly one is taken as it is
+    maxTries: 3
+};
+
+// { rect, targets: [{ target, tries, result }], queue, current, phase, phaseStart, samples, neutral, retried, live }
+let guidedCalibration = null;
+
+// ---- Drift correction ----
+// The neutral pose slowly follows where the head rests (see drift.js); each pointing mode has its own
+const Drift = window.FaceControlDrift;
+const driftCorrectors = {
+    absolute: Drift.createDriftCorrector(),
+    // A joystick hold just past the dead zone is steering, not resting: only rests inside it count
+    joystick: Drift.createDriftCorrector({
+        get nearNeutral() {
+            return JOYSTICK_CONFIG.deadZone * 0.75;
+        }
+    })
+};
+
+// Recenter gesture: two deliberate blinks in a row - longer than a natural blink, shorter than a long blink
+const RECENTER_BLINK_CONFIG = {
+    // Both eyes closed at least this long (ms) counts as deliberate
+    minClosedMs: 300,
+    // The second blink starts within this long (ms) of the first one ending
+    maxGapMs: 1000
+};
+
+// ---- Gesture thresholds ----
+// Eye and mouth thresholds fitted to the user's face (see gestures.js)
+const Gestures = window.FaceControlGestures;
+
+// Gesture calibration: the face relaxed, both eyes closed, the mouth open wide
+const GESTURE_CALIBRATION_STEPS = [
+    { name: 'rest', prompt: '😐 Relax your face - eyes open, mouth closed' },
+    { name: 'eyesClosed', prompt: '😑 Close both eyes for 3 seconds' },
+    { name: 'mouthOpen', prompt: '😮 Open your mouth wide and hold it' }
+];
+const GESTURE_CALIBRATION_CONFIG = {
+    // Time to make the face before it is sampled (ms)
+    settleMs: 1000,
+    // Sampling window per step (ms)
+    sampleMs: 2000
 };
 
+// { step, phase, phaseStart, samples: { rest, eyesClosed, mouthOpen }, live }
+let gestureCalibration = null;
+
+// Settings meters, keyed like the thresholds (left/right eye, mouth)
+const GESTURE_METERS = ['left', 'right', 'mouth'];
+
+// Long-blink action that switches between absolute and joystick pointing
+const POINTING_BLINK_ACTION = 'toggleJoystick';
+
+// Where the joystick has taken the cursor: { x, y, vx, vy, lastTime }
+let joystickCursor = null;
+
 // Track position for sending
 let lastSentX = 0;
 let lastSentY = 0;
@@ -104,58 +180,47 @@ let animationFrameId = null;
 let lastMouthClick = 0;
 const MOUTH_CLICK_COOLDOWN = 500;
 
-// ---- Helper Functions for Smoothing ----
-
-function kalmanFilter(measurement, state) {
-    if (state.estimate === null) {
-        state.estimate = measurement;
-        return measurement;
-    }
-
-    // Prediction update
-    state.errorEstimate += state.q;
-
-    // Kalman gain
-    const gain = state.errorEstimate / (state.errorEstimate + state.errorMeasure);
-
-    // Update estimate
-    state.estimate = state.estimate + gain * (measurement - state.estimate);
-
-    // Update error estimate
-    state.errorEstimate = (1 - gain) * state.errorEstimate;
-
-    return state.estimate;
-}
-
-function getMedian(arr) {
-    if (arr.length === 0) return 0;
-    const sorted = [...arr].sort((a, b) => a - b);
-    const mid = Math.floor(sorted.length / 2);
-    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
-}
+// ---- Scroll mode (head tilt) ----
+const SCROLL_CONFIG = {
+    // Degrees of head pitch/roll from the neutral pose before scrolling starts
+    pitchThreshold: 8,
+    rollThreshold: 10,
+    // Wheel steps per second for each degree past the threshold
+    speedPerDegree: 1.5,
+    // Cap on wheel steps per second
+    maxSpeed: 40,
+    // How often scroll messages are sent (ms)
+    interval: 50
+};
 
-function addToBuffer(buffer, value, maxSize) {
-    buffer.push(value);
-    if (buffer.length > maxSize) buffer.shift();
-}
+let lastScrollTime = 0;
+let scrollRemainderX = 0;
+let scrollRemainderY = 0;
+
+// ---- Keyboard shortcuts (Adobe Express) ----
+// combo uses backend key names; "mod" = Cmd on macOS, Ctrl elsewhere
+const SHORTCUTS = {
+    undo: { label: 'Undo', icon: '↩️', combo: 'mod+z', phrases: ['undo', 'undo that'] },
+    redo: { label: 'Redo', icon: '↪️', combo: 'mod+shift+z', phrases: ['redo', 'redo that'] },
+    copy: { label: 'Copy', icon: '📋', combo: 'mod+c', phrases: ['copy', 'copy that'] },
+    paste: { label: 'Paste', icon: '📌', combo: 'mod+v', phrases: ['paste', 'paste that'] },
+    duplicate: { label: 'Duplicate', icon: '⧉', combo: 'mod+d', phrases: ['duplicate', 'duplicate that'] },
+    delete: { label: 'Delete', icon: '🗑️', combo: 'delete', phrases: ['delete', 'delete that'] },
+    zoomFit: { label: 'Zoom to Fit', icon: '🔍', combo: 'mod+0', phrases: ['zoom to fit', 'fit to screen'] }
+};
 
-function calculateAdaptiveSmoothFactor(vx, vy) {
-    const velocity = Math.sqrt(vx * vx + vy * vy);
-    // Higher velocity = higher smooth factor (more responsive)
-    let factor = SMOOTH_CONFIG.baseSmoothFactor + velocity * SMOOTH_CONFIG.velocityInfluence;
-    // Clamp to range
-    return Math.max(SMOOTH_CONFIG.minSmoothFactor, Math.min(SMOOTH_CONFIG.maxSmoothFactor, factor));
-}
+// Holding both eyes closed this long triggers the long-blink shortcut
+const LONG_BLINK_MS = 800;
 
-function lerp(start, end, factor) {
-    return start + (end - start) * factor;
-}
+// ---- Display jumping (multi-monitor) ----
+const DISPLAY_JUMP_CONFIG = {
+    // How far past the display edge (fraction of its size) the head must push
+    overshoot: 0.08,
+    // How long the push must be held before jumping (ms)
+    holdMs: 700
+};
 
-function bezierInterpolate(p0, p1, p2, t) {
-    // Quadratic bezier curve
-    const oneMinusT = 1 - t;
-    return oneMinusT * oneMinusT * p0 + 2 * oneMinusT * t * p1 + t * t * p2;
-}
+let displayJump = { direction: null, since: 0, armed: true };
 
 // ============================================
 // State
@@ -166,7 +231,9 @@ const state = {
     isCalibrated: false,
     calibrationNose: null,
     faceMesh: null,
-    backendConnected: false,
+    backendConnected: false,   // Socket open AND paired
+    pairingRequired: false,    // Backend rejected (or we lack) the pairing token
+    protocolMismatch: false,   // Backend speaks another protocol version - stop reconnecting
     currentNose: { x: 0.5, y: 0.5 },
 
     finalX: null,
@@ -178,8 +245,40 @@ const state = {
     clickCount: 0,
     isDragging: false,
 
+    // Control ownership from the backend: { inControl, sessionId, controllerId, queuePosition, sessions }
+    control: null,
+
+    // Scroll mode - head pitch/roll scrolls instead of moving the cursor
+    scrollMode: false,
+
+    // Head pose (yaw/pitch/roll degrees) - pointing is relative to the calibrated one
+    currentPose: null,
+    calibrationPose: null,
+
+    // Pointing: 'absolute' (head pose -> screen position) or 'joystick' (head pose -> cursor speed)
+    pointingMode: 'absolute',
+    joystickPose: null,     // The joystick's own calibration: the rest pose
+
+    // Neutral pose follows the resting head; double long blink recenters on the spot
+    driftCorrection: true,
+    recenterGesture: false,
+    lastDeliberateBlinkEnd: 0,
+
+    // Absolute calibration: 1 = look straight ahead, 5 or 9 = guided targets fitted per axis
+    calibrationPoints: 1,
+    calibrationMap: null,   // Fitted pose -> screen mapping (calibration.js) with its quality score
+
+    // Display the head maps onto: a display id, or 'all' to span every display
+    targetDisplay: 0,
+
+    // Camera deviceId ('' = the browser's default), the cameras found, and the active user profile
+    cameraId: '',
+    cameras: [],
+    profile: null,
+
     // Settings
     sensitivity: 1.5,  // Default sensitivity (adjust with slider)
+    smoothness: null,  // Smoothness slider value (null = never moved: the smoothing.js defaults)
     showMesh: true,
 
     // Wink detection
@@ -187,6 +286,26 @@ const state = {
     rightEyeOpen: true,
     winkCooldown: 600,
 
+    // Eye/mouth thresholds (gesture calibration or the Settings meters) and this frame's values
+    gestureThresholds: { ...Gestures.DEFAULT_THRESHOLDS },
+    gestureLevels: null,
+    mouthIsOpen: false,
+
+    // Long blink (both eyes closed) runs a keyboard shortcut
+    bothEyesClosedSince: 0,
+    longBlinkFired: false,
+    longBlinkShortcut: 'undo',
+
+    // Macros saved by the backend: [{ name, steps, duration, createdAt }]
+    macros: [],
+    macroRecording: null,   // Name of the macro this session records
+    macroPlaying: null,     // Name of the macro the backend plays
+    macroSpeed: 1,
+
+    // Cursor smoothing filter (a smoothing.js FILTERS name)
+    smoothingFilter: 'layered',
+    renamingMacro: null,    // Name whose row shows the rename input
+
     // ============================================
     // Speech Recognition State
     // ============================================
@@ -246,14 +365,24 @@ function initElements() {
         startBtn: document.getElementById('startBtn'),
         stopBtn: document.getElementById('stopBtn'),
         calibrateBtn: document.getElementById('calibrateBtn'),
+        scrollModeBtn: document.getElementById('scrollModeBtn'),
         faceStatus: document.getElementById('faceStatus'),
         mouthStatus: document.getElementById('mouthStatus'),
         cursorStatus: document.getElementById('cursorStatus'),
         clickCount: document.getElementById('clickCount'),
         connectionDot: document.getElementById('connectionDot'),
         connectionText: document.getElementById('connectionText'),
+        connectionLatency: document.getElementById('connectionLatency'),
         feedback: document.getElementById('feedback'),
         positionDisplay: document.getElementById('positionDisplay'),
+        // Pairing
+        pairingSection: document.getElementById('pairingSection'),
+        pairingHint: document.getElementById('pairingHint'),
+        pairingTokenInput: document.getElementById('pairingTokenInput'),
+        pairBtn: document.getElementById('pairBtn'),
+        controlSection: document.getElementById('controlSection'),
+        controlHint: document.getElementById('controlHint'),
+        takeControlBtn: document.getElementById('takeControlBtn'),
         // Speech recognition elements
         speakBtn: document.getElementById('speakBtn'),
         speechStatusText: document.getElementById('speechStatusText'),
@@ -273,6 +402,49 @@ function initElements() {
         advisorContent: document.getElementById('advisorContent'),
         closeAdvisorBtn: document.getElementById('closeAdvisorBtn'),
 
+        // Shortcut palette
+        shortcutGrid: document.getElementById('shortcutGrid'),
+        longBlinkSelect: document.getElementById('longBlinkSelect'),
+        longBlinkMacros: document.getElementById('longBlinkMacros'),
+
+        // Macros
+        macroNameInput: document.getElementById('macroNameInput'),
+        macroRecordBtn: document.getElementById('macroRecordBtn'),
+        macroList: document.getElementById('macroList'),
+        macroSpeedSelect: document.getElementById('macroSpeedSelect'),
+        smoothingFilterSelect: document.getElementById('smoothingFilterSelect'),
+        pointingModeSelect: document.getElementById('pointingModeSelect'),
+        joystickSpeedSlider: document.getElementById('joystickSpeedSlider'),
+        joystickCurveSelect: document.getElementById('joystickCurveSelect'),
+        calibrationPointsSelect: document.getElementById('calibrationPointsSelect'),
+        driftCorrectionSelect: document.getElementById('driftCorrectionSelect'),
+        recenterGestureSelect: document.getElementById('recenterGestureSelect'),
+        calibrationQuality: document.getElementById('calibrationQuality'),
+        cameraSelect: document.getElementById('cameraSelect'),
+
+        // Gesture thresholds: calibration and a meter + trigger slider per eye and the mouth
+        settingsModalOverlay: document.getElementById('settingsModalOverlay'),
+        gestureCalibrateBtn: document.getElementById('gestureCalibrateBtn'),
+        gestureMeters: Object.fromEntries(GESTURE_METERS.map(gesture => [gesture, {
+            fill: document.getElementById(`${gesture}GestureFill`),
+            release: document.getElementById(`${gesture}GestureRelease`),
+            slider: document.getElementById(`${gesture}GestureSlider`),
+            value: document.getElementById(`${gesture}GestureValue`)
+        }])),
+
+        // Profiles
+        profileSelect: document.getElementById('profileSelect'),
+        profileNameInput: document.getElementById('profileNameInput'),
+        profileSaveBtn: document.getElementById('profileSaveBtn'),
+        profileDeleteBtn: document.getElementById('profileDeleteBtn'),
+
+        // Face recording & replay
+        faceRecordBtn: document.getElementById('faceRecordBtn'),
+        faceReplayBtn: document.getElementById('faceReplayBtn'),
+        faceReplayInput: document.getElementById('faceReplayInput'),
+        faceReplayLive: document.getElementById('faceReplayLive'),
+        displaySelect: document.getElementById('displaySelect'),
+
         // Image Search
         imageSearchInput: document.getElementById('imageSearchInput'),
         searchImagesBtn: document.getElementById('searchImagesBtn'),
@@ -290,6 +462,8 @@ function initElements() {
 document.addEventListener('DOMContentLoaded', async () => {
     initElements();
     loadSavedSettings(); // Load saved settings from localStorage
+    initProfiles(); // Last-used profile (its settings are the ones just loaded)
+    populateCameras();
     setupEventListeners();
     setupTextAreaTracking(); // Track focused text areas for speech targeting
 
@@ -297,7 +471,6 @@ document.addEventListener('DOMContentLoaded', async () => {
     await initAddOnSdk();
 
     checkBackend();
-    getScreenSize();
     console.log('🎯 SenseLink - Hands-Free Control Ready');
     initDocumentSandbox(); // Initialize Document Sandbox for canvas manipulation
 });
@@ -362,6 +535,48 @@ async function initDocumentSandbox() {
     console.log('🎨 Design Improvement feature initialized');
 }
 
+// Longest side of the page rendition sent to the AI (the backend scales to 1024 anyway)
+const RENDITION_MAX_SIZE = 1024;
+
+/**
+ * Export the current page as a PNG rendition for the AI features.
+ * Returns null outside Express (or on failure) - the backend then captures the screen.
+ * @returns {Promise<{image: string, imageType: string}|null>} Base64 PNG
+ */
+async function exportPageRendition() {
+    const docApi = documentApi || addOnUISdk?.app?.document;
+    if (!docApi || typeof docApi.createRenditions !== 'function') return null;
+
+    try {
+        const constants = addOnUISdk?.constants;
+        const [rendition] = await docApi.createRenditions({
+            range: constants?.Range?.currentPage || 'currentPage',
+            format: constants?.RenditionFormat?.png || 'image/png',
+            requestedSize: { width: RENDITION_MAX_SIZE, height: RENDITION_MAX_SIZE }
+        });
+
+        const image = await blobToBase64(rendition.blob);
+        if (image.length > Protocol.MAX_IMAGE_LENGTH) {
+            console.warn('⚠️ Page rendition too large - using screen capture');
+            return null;
+        }
+        return { image, imageType: 'image/png' };
+    } catch (error) {
+        console.warn('⚠️ Page rendition failed - using screen capture:', error.message);
+        return null;
+    }
+}
+
+function blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        // Strip the "data:image/png;base64," prefix
+        reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
 // ============================================
 // Load Saved Settings from localStorage
 // ============================================
@@ -387,8 +602,7 @@ function loadSavedSettings() {
     const savedSmoothness = localStorage.getItem('facecontrol_smoothness');
     if (savedSmoothness !== null) {
         const smoothnessValue = parseFloat(savedSmoothness);
-        // Apply smoothness to SMOOTH_CONFIG
-        SMOOTH_CONFIG.baseSmoothFactor = 0.02 + (smoothnessValue * 0.015);
+        applySmoothness(smoothnessValue);
 
         const smoothingSlider = document.getElementById('smoothingSlider');
         const smoothingDisplay = document.getElementById('smoothingValue');
@@ -400,6 +614,120 @@ function loadSavedSettings() {
         }
     }
 
+    // Load target display (validated once the backend reports its displays)
+    const savedDisplay = localStorage.getItem('facecontrol_target_display');
+    if (savedDisplay !== null) {
+        state.targetDisplay = savedDisplay === 'all' ? 'all' : parseInt(savedDisplay, 10) || 0;
+    }
+
+    // Load long-blink shortcut
+    const savedBlinkShortcut = localStorage.getItem('facecontrol_blink_shortcut');
+    if (savedBlinkShortcut !== null && (savedBlinkShortcut === 'none' || savedBlinkShortcut === POINTING_BLINK_ACTION || SHORTCUTS[savedBlinkShortcut] || savedBlinkShortcut.startsWith(MACRO_BLINK_PREFIX))) {
+        state.longBlinkShortcut = savedBlinkShortcut;
+    }
+    const longBlinkSelect = document.getElementById('longBlinkSelect');
+    if (longBlinkSelect) {
+        longBlinkSelect.value = state.longBlinkShortcut;
+    }
+
+    // Load smoothing filter
+    const savedFilter = localStorage.getItem('facecontrol_smoothing_filter');
+    if (savedFilter && Smoothing.FILTERS[savedFilter]) {
+        setSmoothingFilter(savedFilter);
+    }
+    const smoothingFilterSelect = document.getElementById('smoothingFilterSelect');
+    if (smoothingFilterSelect) {
+        smoothingFilterSelect.value = state.smoothingFilter;
+    }
+
+    // Load pointing mode and joystick tuning
+    const savedPointingMode = localStorage.getItem('facecontrol_pointing_mode');
+    if (savedPointingMode === 'absolute' || savedPointingMode === 'joystick') {
+        state.pointingMode = savedPointingMode;
+    }
+    const pointingModeSelect = document.getElementById('pointingModeSelect');
+    if (pointingModeSelect) {
+        pointingModeSelect.value = state.pointingMode;
+    }
+    const savedJoystickSpeed = parseFloat(localStorage.getItem('facecontrol_joystick_speed'));
+    if (savedJoystickSpeed > 0) {
+        JOYSTICK_CONFIG.maxSpeed = savedJoystickSpeed;
+    }
+    const joystickSpeedSlider = document.getElementById('joystickSpeedSlider');
+    const joystickSpeedDisplay = document.getElementById('joystickSpeedValue');
+    if (joystickSpeedSlider) {
+        joystickSpeedSlider.value = JOYSTICK_CONFIG.maxSpeed;
+    }
+    if (joystickSpeedDisplay) {
+        joystickSpeedDisplay.textContent = String(JOYSTICK_CONFIG.maxSpeed);
+    }
+    const savedJoystickCurve = parseFloat(localStorage.getItem('facecontrol_joystick_curve'));
+    if (savedJoystickCurve >= 1) {
+        JOYSTICK_CONFIG.curve = savedJoystickCurve;
+    }
+    const joystickCurveSelect = document.getElementById('joystickCurveSelect');
+    if (joystickCurveSelect) {
+        joystickCurveSelect.value = String(JOYSTICK_CONFIG.curve);
+    }
+
+    // Load calibration points
+    const savedCalibrationPoints = parseInt(localStorage.getItem('facecontrol_calibration_points'), 10);
+    if (savedCalibrationPoints === 1 || Calibration.LAYOUTS[savedCalibrationPoints]) {
+        state.calibrationPoints = savedCalibrationPoints;
+    }
+    const calibrationPointsSelect = document.getElementById('calibrationPointsSelect');
+    if (calibrationPointsSelect) {
+        calibrationPointsSelect.value = String(state.calibrationPoints);
+    }
+
+    // Load drift correction and the recenter gesture
+    const savedDriftCorrection = localStorage.getItem('facecontrol_drift_correction');
+    if (savedDriftCorrection !== null) {
+        state.driftCorrection = savedDriftCorrection === 'on';
+    }
+    const savedRecenterGesture = localStorage.getItem('facecontrol_recenter_gesture');
+    if (savedRecenterGesture !== null) {
+        state.recenterGesture = savedRecenterGesture === 'on';
+    }
+    const driftCorrectionSelect = document.getElementById('driftCorrectionSelect');
+    if (driftCorrectionSelect) {
+        driftCorrectionSelect.value = state.driftCorrection ? 'on' : 'off';
+    }
+    const recenterGestureSelect = document.getElementById('recenterGestureSelect');
+    if (recenterGestureSelect) {
+        recenterGestureSelect.value = state.recenterGesture ? 'on' : 'off';
+    }
+
+    // Load gesture thresholds (kept per profile)
+    let savedThresholds = null;
+    try {
+        savedThresholds = JSON.parse(localStorage.getItem('facecontrol_thresholds'));
+    } catch (e) {
+        console.warn('⚠️ Ignoring unreadable gesture thresholds');
+    }
+    if (savedThresholds) {
+        if (savedThresholds.winkCooldown > 0) state.winkCooldown = savedThresholds.winkCooldown;
+        if (savedThresholds.scrollPitch > 0) SCROLL_CONFIG.pitchThreshold = savedThresholds.scrollPitch;
+        if (savedThresholds.scrollRoll > 0) SCROLL_CONFIG.rollThreshold = savedThresholds.scrollRoll;
+    }
+    state.gestureThresholds = savedThresholds && Gestures.isValidThresholds(savedThresholds.gestures)
+        ? { ...savedThresholds.gestures }
+        : { ...Gestures.DEFAULT_THRESHOLDS };
+    renderGestureThresholds();
+
+    // Load camera (the list fills in once the browser names its cameras)
+    state.cameraId = localStorage.getItem('facecontrol_camera') || '';
+
+    // Load macro playback speed
+    const savedMacroSpeed = parseFloat(localStorage.getItem('facecontrol_macro_speed'));
+    if (savedMacroSpeed > 0) {
+        state.macroSpeed = savedMacroSpeed;
+    }
+    const macroSpeedSelect = document.getElementById('macroSpeedSelect');
+    if (macroSpeedSelect) {
+        macroSpeedSelect.value = String(state.macroSpeed);
+    }
+
     console.log('📦 Settings loaded from localStorage');
 }
 
@@ -407,6 +735,9 @@ function setupEventListeners() {
     elements.startBtn.addEventListener('click', startTracking);
     elements.stopBtn.addEventListener('click', stopTracking);
     elements.calibrateBtn.addEventListener('click', calibrate);
+    if (elements.scrollModeBtn) {
+        elements.scrollModeBtn.addEventListener('click', () => setScrollMode(!state.scrollMode));
+    }
 
     // Design Advisor Listeners
     if (elements.analyzeDesignBtn) {
@@ -452,22 +783,190 @@ function setupEventListeners() {
 
     if (smoothingSlider) {
         smoothingSlider.addEventListener('input', (e) => {
-            // Higher slider value = more responsive (higher base smooth factor)
-            // Map 0.1-0.9 to 0.02-0.03 range
+            // Higher slider value = more responsive
             const val = parseFloat(e.target.value);
-            SMOOTH_CONFIG.baseSmoothFactor = 0.02 + (val * 0.015);
+            applySmoothness(val);
             document.getElementById('smoothingValue').textContent = val.toFixed(1);
             // Save to localStorage
             localStorage.setItem('facecontrol_smoothness', val.toString());
         });
     }
 
+    if (elements.pointingModeSelect) {
+        elements.pointingModeSelect.addEventListener('change', (e) => {
+            setPointingMode(e.target.value);
+        });
+    }
+
+    if (elements.joystickSpeedSlider) {
+        elements.joystickSpeedSlider.addEventListener('input', (e) => {
+            JOYSTICK_CONFIG.maxSpeed = parseFloat(e.target.value);
+            document.getElementById('joystickSpeedValue').textContent = e.target.value;
+            localStorage.setItem('facecontrol_joystick_speed', e.target.value);
+        });
+    }
+
+    if (elements.joystickCurveSelect) {
+        elements.joystickCurveSelect.addEventListener('change', (e) => {
+            JOYSTICK_CONFIG.curve = parseFloat(e.target.value) || 1;
+            localStorage.setItem('facecontrol_joystick_curve', String(JOYSTICK_CONFIG.curve));
+        });
+    }
+
+    if (elements.calibrationPointsSelect) {
+        elements.calibrationPointsSelect.addEventListener('change', (e) => {
+            const points = parseInt(e.target.value, 10);
+            state.calibrationPoints = Calibration.LAYOUTS[points] ? points : 1;
+            localStorage.setItem('facecontrol_calibration_points', String(state.calibrationPoints));
+        });
+    }
+
+    if (elements.driftCorrectionSelect) {
+        elements.driftCorrectionSelect.addEventListener('change', (e) => {
+            state.driftCorrection = e.target.value === 'on';
+            localStorage.setItem('facecontrol_drift_correction', e.target.value);
+        });
+    }
+
+    if (elements.recenterGestureSelect) {
+        elements.recenterGestureSelect.addEventListener('change', (e) => {
+            state.recenterGesture = e.target.value === 'on';
+            localStorage.setItem('facecontrol_recenter_gesture', e.target.value);
+        });
+    }
+
+    if (elements.gestureCalibrateBtn) {
+        elements.gestureCalibrateBtn.addEventListener('click', startGestureCalibration);
+    }
+
+    for (const gesture of GESTURE_METERS) {
+        const meter = elements.gestureMeters[gesture];
+        if (!meter.slider) continue;
+        meter.slider.addEventListener('input', (e) => {
+            state.gestureThresholds = Gestures.setTrigger(state.gestureThresholds, gesture, parseFloat(e.target.value));
+            renderGestureThresholds();
+        });
+        meter.slider.addEventListener('change', () => {
+            localStorage.setItem('facecontrol_thresholds', JSON.stringify(currentThresholds()));
+        });
+    }
+
+    if (elements.cameraSelect) {
+        elements.cameraSelect.addEventListener('change', (e) => {
+            setCamera(e.target.value);
+        });
+    }
+
+    // Profiles: quick switch, save as, delete
+    if (elements.profileSelect) {
+        elements.profileSelect.addEventListener('change', (e) => {
+            switchProfile(e.target.value);
+        });
+    }
+    if (elements.profileSaveBtn) {
+        elements.profileSaveBtn.addEventListener('click', saveProfileAs);
+    }
+    if (elements.profileNameInput) {
+        elements.profileNameInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') saveProfileAs();
+        });
+    }
+    if (elements.profileDeleteBtn) {
+        elements.profileDeleteBtn.addEventListener('click', deleteActiveProfile);
+    }
+
+    // Any change in Settings goes into the active profile (after the control's own listener has applied it)
+    const settingsOverlay = document.getElementById('settingsModalOverlay');
+    if (settingsOverlay) {
+        settingsOverlay.addEventListener('change', () => saveActiveProfile());
+    }
+    // Long-blink mode switches and the like, on the way out
+    window.addEventListener('pagehide', () => saveActiveProfile());
+
+    if (elements.smoothingFilterSelect) {
+        elements.smoothingFilterSelect.addEventListener('change', (e) => {
+            setSmoothingFilter(e.target.value);
+            localStorage.setItem('facecontrol_smoothing_filter', state.smoothingFilter);
+        });
+    }
+
     if (meshToggle) {
         meshToggle.addEventListener('change', (e) => {
             state.showMesh = e.target.checked;
         });
     }
 
+    // Pairing
+    if (elements.pairBtn) {
+        elements.pairBtn.addEventListener('click', submitPairingToken);
+    }
+    if (elements.pairingTokenInput) {
+        elements.pairingTokenInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') submitPairingToken();
+        });
+    }
+
+    // Control ownership
+    if (elements.takeControlBtn) {
+        elements.takeControlBtn.addEventListener('click', takeControl);
+    }
+
+    // Shortcut palette
+    if (elements.shortcutGrid) {
+        renderShortcutPalette();
+    }
+
+    if (elements.displaySelect) {
+        elements.displaySelect.addEventListener('change', (e) => {
+            setTargetDisplay(e.target.value === 'all' ? 'all' : parseInt(e.target.value, 10));
+        });
+    }
+
+    if (elements.longBlinkSelect) {
+        elements.longBlinkSelect.addEventListener('change', (e) => {
+            state.longBlinkShortcut = e.target.value;
+            localStorage.setItem('facecontrol_blink_shortcut', e.target.value);
+        });
+    }
+
+    // Macros
+    if (elements.macroRecordBtn) {
+        elements.macroRecordBtn.addEventListener('click', toggleMacroRecording);
+    }
+    if (elements.macroNameInput) {
+        elements.macroNameInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') toggleMacroRecording();
+        });
+    }
+    if (elements.macroSpeedSelect) {
+        elements.macroSpeedSelect.addEventListener('change', (e) => {
+            state.macroSpeed = parseFloat(e.target.value) || 1;
+            localStorage.setItem('facecontrol_macro_speed', String(state.macroSpeed));
+        });
+    }
+    if (elements.macroList) {
+        renderMacroList();
+    }
+
+    // Face recording & replay
+    if (elements.faceRecordBtn) {
+        elements.faceRecordBtn.addEventListener('click', toggleFaceRecording);
+    }
+    if (elements.faceReplayBtn && elements.faceReplayInput) {
+        elements.faceReplayBtn.addEventListener('click', () => {
+            if (faceReplay) {
+                stopFaceReplay();
+            } else {
+                elements.faceReplayInput.click();
+            }
+        });
+        elements.faceReplayInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = ''; // Same file can be picked again
+            if (file) loadFaceReplayFile(file);
+        });
+    }
+
     // Speech recognition button
     if (elements.speakBtn) {
         elements.speakBtn.addEventListener('click', toggleSpeaking);
@@ -498,163 +997,768 @@ function setupEventListeners() {
 
 let websocket = null;
 let wsReconnectTimer = null;
-const WS_URL = 'ws://localhost:3002';
+
+// Reconnect backoff: 0.5s, 1s, 2s ... capped at 30s, reset once paired
+const RECONNECT_BASE_DELAY = 500;
+const RECONNECT_MAX_DELAY = 30000;
+let reconnectAttempts = 0;
+
+// Heartbeat: a ping every 5s; no pong for 12s means the socket is half-dead
+const HEARTBEAT_INTERVAL = 5000;
+const HEARTBEAT_TIMEOUT = 12000;
+let heartbeatTimer = null;
+let lastPongAt = 0;
+let latencyMs = null;
+
+// Clicks and keys issued during a short drop are replayed after reconnecting.
+// Moves, scrolls and drags are continuous - replaying them late would do harm.
+const QUEUED_ACTIONS = new Set(['click', 'doubleclick', 'keyTap', 'keyCombo', 'type']);
+// Moves aren't replayed, so these go back to where the cursor was pointed when they were made
+const POSITIONED_ACTIONS = new Set(['click', 'doubleclick']);
+const OFFLINE_QUEUE_MAX = 50;
+const OFFLINE_QUEUE_MAX_AGE = 5000;
+const offlineQueue = [];
+
+// Agreed in the handshake - pointer actions then go out as binary frames
+let binaryFramesActive = false;
+
+// Message schemas, error codes and close codes (src/protocol.js, shared with the backend)
+const Protocol = window.FaceControlProtocol;
+const PAIRING_TOKEN_KEY = 'facecontrol_pairing_token';
+
+// In-flight requests: requestId -> UI slot their response renders into
+let nextRequestId = 1;
+const pendingRequests = new Map();
+// Newest requestId per slot - a late response to an older request is dropped
+const latestRequestBySlot = {};
 
 function connectWebSocket() {
-    if (websocket && websocket.readyState === WebSocket.OPEN) return;
+    if (websocket && (websocket.readyState === WebSocket.OPEN || websocket.readyState === WebSocket.CONNECTING)) return;
+    if (state.pairingRequired) return; // Wait for the user to enter a token
+    if (state.protocolMismatch) return; // Reconnecting won't help until one side updates
 
     try {
-        websocket = new WebSocket(WS_URL);
+        websocket = new WebSocket(CONFIG.websocketUrl);
 
         websocket.onopen = () => {
-            state.backendConnected = true;
-            if (elements.connectionDot) elements.connectionDot.classList.add('connected');
-            if (elements.connectionText) elements.connectionText.textContent = 'Connected';
-            console.log('🚀 WebSocket connected - Ultra-smooth mode!');
-
-            // Clear reconnect timer
-            if (wsReconnectTimer) {
-                clearInterval(wsReconnectTimer);
-                wsReconnectTimer = null;
-            }
-        };
+            cancelReconnect();
 
-        websocket.onclose = () => {
-            state.backendConnected = false;
-            if (elements.connectionDot) elements.connectionDot.classList.remove('connected');
-            if (elements.connectionText) elements.connectionText.textContent = 'Disconnected';
-
-            // Try to reconnect every 2 seconds
-            if (!wsReconnectTimer) {
-                wsReconnectTimer = setInterval(connectWebSocket, 2000);
+            const token = localStorage.getItem(PAIRING_TOKEN_KEY);
+            if (!token) {
+                showPairingPrompt('Enter the pairing token shown in the backend console.');
+                websocket.close();
+                return;
             }
+
+            // Nothing else is accepted until the backend answers auth_ok
+            if (elements.connectionText) elements.connectionText.textContent = 'Pairing...';
+            const auth = { action: 'auth', token, version: Protocol.PROTOCOL_VERSION };
+            if (CONFIG.binaryFrames) auth.encodings = [Protocol.BINARY.ENCODING];
+            websocket.send(JSON.stringify(auth));
         };
 
+        websocket.onclose = handleSocketClosed;
+
         websocket.onerror = () => {
             // Silent - will trigger onclose
         };
 
         websocket.onmessage = (event) => {
+            let data;
             try {
-                const data = JSON.parse(event.data);
-                if (data.type === 'position') {
-                } else if (data.type === 'explanation') {
-                    handleExplanation(data.data);
-                } else if (data.type === 'design_advice') {
-                    handleDesignResponse(data.data);
-                } else if (data.type === 'design_improvements') {
-                    handleDesignImprovement(data.data);
-                } else if (data.type === 'image_search_results') {
-                    handleImageSearchResults(data);
-                } else if (data.type === 'image_search_error') {
-                    handleImageSearchError(data.message);
-                } else if (data.type === 'image_suggestion_insight') {
-                    handleAIInsight(data.insight);
-                } else if (data.type === 'image_suggestion_results') {
-                    handleAISuggestionResults(data);
-                } else if (data.type === 'image_suggestion_error') {
-                    handleAISuggestionError(data.message);
-                } else if (data.type === 'error') {
-                    showFeedback(`❌ ${data.message}`);
+                data = JSON.parse(event.data);
+            } catch (e) {
+                console.warn('⚠️ Backend sent invalid JSON:', event.data);
+                return;
+            }
+
+            // Responses to a request are routed by requestId; drop ones that were superseded
+            const slot = data.requestId !== undefined ? pendingRequests.get(data.requestId) : undefined;
+            if (slot) {
+                if (Protocol.isFinalResponse(data.type)) pendingRequests.delete(data.requestId);
+                if (latestRequestBySlot[slot] !== data.requestId) {
+                    console.log(`⏭️ Ignoring stale ${data.type} for request ${data.requestId}`);
+                    return;
+                }
+            }
+
+            if (data.type === 'pong') {
+                handlePong(data);
+            } else if (data.type === 'auth_ok') {
+                binaryFramesActive = Array.isArray(data.encodings) && data.encodings.includes(Protocol.BINARY.ENCODING);
+                handlePaired();
+            } else if (data.type === 'auth_error') {
+                if (data.code === Protocol.ERROR_CODES.UNSUPPORTED_VERSION) {
+                    handleProtocolMismatch(data.version);
+                } else {
+                    localStorage.removeItem(PAIRING_TOKEN_KEY);
+                    showPairingPrompt(`❌ ${data.message}. Check the token in the backend console.`);
                 }
-            } catch (e) { }
+            } else if (data.type === 'control') {
+                handleControlChange(data);
+            } else if (data.type === 'macros') {
+                handleMacroList(data.macros);
+            } else if (data.type === 'macro_state') {
+                handleMacroState(data);
+            } else if (data.type === 'position') {
+            } else if (data.type === 'explanation') {
+                handleExplanation(data.data);
+            } else if (data.type === 'design_advice') {
+                handleDesignResponse(data.data);
+            } else if (data.type === 'design_improvements') {
+                handleDesignImprovement(data.data);
+            } else if (data.type === 'image_search_results') {
+                handleImageSearchResults(data);
+            } else if (data.type === 'image_suggestion_insight') {
+                handleAIInsight(data.insight);
+            } else if (data.type === 'image_suggestion_results') {
+                handleAISuggestionResults(data);
+            } else if (data.type === 'error') {
+                handleRequestError(slot, data);
+            } else {
+                console.warn('⚠️ Unknown message type from backend:', data.type);
+            }
         };
     } catch (e) {
         state.backendConnected = false;
     }
 }
 
-async function checkBackend() {
-    // First check HTTP health endpoint
-    try {
-        const res = await fetch(`${CONFIG.backendUrl}/api/health`);
-        if (res.ok) {
-            const data = await res.json();
-            if (data.screen) {
-                CONFIG.screenWidth = data.screen.width || 1920;
-                CONFIG.screenHeight = data.screen.height || 1080;
-            }
-            // Now connect WebSocket
-            connectWebSocket();
-        }
-    } catch (e) {
-        state.backendConnected = false;
-        // Still try WebSocket
+function handleSocketClosed(event) {
+    const wasConnected = state.backendConnected;
+    state.backendConnected = false;
+    binaryFramesActive = false;
+    state.control = null;
+    if (elements.controlSection) elements.controlSection.style.display = 'none';
+    // The backend saves a recording and aborts playback when the socket goes away
+    state.macroRecording = null;
+    state.macroPlaying = null;
+    renderMacroList();
+    stopHeartbeat();
+    // Their responses died with the socket
+    pendingRequests.clear();
+    if (elements.connectionDot) elements.connectionDot.classList.remove('connected');
+    if (elements.connectionText && !state.protocolMismatch) {
+        elements.connectionText.textContent = state.pairingRequired ? 'Not paired' : 'Disconnected';
+    }
+
+    // The backend releases the button of a socket that goes away - forget our side of the drag
+    if (wasConnected && state.isDragging) {
+        state.isDragging = false;
+        showFeedback('✋ Connection lost - drag released');
+    }
+    // The cursor stopped showing the targets
+    if (guidedCalibration && guidedCalibration.live) {
+        cancelGuidedCalibration('❌ Calibration stopped - connection lost');
+    }
+
+    if (event.code === Protocol.CLOSE_CODES.UNAUTHORIZED && !state.pairingRequired) {
+        showPairingPrompt('Pairing expired - enter the token from the backend console.');
+    }
+
+    // Unless we need a token or an update first
+    if (!state.pairingRequired && !state.protocolMismatch) scheduleReconnect();
+}
+
+function scheduleReconnect() {
+    if (wsReconnectTimer) return;
+
+    // Exponential backoff with +-20% jitter so several panels don't reconnect in lockstep
+    const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** reconnectAttempts) * (0.8 + Math.random() * 0.4);
+    reconnectAttempts++;
+
+    if (elements.connectionText && reconnectAttempts > 1) {
+        elements.connectionText.textContent = `Retry in ${Math.ceil(delay / 1000)}s`;
+    }
+
+    wsReconnectTimer = setTimeout(() => {
+        wsReconnectTimer = null;
         connectWebSocket();
+    }, delay);
+}
+
+function cancelReconnect() {
+    if (wsReconnectTimer) {
+        clearTimeout(wsReconnectTimer);
+        wsReconnectTimer = null;
     }
 }
 
-async function getScreenSize() {
-    try {
-        const res = await fetch(`${CONFIG.backendUrl}/api/health`);
-        const data = await res.json();
-        if (data.screen) {
-            CONFIG.screenWidth = data.screen.width || 1920;
-            CONFIG.screenHeight = data.screen.height || 1080;
+// ============================================
+// Heartbeat & Latency
+// ============================================
+
+function startHeartbeat() {
+    stopHeartbeat();
+    lastPongAt = performance.now();
+    sendPing();
+    heartbeatTimer = setInterval(() => {
+        // No pong for a while: the socket looks open but nothing gets through
+        if (performance.now() - lastPongAt > HEARTBEAT_TIMEOUT) {
+            console.warn('💔 No heartbeat from backend - reconnecting');
+            dropDeadSocket();
+            return;
         }
-    } catch (e) { }
+        sendPing();
+    }, HEARTBEAT_INTERVAL);
 }
 
-// Ultra-fast mouse send via WebSocket
-function sendMouse(x, y) {
-    if (!state.backendConnected || !websocket || websocket.readyState !== WebSocket.OPEN) return;
+function stopHeartbeat() {
+    if (heartbeatTimer) {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+    latencyMs = null;
+    renderLatency();
+}
 
-    // WebSocket send is instant - no HTTP overhead!
-    websocket.send(JSON.stringify({ action: 'moveTo', x, y }));
+function sendPing() {
+    sendMessage({ action: 'ping', t: performance.now() });
 }
 
-// Ultra-fast click via WebSocket
-function sendClick(button = 'left') {
-    if (!state.backendConnected || !websocket || websocket.readyState !== WebSocket.OPEN) return;
+function handlePong(data) {
+    lastPongAt = performance.now();
+    if (typeof data.t !== 'number') return;
 
-    websocket.send(JSON.stringify({ action: 'click', button }));
+    // Smoothed round trip so one slow frame doesn't make the badge jump
+    const rtt = lastPongAt - data.t;
+    latencyMs = latencyMs === null ? rtt : latencyMs * 0.7 + rtt * 0.3;
+    renderLatency();
 }
 
-function sendDragStart() {
-    if (!state.backendConnected || !websocket || websocket.readyState !== WebSocket.OPEN) return;
-    websocket.send(JSON.stringify({ action: 'mousedown' }));
+function renderLatency() {
+    if (!elements.connectionLatency) return;
+
+    if (latencyMs === null) {
+        elements.connectionLatency.textContent = '';
+        elements.connectionLatency.className = 'connection-latency';
+        return;
+    }
+
+    const quality = latencyMs < 50 ? 'good' : latencyMs < 150 ? 'fair' : 'poor';
+    elements.connectionLatency.textContent = `${Math.round(latencyMs)} ms`;
+    elements.connectionLatency.className = `connection-latency ${quality}`;
 }
 
-function sendDragEnd() {
-    if (!state.backendConnected || !websocket || websocket.readyState !== WebSocket.OPEN) return;
-    websocket.send(JSON.stringify({ action: 'mouseup' }));
+// A half-dead socket can take minutes to fire onclose - stop waiting for it
+function dropDeadSocket() {
+    const dead = websocket;
+    websocket = null;
+    if (dead) {
+        dead.onclose = null;
+        dead.onmessage = null;
+        try { dead.close(); } catch (e) { }
+    }
+    handleSocketClosed({ code: 1006 });
 }
 
 // ============================================
-// Camera & Face Mesh
+// Offline Command Queue
 // ============================================
 
-async function startTracking() {
-    try {
-        elements.startBtn.disabled = true;
+function queueOfflineCommand(msg) {
+    if (offlineQueue.length >= OFFLINE_QUEUE_MAX) offlineQueue.shift();
+    // lastSentX/Y follow the head while disconnected too
+    const at = POSITIONED_ACTIONS.has(msg.action) ? { x: lastSentX, y: lastSentY } : null;
+    offlineQueue.push({ msg, at, queuedAt: performance.now() });
+}
 
-        if (!state.faceMesh) {
-            state.faceMesh = new FaceMesh({
-                locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`
-            });
+// Replay what was issued during a short drop; anything older is no longer what the user wants
+function flushOfflineQueue() {
+    const now = performance.now();
+    const fresh = offlineQueue.filter(entry => now - entry.queuedAt <= OFFLINE_QUEUE_MAX_AGE);
+    const dropped = offlineQueue.length - fresh.length;
+    offlineQueue.length = 0;
 
-            state.faceMesh.setOptions({
-                maxNumFaces: 1,
-                refineLandmarks: true,
-                minDetectionConfidence: 0.5,
-                minTrackingConfidence: 0.5
-            });
+    fresh.forEach((entry) => {
+        if (entry.at) sendMessage({ action: 'moveTo', x: entry.at.x, y: entry.at.y });
+        sendMessage(entry.msg);
+    });
+    if (fresh.length > 0 || dropped > 0) {
+        console.log(`📬 Replayed ${fresh.length} queued command(s)${dropped ? `, dropped ${dropped} stale` : ''}`);
+    }
+}
 
-            state.faceMesh.onResults(onFaceResults);
+// ============================================
+// Control Ownership
+// ============================================
+
+// Another session drives the mouse (with nobody in control, the first to act claims it)
+function isObserving() {
+    return Boolean(state.control && state.control.controllerId !== null && !state.control.inControl);
+}
+
+function handleControlChange(data) {
+    const hadControl = state.control ? state.control.inControl : true;
+    state.control = data;
+
+    if (!data.inControl && hadControl && data.controllerId !== null) {
+        // The backend released our drag when control moved on
+        state.isDragging = false;
+        showFeedback('🎮 Another session took control');
+        // Our moves no longer reach the cursor, so it stopped showing the targets
+        if (guidedCalibration && guidedCalibration.live) {
+            cancelGuidedCalibration('❌ Calibration stopped - another session took control');
         }
+    } else if (data.inControl && !hadControl) {
+        showFeedback('🎮 You are in control');
+    }
 
-        const stream = await navigator.mediaDevices.getUserMedia({
-            video: { width: 640, height: 480, facingMode: 'user' }
-        });
+    if (elements.controlSection) elements.controlSection.style.display = isObserving() ? 'block' : 'none';
+    if (elements.controlHint && isObserving()) {
+        const others = data.sessions - 1;
+        elements.controlHint.textContent = data.queuePosition === 1
+            ? 'Another SenseLink panel is moving the mouse. You are next in line.'
+            : `Another SenseLink panel is moving the mouse (${others} other session${others === 1 ? '' : 's'} open).`;
+    }
+}
 
-        elements.video.srcObject = stream;
-        await elements.video.play();
+function takeControl() {
+    if (!sendMessage({ action: 'takeControl' })) showFeedback('❌ Not connected');
+}
 
-        elements.canvas.width = 640;
-        elements.canvas.height = 480;
+// Let a waiting session take over when this one stops tracking
+function releaseControl() {
+    if (state.control && state.control.inControl) sendMessage({ action: 'releaseControl' });
+}
 
-        elements.placeholder.classList.add('hidden');
-        elements.startBtn.style.display = 'none';
+// ============================================
+// Pairing
+// ============================================
+
+function handlePaired() {
+    state.backendConnected = true;
+    state.pairingRequired = false;
+    reconnectAttempts = 0;
+    if (elements.connectionDot) elements.connectionDot.classList.add('connected');
+    if (elements.connectionText) elements.connectionText.textContent = 'Connected';
+    if (elements.pairingSection) elements.pairingSection.style.display = 'none';
+    console.log(`🚀 WebSocket connected & paired - Ultra-smooth mode!${binaryFramesActive ? ' (binary pointer frames)' : ''}`);
+
+    startHeartbeat();
+    flushOfflineQueue();
+    sendMessage({ action: 'macroList' });
+
+    // Found before pairing: fetch what the backend offers now that we have the token
+    if (!CONFIG.capabilities) {
+        fetchHealth(CONFIG.backendUrl).then((data) => {
+            if (data) applyHealth(data);
+        });
+    }
+}
+
+// Panel and backend were built from different versions
+function handleProtocolMismatch(backendVersion) {
+    state.protocolMismatch = true;
+
+    cancelReconnect();
+
+    console.error(`❌ Backend speaks protocol v${backendVersion}, panel speaks v${Protocol.PROTOCOL_VERSION}`);
+    if (elements.connectionText) elements.connectionText.textContent = 'Update needed';
+    showFeedback('❌ Panel and backend versions differ - update both');
+}
+
+function showPairingPrompt(message) {
+    state.pairingRequired = true;
+    cancelReconnect();
+
+    if (elements.connectionText) elements.connectionText.textContent = 'Not paired';
+    if (elements.pairingHint) elements.pairingHint.textContent = message;
+    if (elements.pairingSection) elements.pairingSection.style.display = 'block';
+}
+
+function submitPairingToken() {
+    const token = elements.pairingTokenInput?.value?.trim();
+    if (!token) {
+        showFeedback('❌ Enter the pairing token');
+        elements.pairingTokenInput?.focus();
+        return;
+    }
+
+    localStorage.setItem(PAIRING_TOKEN_KEY, token);
+    elements.pairingTokenInput.value = '';
+    state.pairingRequired = false;
+    if (elements.pairingHint) elements.pairingHint.textContent = 'Pairing...';
+    connectWebSocket();
+}
+
+// ============================================
+// Backend Discovery
+// ============================================
+
+const BACKEND_URL_KEY = 'facecontrol_backend_url';
+// Tried after the remembered address: https/wss first (tls.port), then http/ws (server.port)
+const BACKEND_URLS = [
+    'https://localhost:3443',
+    ...[3002, 3003, 3004, 3005].map(port => `http://localhost:${port}`)
+];
+const HEALTH_TIMEOUT = 1500;
+
+async function fetchHealth(baseUrl) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), HEALTH_TIMEOUT);
+    // Without the pairing token the backend only says where it is, not what it offers
+    const token = localStorage.getItem(PAIRING_TOKEN_KEY);
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    try {
+        const res = await fetch(`${baseUrl}/api/health`, { signal: controller.signal, headers });
+        if (!res.ok) return null;
+        const data = await res.json();
+        // Something else may be listening on that port
+        return data && data.websocket ? data : null;
+    } catch (e) {
+        return null;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Find the backend: the last working address first, then the usual local ports.
+ * Secure endpoints win - some browsers block ws:// from the https panel.
+ * @returns {Promise<object|null>} Its /api/health answer
+ */
+async function discoverBackend() {
+    const candidates = [localStorage.getItem(BACKEND_URL_KEY), ...BACKEND_URLS]
+        .filter((url, index, list) => url && list.indexOf(url) === index);
+
+    for (const url of candidates) {
+        let found = url;
+        let data = await fetchHealth(url);
+        if (!data) continue;
+
+        // Reached over http, but the backend also serves https (fails until its certificate is trusted)
+        const secureUrl = data.endpoints && data.endpoints.https;
+        if (url.startsWith('http:') && secureUrl) {
+            const secureData = await fetchHealth(secureUrl);
+            if (secureData) {
+                found = secureUrl;
+                data = secureData;
+            } else {
+                console.warn(`⚠️ ${secureUrl} not trusted yet - using ${url}. Open it once and accept the certificate.`);
+            }
+        }
+
+        CONFIG.backendUrl = found;
+        localStorage.setItem(BACKEND_URL_KEY, found);
+        return data;
+    }
+    return null;
+}
+
+function applyHealth(data) {
+    CONFIG.websocketUrl = data.websocket;
+    CONFIG.capabilities = data.capabilities || null;
+    CONFIG.backendConfig = data.config || null;
+
+    if (data.screen) {
+        CONFIG.screenWidth = data.screen.width || 1920;
+        CONFIG.screenHeight = data.screen.height || 1080;
+    }
+    applyDisplayInfo(data);
+
+    if (CONFIG.capabilities) {
+        const missing = [];
+        if (!CONFIG.capabilities.vision) missing.push('AI analysis');
+        if (!CONFIG.capabilities.imageSearch) missing.push('image search');
+        if (missing.length > 0) console.log(`⚠️ Backend has no key configured for: ${missing.join(', ')}`);
+    }
+}
+
+async function checkBackend() {
+    // Find the backend over HTTP, then connect its WebSocket
+    const data = await discoverBackend();
+    if (data) {
+        console.log(`🔎 Backend found at ${CONFIG.backendUrl}`);
+        applyHealth(data);
+    } else {
+        state.backendConnected = false;
+    }
+    // Still try the WebSocket (the backend may come up later)
+    connectWebSocket();
+}
+
+// ============================================
+// Multi-Monitor Support
+// ============================================
+
+/**
+ * Store the display layout from /api/health and refresh the display picker
+ */
+function applyDisplayInfo(data) {
+    if (!Array.isArray(data.displays) || data.displays.length === 0) return;
+
+    CONFIG.displays = data.displays;
+    CONFIG.desktop = data.desktop || null;
+
+    // Saved display may have been unplugged
+    if (state.targetDisplay !== 'all' && !CONFIG.displays.some(d => d.id === state.targetDisplay)) {
+        state.targetDisplay = CONFIG.displays[0].id;
+    }
+
+    renderDisplayOptions();
+}
+
+function renderDisplayOptions() {
+    if (!elements.displaySelect) return;
+
+    let html = CONFIG.displays.map(d => {
+        const scale = d.scale && d.scale !== 1 ? ` @${d.scale}x` : '';
+        const primary = d.primary ? ' (primary)' : '';
+        return `<option value="${d.id}">${d.id + 1}: ${d.width}×${d.height}${scale}${primary}</option>`;
+    }).join('');
+
+    if (CONFIG.displays.length > 1) {
+        html += `<option value="all">Span all displays</option>`;
+    }
+
+    elements.displaySelect.innerHTML = html;
+    elements.displaySelect.value = String(state.targetDisplay);
+}
+
+/**
+ * Screen rectangle the head is currently mapped onto
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function getTargetRect() {
+    if (state.targetDisplay === 'all' && CONFIG.desktop) {
+        return CONFIG.desktop;
+    }
+
+    const display = CONFIG.displays.find(d => d.id === state.targetDisplay);
+    if (display) return display;
+
+    return { x: 0, y: 0, width: CONFIG.screenWidth, height: CONFIG.screenHeight };
+}
+
+function setTargetDisplay(target) {
+    state.targetDisplay = target;
+    localStorage.setItem('facecontrol_target_display', String(target));
+    if (elements.displaySelect) elements.displaySelect.value = String(target);
+
+    // Re-center the cursor on the new display
+    if (state.isCalibrated) {
+        const rect = getTargetRect();
+        const centerX = rect.x + rect.width / 2;
+        const centerY = rect.y + rect.height / 2;
+        resetSmoothingTo(centerX, centerY);
+        sendMouse(centerX, centerY);
+    }
+}
+
+/**
+ * Nearest display in a direction from the current one
+ */
+function findNeighborDisplay(current, direction) {
+    const cx = current.x + current.width / 2;
+    const cy = current.y + current.height / 2;
+    const horizontal = direction === 'left' || direction === 'right';
+    const sign = direction === 'right' || direction === 'down' ? 1 : -1;
+
+    let best = null;
+    let bestScore = Infinity;
+
+    for (const display of CONFIG.displays) {
+        if (display.id === current.id) continue;
+        const dx = display.x + display.width / 2 - cx;
+        const dy = display.y + display.height / 2 - cy;
+        const along = horizontal ? dx : dy;
+        const across = horizontal ? dy : dx;
+        if (along * sign <= 0) continue;
+
+        const score = Math.abs(along) + Math.abs(across) * 2;
+        if (score < bestScore) {
+            best = display;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * Jump gesture: hold the head pushed past a display edge to move to the neighbor.
+ * Re-arms only after the head comes back inside the display.
+ * @returns {boolean} true if the target display changed
+ */
+function checkDisplayJump(rawX, rawY, rect, now) {
+    if (state.targetDisplay === 'all' || CONFIG.displays.length < 2) return false;
+
+    const overshootX = rect.width * DISPLAY_JUMP_CONFIG.overshoot;
+    const overshootY = rect.height * DISPLAY_JUMP_CONFIG.overshoot;
+    let direction = null;
+    if (rawX < rect.x - overshootX) direction = 'left';
+    else if (rawX > rect.x + rect.width + overshootX) direction = 'right';
+    else if (rawY < rect.y - overshootY) direction = 'up';
+    else if (rawY > rect.y + rect.height + overshootY) direction = 'down';
+
+    if (!direction) {
+        displayJump = { direction: null, since: 0, armed: true };
+        return false;
+    }
+
+    if (!displayJump.armed) return false;
+
+    if (direction !== displayJump.direction) {
+        displayJump.direction = direction;
+        displayJump.since = now;
+        return false;
+    }
+
+    if (now - displayJump.since < DISPLAY_JUMP_CONFIG.holdMs) return false;
+
+    displayJump.armed = false;
+    const neighbor = findNeighborDisplay(rect, direction);
+    if (!neighbor) return false;
+
+    setTargetDisplay(neighbor.id);
+    showFeedback(`🖥️ Display ${neighbor.id + 1}`);
+    return true;
+}
+
+/**
+ * Validate a message against the shared protocol and send it.
+ * While disconnected, clicks and keys are queued for replay (see QUEUED_ACTIONS).
+ * @returns {boolean} false if the message is malformed, or not connected and not queued
+ */
+function sendMessage(msg) {
+    // Fast path for cursor updates: a 9-byte frame instead of JSON, no schema pass
+    if (binaryFramesActive && !isObserving() && (!faceReplay || faceReplay.live) && state.backendConnected && websocket && websocket.readyState === WebSocket.OPEN) {
+        const frame = Protocol.encodeBinary(msg);
+        if (frame) {
+            websocket.send(frame);
+            return true;
+        }
+    }
+
+    const check = Protocol.validateMessage(msg);
+    if (!check.ok) {
+        console.warn(`⚠️ Not sent (${check.code}): ${check.message}`);
+        return false;
+    }
+
+    // Observers don't move the mouse - the backend would drop it anyway
+    if (Protocol.ACTIONS[msg.action].controls && isObserving()) return false;
+
+    // A dry-run replay collects what it would have sent instead
+    if (Protocol.ACTIONS[msg.action].controls && faceReplay && !faceReplay.live) {
+        faceReplay.sent.push({ t: faceReplay.frameTime - faceReplay.recording.startedAt, ...msg });
+        return true;
+    }
+
+    if (!state.backendConnected || !websocket || websocket.readyState !== WebSocket.OPEN) {
+        // Not for a panel that was never paired - the user would not expect a late burst
+        if (!QUEUED_ACTIONS.has(msg.action) || state.pairingRequired || state.protocolMismatch) return false;
+        queueOfflineCommand(msg);
+        return true;
+    }
+
+    websocket.send(JSON.stringify(msg));
+    return true;
+}
+
+/**
+ * Send a message whose response renders into a UI slot ('inspector', 'advisor', 'gallery').
+ * A newer request for the same slot makes older responses stale.
+ * @returns {string|null} requestId, or null if nothing was sent
+ */
+function sendRequest(slot, msg) {
+    const requestId = `${slot}-${nextRequestId++}`;
+    if (!sendMessage({ ...msg, requestId })) return null;
+
+    pendingRequests.set(requestId, slot);
+    latestRequestBySlot[slot] = requestId;
+    return requestId;
+}
+
+// Show a typed error where the failed request's result would have gone
+function handleRequestError(slot, data) {
+    console.warn(`❌ Backend error ${data.code}${data.requestId ? ` (request ${data.requestId})` : ''}:`, data.message);
+
+    switch (slot) {
+        case 'inspector':
+            handleExplanationError(data.message);
+            break;
+        case 'advisor':
+            elements.advisorContent.innerHTML = `<div class="error-state"></div>`;
+            elements.advisorContent.firstChild.textContent = data.message;
+            break;
+        case 'gallery':
+            if (isSuggestingImages) {
+                handleAISuggestionError(data.message);
+            } else {
+                handleImageSearchError(data.message);
+            }
+            break;
+        default:
+            showFeedback(`❌ ${data.message}`);
+    }
+}
+
+// Ultra-fast mouse send via WebSocket
+function sendMouse(x, y) {
+    // WebSocket send is instant - no HTTP overhead!
+    sendMessage({ action: 'moveTo', x, y });
+}
+
+// Ultra-fast click via WebSocket
+function sendClick(button = 'left') {
+    sendMessage({ action: 'click', button });
+}
+
+// Scroll by wheel steps (y: positive=up, x: positive=right)
+function sendScroll(x, y) {
+    sendMessage({ action: 'scroll', x, y });
+}
+
+// Key combo via WebSocket, e.g. "mod+z" (validated against the backend allowlist)
+function sendKeyCombo(combo) {
+    return sendMessage({ action: 'keyCombo', combo });
+}
+
+function sendDragStart() {
+    sendMessage({ action: 'mousedown' });
+}
+
+function sendDragEnd() {
+    sendMessage({ action: 'mouseup' });
+}
+
+// ============================================
+// Camera & Face Mesh
+// ============================================
+
+async function startTracking() {
+    try {
+        elements.startBtn.disabled = true;
+
+        if (!state.faceMesh) {
+            state.faceMesh = new FaceMesh({
+                locateFile: (file) => `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`
+            });
+
+            state.faceMesh.setOptions({
+                maxNumFaces: 1,
+                refineLandmarks: true,
+                minDetectionConfidence: 0.5,
+                minTrackingConfidence: 0.5
+            });
+
+            state.faceMesh.onResults(onFaceResults);
+        }
+
+        // The chosen camera if it is still plugged in, otherwise the default one
+        const video = { width: 640, height: 480, facingMode: 'user' };
+        if (state.cameraId) video.deviceId = { ideal: state.cameraId };
+        const stream = await navigator.mediaDevices.getUserMedia({ video });
+
+        elements.video.srcObject = stream;
+        await elements.video.play();
+
+        elements.canvas.width = 640;
+        elements.canvas.height = 480;
+
+        elements.placeholder.classList.add('hidden');
+        elements.startBtn.style.display = 'none';
         elements.stopBtn.style.display = 'flex';
         elements.calibrateBtn.disabled = false;
         elements.trackingBadge.classList.add('active');
@@ -663,6 +1767,9 @@ async function startTracking() {
         processFrame();
 
         showFeedback('📷 Started!');
+        // Camera names are only known once one is open
+        populateCameras();
+        loadProfileCalibration();
 
     } catch (error) {
         console.error(error);
@@ -673,23 +1780,19 @@ async function startTracking() {
 
 function stopTracking() {
     state.isRunning = false;
-    state.isCalibrated = false;
-    state.calibrationNose = null;
-
-    // Reset all smoothing variables
-    smoothX = null;
-    smoothY = null;
-    outputX = null;
-    outputY = null;
-    rawBufferX = [];
-    rawBufferY = [];
-    velocityX = 0;
-    velocityY = 0;
-    lastTargetX = null;
-    lastTargetY = null;
-    lastTargetTime = 0;
-    kalmanX = { estimate: null, errorEstimate: 1, errorMeasure: 0.1, q: 0.01 };
-    kalmanY = { estimate: null, errorEstimate: 1, errorMeasure: 0.1, q: 0.01 };
+    // Save what was recorded so far; a replay would be reset under its feet
+    if (faceRecording) stopFaceRecording();
+    stopFaceReplay();
+    releaseControl();
+    cancelGuidedCalibration();
+    cancelGestureCalibration();
+    clearCalibration();
+    state.currentPose = null;
+    state.gestureLevels = null;
+    setScrollMode(false);
+
+    // Reset all smoothing state
+    smoothingPipeline.reset();
 
     if (elements.video.srcObject) {
         elements.video.srcObject.getTracks().forEach(t => t.stop());
@@ -700,6 +1803,7 @@ function stopTracking() {
     elements.startBtn.disabled = false;
     elements.stopBtn.style.display = 'none';
     elements.calibrateBtn.disabled = true;
+    if (elements.scrollModeBtn) elements.scrollModeBtn.disabled = true;
     elements.trackingBadge.classList.remove('active');
 
     updateStatus('face', 'Stopped');
@@ -709,7 +1813,8 @@ function stopTracking() {
 async function processFrame() {
     if (!state.isRunning) return;
 
-    if (elements.video.readyState >= 2) {
+    // A replay feeds onFaceResults itself - camera frames would interleave with it
+    if (elements.video.readyState >= 2 && !faceReplay) {
         await state.faceMesh.send({ image: elements.video });
     }
 
@@ -736,7 +1841,7 @@ function triggerAnalysis(x, y) {
     const analyzeStart = Date.now();
     state.analyzeStartTime = analyzeStart;
 
-    websocket.send(JSON.stringify({ action: 'analyze', x, y }));
+    sendRequest('inspector', { action: 'analyze', x, y });
 }
 
 function handleExplanation(data) {
@@ -745,9 +1850,7 @@ function handleExplanation(data) {
     elements.inspectLoading.style.display = 'none';
 
     if (!data) {
-        console.log('❌ Analysis failed');
-        elements.inspectName.textContent = 'Failed';
-        elements.inspectReason.textContent = 'Could not analyze area.';
+        handleExplanationError('Could not analyze area.');
         return;
     }
 
@@ -762,11 +1865,20 @@ function handleExplanation(data) {
     elements.inspectMood.textContent = data.mood;
 }
 
+function handleExplanationError(message) {
+    state.isAnalyzing = false;
+    elements.inspectLoading.style.display = 'none';
+
+    console.log('❌ Analysis failed:', message);
+    elements.inspectName.textContent = 'Failed';
+    elements.inspectReason.textContent = message;
+}
+
 // ----------------------------------------------------
 // TRIGGER DESIGN ADVISOR (Full Screen)
 // ----------------------------------------------------
-function triggerDesignAnalysis() {
-    if (!websocket || websocket.readyState !== WebSocket.OPEN) {
+async function triggerDesignAnalysis() {
+    if (!state.backendConnected || !websocket || websocket.readyState !== WebSocket.OPEN) {
         showFeedback('❌ No Server');
         return;
     }
@@ -782,13 +1894,17 @@ function triggerDesignAnalysis() {
 
     console.log('✨ Triggering FULL Design Analysis...');
 
-    // Send request with special action
-    websocket.send(JSON.stringify({
+    // Only the page itself is analysed (screen capture if the export fails)
+    const rendition = await exportPageRendition();
+
+    // Send request with special action (supersedes any advisor request still running)
+    sendRequest('advisor', {
         action: 'analyze_design',
         // Optional: could send current cursor pos if relevant, but backend catches full screen
         x: state.finalX || 0,
-        y: state.finalY || 0
-    }));
+        y: state.finalY || 0,
+        ...rendition
+    });
 }
 
 function handleDesignResponse(data) {
@@ -840,8 +1956,8 @@ function renderDesignAdvice(data) {
 // ============================================
 // TRIGGER DESIGN IMPROVEMENT (AI Suggestions)
 // ============================================
-function triggerDesignImprovement() {
-    if (!websocket || websocket.readyState !== WebSocket.OPEN) {
+async function triggerDesignImprovement() {
+    if (!state.backendConnected || !websocket || websocket.readyState !== WebSocket.OPEN) {
         showFeedback('❌ No Server');
         return;
     }
@@ -857,12 +1973,15 @@ function triggerDesignImprovement() {
 
     console.log('🚀 Triggering Design IMPROVEMENT...');
 
+    const rendition = await exportPageRendition();
+
     // Send request with special action for improvements
-    websocket.send(JSON.stringify({
+    sendRequest('advisor', {
         action: 'improve_design',
         x: state.finalX || 0,
-        y: state.finalY || 0
-    }));
+        y: state.finalY || 0,
+        ...rendition
+    });
 }
 
 // Handle design improvement response from backend
@@ -1300,29 +2419,23 @@ function getEyeAspectRatio(landmarks, eye) {
     return vertical / (horizontal + 0.001);
 }
 
-function detectWinks(landmarks) {
-    const leftEAR = getEyeAspectRatio(landmarks, 'left');
-    const rightEAR = getEyeAspectRatio(landmarks, 'right');
-
-    const winkThreshold = 0.15;  // Eye is closed if EAR < this
-    const openThreshold = 0.2;   // Eye is open if EAR > this
-    const wideOpenThreshold = 0.35; // Eyes are VERY WIDE open if EAR > this (increased!)
+function detectWinks(levels) {
+    const leftEAR = levels.left;
+    const rightEAR = levels.right;
 
-    const now = Date.now();
-
-    // Left eye wink detection (left eye closed, right eye open)
-    const leftClosed = leftEAR < winkThreshold;
-    const rightClosed = rightEAR < winkThreshold;
-    const leftOpen = leftEAR > openThreshold;
-    const rightOpen = rightEAR > openThreshold;
+    // Each eye closes below its *Closed threshold and reopens above its *Open one (gesture calibration)
+    const eyes = Gestures.updateEyes(
+        { left: state.leftEyeOpen, right: state.rightEyeOpen },
+        levels,
+        state.gestureThresholds
+    );
+    const leftClosed = !eyes.left;
+    const rightClosed = !eyes.right;
 
-    // WIDE EYES detection - both eyes opened very wide
-    const leftWideOpen = leftEAR > wideOpenThreshold;
-    const rightWideOpen = rightEAR > wideOpenThreshold;
-    const bothWideOpen = leftWideOpen && rightWideOpen;
+    const now = frameNow();
 
     // Left wink: left eye closes while right stays open
-    if (leftClosed && rightOpen && state.leftEyeOpen) {
+    if (eyes.leftWink) {
         if (now - state.lastLeftClick > state.winkCooldown) {
             sendClick('left');
             state.lastLeftClick = now;
@@ -1333,7 +2446,7 @@ function detectWinks(landmarks) {
     }
 
     // Right wink: right eye closes while left stays open  
-    if (rightClosed && leftOpen && state.rightEyeOpen) {
+    if (eyes.rightWink) {
         if (now - state.lastRightClick > state.winkCooldown) {
             sendClick('right');
             state.lastRightClick = now;
@@ -1343,14 +2456,40 @@ function detectWinks(landmarks) {
         }
     }
 
-    // WIDE EYES = trigger removed (replaced by Voice Command)
-    // if (bothWideOpen && !state.isAnalyzing) { ... }
+    // Long blink: both eyes held closed runs the configured shortcut once
+    if (leftClosed && rightClosed) {
+        if (!state.bothEyesClosedSince) {
+            state.bothEyesClosedSince = now;
+        } else if (!state.longBlinkFired && now - state.bothEyesClosedSince >= LONG_BLINK_MS) {
+            state.longBlinkFired = true;
+            if (state.longBlinkShortcut.startsWith(MACRO_BLINK_PREFIX)) {
+                playMacro(state.longBlinkShortcut.slice(MACRO_BLINK_PREFIX.length), 'blink');
+            } else if (state.longBlinkShortcut === POINTING_BLINK_ACTION) {
+                setPointingMode(state.pointingMode === 'joystick' ? 'absolute' : 'joystick');
+            } else if (state.longBlinkShortcut !== 'none') {
+                triggerShortcut(state.longBlinkShortcut, 'blink');
+            }
+        }
+    } else {
+        // A deliberate blink (not a natural one, not a long one); two in a row recenter
+        const closedFor = state.bothEyesClosedSince ? now - state.bothEyesClosedSince : 0;
+        if (state.recenterGesture && !state.longBlinkFired && closedFor >= RECENTER_BLINK_CONFIG.minClosedMs) {
+            if (state.lastDeliberateBlinkEnd && state.bothEyesClosedSince - state.lastDeliberateBlinkEnd <= RECENTER_BLINK_CONFIG.maxGapMs) {
+                state.lastDeliberateBlinkEnd = 0;
+                recenter();
+            } else {
+                state.lastDeliberateBlinkEnd = now;
+            }
+        }
+        state.bothEyesClosedSince = 0;
+        state.longBlinkFired = false;
+    }
 
     // Update eye state
-    state.leftEyeOpen = leftOpen;
-    state.rightEyeOpen = rightOpen;
+    state.leftEyeOpen = eyes.left;
+    state.rightEyeOpen = eyes.right;
 
-    return { leftEAR, rightEAR, leftClosed, rightClosed, bothWideOpen };
+    return { leftEAR, rightEAR, leftClosed, rightClosed };
 }
 
 // ============================================
@@ -1361,6 +2500,8 @@ function onFaceResults(results) {
     const ctx = elements.canvas.getContext('2d');
     ctx.clearRect(0, 0, 640, 480);
 
+    recordFaceFrame(results);
+
     // Skip ALL processing while speaking - trackingPaused is the authoritative flag
     if (state.speaking || state.trackingPaused) {
         // Still clear canvas but don't process face data
@@ -1400,8 +2541,16 @@ function onFaceResults(results) {
     // Normal closed mouth ratio is about 0.1-0.2, open mouth is 0.4+
     const mouthOpen = mouthOpenRatio * 150;
 
-    // Store current nose for calibration
+    // Eyes and mouth: the mouth opens past mouthOpen and closes below mouthClosed, so it doesn't flicker in between
+    const levels = { left: getEyeAspectRatio(landmarks, 'left'), right: getEyeAspectRatio(landmarks, 'right'), mouth: mouthOpen };
+    state.gestureLevels = levels;
+    state.mouthIsOpen = mouthOpen > (state.mouthIsOpen ? state.gestureThresholds.mouthClosed : state.gestureThresholds.mouthOpen);
+    renderGestureMeters(levels);
+
+    // Store current nose and pose for calibration
     state.currentNose = { x: nose.x, y: nose.y };
+    // A frame the pose can't be fitted to keeps the last pose
+    state.currentPose = HeadPose.estimateHeadPose(landmarks) || state.currentPose;
 
     // Draw mesh
     if (state.showMesh) {
@@ -1410,11 +2559,33 @@ function onFaceResults(results) {
 
     updateStatus('face', '✓ Detected', 'active');
 
+    // The backend drives the cursor while a macro plays; the only gesture is the abort
+    if (state.macroPlaying) {
+        updateStatus('mouth', `▶️ Macro (${Math.round(mouthOpen)})`);
+        // Opening the mouth as for a drag aborts playback
+        if (state.mouthIsOpen) stopMacro('gesture');
+        return;
+    }
+
+    // Making faces for the gesture calibration - no cursor, no gestures
+    if (gestureCalibration) {
+        updateStatus('mouth', '🎚️ Calibrating gestures', 'active');
+        stepGestureCalibration(levels, frameNow());
+        return;
+    }
+
+    // Looking at calibration targets, not pointing - no cursor, no gestures
+    if (guidedCalibration) {
+        updateStatus('cursor', '🎯 Calibrating', 'active');
+        if (state.currentPose) stepGuidedCalibration(state.currentPose, frameNow());
+        return;
+    }
+
     // Detect winks for clicking
-    const eyeState = detectWinks(landmarks);
+    const eyeState = detectWinks(levels);
 
     // Update status to show gestures (show mouth value for debugging)
-    if (mouthOpen > 15) {
+    if (state.mouthIsOpen) {
         updateStatus('mouth', `👄 OPEN (${Math.round(mouthOpen)})`);
     } else if (eyeState.leftClosed && !eyeState.rightClosed) {
         updateStatus('mouth', '😉 Left wink');
@@ -1424,18 +2595,149 @@ function onFaceResults(results) {
         updateStatus('mouth', `Ready (${Math.round(mouthOpen)})`);
     }
 
-    // Move cursor if calibrated
+    // Move cursor (or scroll) if calibrated
     if (state.isCalibrated && state.calibrationNose) {
-        moveCursor(nose, mouthOpen);
+        if (state.scrollMode) {
+            scrollFromPose(state.currentPose, state.mouthIsOpen);
+        } else if (state.currentPose) {
+            moveCursor(state.currentPose, state.mouthIsOpen);
+        }
+    }
+}
+
+// ============================================
+// Scroll Mode (Head Pose)
+// ============================================
+
+/**
+ * Map an angle past its threshold to a signed speed (wheel steps per second)
+ */
+function tiltToScrollSpeed(angle, threshold) {
+    const excess = Math.abs(angle) - threshold;
+    if (excess <= 0) return 0;
+    return Math.sign(angle) * Math.min(SCROLL_CONFIG.maxSpeed, excess * SCROLL_CONFIG.speedPerDegree);
+}
+
+/**
+ * Scroll by tilting the head away from the neutral pose: nodding (pitch) scrolls
+ * vertically, tilting toward a shoulder (roll) horizontally.
+ */
+function scrollFromPose(pose, mouthIsOpen) {
+    // Mouth open leaves scroll mode (drag makes no sense while scrolling)
+    if (mouthIsOpen) {
+        setScrollMode(false);
+        return;
+    }
+    if (!pose) return;
+
+    const now = frameNow();
+    if (now - lastScrollTime < SCROLL_CONFIG.interval) return;
+
+    const dt = lastScrollTime ? Math.min(now - lastScrollTime, 200) / 1000 : SCROLL_CONFIG.interval / 1000;
+    lastScrollTime = now;
+
+    // The pointing mode's neutral pose, where drift correction has moved it to
+    const mode = state.pointingMode === 'joystick' ? 'joystick' : 'absolute';
+    // (drift correction follows yaw and pitch only)
+    const neutral = (mode === 'joystick' ? state.joystickPose : state.calibrationPose) || { yaw: 0, pitch: 0, roll: 0 };
+    const pitch = pose.pitch - neutral.pitch - driftCorrectors[mode].offset.pitch;
+    const roll = pose.roll - (neutral.roll || 0);
+
+    // Looking down scrolls down (negative y), tilting right scrolls right
+    scrollRemainderY += -tiltToScrollSpeed(pitch, SCROLL_CONFIG.pitchThreshold) * dt;
+    scrollRemainderX += tiltToScrollSpeed(roll, SCROLL_CONFIG.rollThreshold) * dt;
+
+    const stepX = Math.trunc(scrollRemainderX);
+    const stepY = Math.trunc(scrollRemainderY);
+    scrollRemainderX -= stepX;
+    scrollRemainderY -= stepY;
+
+    if (stepX !== 0 || stepY !== 0) {
+        sendScroll(stepX, stepY);
+    }
+
+    const direction = stepY > 0 ? '⬆️' : stepY < 0 ? '⬇️' : stepX > 0 ? '➡️' : stepX < 0 ? '⬅️' : '⏸️';
+    updateStatus('cursor', `${direction} Scroll`, 'active');
+}
+
+function setScrollMode(enabled) {
+    if (enabled && !state.isCalibrated) {
+        showFeedback('🎯 Calibrate first');
+        return;
+    }
+
+    // Release any drag in progress before switching
+    if (enabled && state.isDragging) {
+        sendDragEnd();
+        state.isDragging = false;
+    }
+
+    state.scrollMode = enabled;
+    recordFaceMark({ type: 'scrollMode', enabled });
+    lastScrollTime = 0;
+    scrollRemainderX = 0;
+    scrollRemainderY = 0;
+
+    if (elements.scrollModeBtn) {
+        elements.scrollModeBtn.classList.toggle('active', enabled);
+        elements.scrollModeBtn.querySelector('span').textContent = enabled ? 'Stop Scroll' : 'Scroll';
+    }
+
+    if (state.isRunning) {
+        showFeedback(enabled ? '↕️ Nod or tilt your head to scroll' : '🖱️ Cursor mode');
     }
 }
 
-function moveCursor(nose, mouthOpen) {
-    const now = Date.now();
+/**
+ * Absolute pointing: the head pose maps to a screen position - through the multi-point
+ * calibration's fitted mapping, or by the head turn since a quick calibration
+ * @returns {{x: number, y: number}|null} Smoothed cursor position, null after a display jump
+ */
+function absoluteTarget(pose, now) {
+    // Target display (or all displays) in virtual desktop coordinates
+    const rect = getTargetRect();
+    const target = state.calibrationMap ? mappedTarget(pose, rect) : offsetTarget(pose, rect);
+    let rawTargetX = target.x;
+    let rawTargetY = target.y;
+
+    // Holding the head past an edge jumps to the neighboring display
+    if (checkDisplayJump(rawTargetX, rawTargetY, rect, now)) return null;
+
+    // Clamp to display bounds
+    rawTargetX = Math.max(rect.x, Math.min(rect.x + rect.width - 1, rawTargetX));
+    rawTargetY = Math.max(rect.y, Math.min(rect.y + rect.height - 1, rawTargetY));
+
+    // Face recordings keep the raw target too, so they double as smoothing test traces
+    recordFaceTarget(rawTargetX, rawTargetY);
+
+    // ====== Smoothing pipeline (median, Kalman, adaptive, bezier - or the chosen filter) ======
+    return smoothingPipeline.push(rawTargetX, rawTargetY, now);
+}
+
+/**
+ * Multi-point calibration: the fitted mapping puts the pose straight onto the display.
+ * The fit sets its own scale from the user's range of motion, so sensitivity doesn't apply
+ */
+function mappedTarget(pose, rect) {
+    const mapped = Calibration.mapPose(state.calibrationMap, pose);
+    return { x: rect.x + mapped.x * rect.width, y: rect.y + mapped.y * rect.height };
+}
+
+/**
+ * Quick calibration: the head turn since the calibrated pose, scaled by the sensitivity
+ * around the middle of the display
+ */
+function offsetTarget(pose, rect) {
+    // Calibrated without a pose (a face recording from before head-pose pointing): this one is neutral
+    if (!state.calibrationPose) {
+        state.calibrationPose = { yaw: pose.yaw, pitch: pose.pitch, roll: pose.roll };
+    }
 
-    // Calculate offset from calibration center (in normalized 0-1 coordinates)
-    const dx = nose.x - state.calibrationNose.x;
-    const dy = nose.y - state.calibrationNose.y;
+    // Head turn since calibration, as the nose offset it would make (in normalized 0-1 coordinates).
+    // Turning right moves the nose left in the camera image; the frame is 4:3, so y reaches further
+    const radians = Math.PI / 180;
+    const dx = -Math.tan((pose.yaw - state.calibrationPose.yaw) * radians) * POINTING_CONFIG.reach;
+    const dy = Math.tan((pose.pitch - state.calibrationPose.pitch) * radians) * POINTING_CONFIG.reach * (640 / 480);
 
     // Apply dead zone to reduce jitter when face is still
     const distance = Math.sqrt(dx * dx + dy * dy);
@@ -1454,238 +2756,1263 @@ function moveCursor(nose, mouthOpen) {
 
     // ===== PROPER ASPECT RATIO HANDLING =====
     // Camera is 640x480 (4:3), Screen could be any ratio
-    // We want physical nose movement to map proportionally to screen
+    // We want head movement to map proportionally to screen
 
     const cameraWidth = 640;
     const cameraHeight = 480;
     const cameraAspect = cameraWidth / cameraHeight;  // 1.333
-    const screenAspect = CONFIG.screenWidth / CONFIG.screenHeight;  // e.g., 1.777 for 16:9
 
-    // Use the smaller dimension as the base to ensure full screen coverage
-    // This makes the movement feel natural and consistent
-    const baseScale = Math.min(CONFIG.screenWidth, CONFIG.screenHeight);
+    const screenAspect = rect.width / rect.height;  // e.g., 1.777 for 16:9
+
+    // Use the smaller dimension as the base to ensure full screen coverage
+    // This makes the movement feel natural and consistent
+    const baseScale = Math.min(rect.width, rect.height);
+
+    // Sensitivity multiplier (how much screen movement per unit of head movement)
+    const sensitivityMultiplier = state.sensitivity * 2.5;
+
+    // Invert X (camera is mirrored) and apply sensitivity
+    // Scale both axes uniformly for natural 1:1 movement feel
+    const moveX = -adjustedDx * baseScale * sensitivityMultiplier;
+    const moveY = adjustedDy * baseScale * sensitivityMultiplier;
+
+    // Compensate for aspect ratio difference between camera and screen
+    // This ensures moving nose left-right vs up-down feels consistent
+    const aspectCompensation = screenAspect / cameraAspect;
+    const finalMoveX = moveX * aspectCompensation;
+    const finalMoveY = moveY;
+
+    // Target screen position (centered on the target display)
+    const centerX = rect.x + rect.width / 2;
+    const centerY = rect.y + rect.height / 2;
+
+    return { x: centerX + finalMoveX, y: centerY + finalMoveY };
+}
+
+
+/**
+ * Joystick pointing: turning the head away from its rest pose moves the cursor, faster the further it turns
+ * @returns {{x: number, y: number}|null} Cursor position, null without a rest pose or after a display jump
+ */
+function joystickTarget(pose, now) {
+    const rest = state.joystickPose;
+    if (!rest) return null;
+
+    if (!joystickCursor) {
+        joystickCursor = { x: lastSentX, y: lastSentY, vx: 0, vy: 0, lastTime: now };
+    }
+    const dt = Math.min(JOYSTICK_CONFIG.maxStep, Math.max(0, (now - joystickCursor.lastTime) / 1000));
+    joystickCursor.lastTime = now;
+
+    // Turning right pushes right, looking down pushes down
+    const yaw = pose.yaw - rest.yaw;
+    const pitch = pose.pitch - rest.pitch;
+    const tilt = Math.sqrt(yaw * yaw + pitch * pitch);
+
+    // Speed curve: nothing inside the dead zone, then rising to full speed at fullTilt
+    let speed = 0;
+    if (tilt > JOYSTICK_CONFIG.deadZone) {
+        const push = Math.min(1, (tilt - JOYSTICK_CONFIG.deadZone) / (JOYSTICK_CONFIG.fullTilt - JOYSTICK_CONFIG.deadZone));
+        speed = Math.pow(push, JOYSTICK_CONFIG.curve) * JOYSTICK_CONFIG.maxSpeed;
+    }
+    const wantX = speed > 0 ? speed * yaw / tilt : 0;
+    const wantY = speed > 0 ? speed * pitch / tilt : 0;
+    joystickCursor.vx += (wantX - joystickCursor.vx) * JOYSTICK_CONFIG.velocityLerp;
+    joystickCursor.vy += (wantY - joystickCursor.vy) * JOYSTICK_CONFIG.velocityLerp;
+
+    const x = joystickCursor.x + joystickCursor.vx * dt;
+    const y = joystickCursor.y + joystickCursor.vy * dt;
+
+    // Still pushing against an edge counts as past it, so the display-jump hold works here too
+    const rect = getTargetRect();
+    const beyondX = rect.width * DISPLAY_JUMP_CONFIG.overshoot * 2;
+    const beyondY = rect.height * DISPLAY_JUMP_CONFIG.overshoot * 2;
+    const pushedX = x < rect.x ? rect.x - beyondX : x > rect.x + rect.width - 1 ? rect.x + rect.width + beyondX : x;
+    const pushedY = y < rect.y ? rect.y - beyondY : y > rect.y + rect.height - 1 ? rect.y + rect.height + beyondY : y;
+    if (checkDisplayJump(pushedX, pushedY, rect, now)) return null;
+
+    joystickCursor.x = Math.max(rect.x, Math.min(rect.x + rect.width - 1, x));
+    joystickCursor.y = Math.max(rect.y, Math.min(rect.y + rect.height - 1, y));
+    return { x: joystickCursor.x, y: joystickCursor.y };
+}
+
+/**
+ * The pose as seen from where the neutral has drifted to.
+ * The offset follows only while drift correction is on; the correction made so far stays either way.
+ */
+function correctDrift(pose, now) {
+    const mode = state.pointingMode === 'joystick' ? 'joystick' : 'absolute';
+    const neutral = mode === 'joystick' ? state.joystickPose : state.calibrationPose;
+    if (!neutral) return pose;
+
+    const corrector = driftCorrectors[mode];
+    const offset = state.driftCorrection
+        ? corrector.update({ yaw: pose.yaw - neutral.yaw, pitch: pose.pitch - neutral.pitch }, now)
+        : corrector.offset;
+    return { ...pose, yaw: pose.yaw - offset.yaw, pitch: pose.pitch - offset.pitch };
+}
+
+function moveCursor(pose, mouthIsOpen) {
+    const now = frameNow();
+
+    const corrected = correctDrift(pose, now);
+    const output = state.pointingMode === 'joystick' ? joystickTarget(corrected, now) : absoluteTarget(corrected, now);
+    // Jumped to another display (or the joystick has no rest pose yet)
+    if (!output) return;
+    const { x: outputX, y: outputY } = output;
+
+    // ====== Jitter filter - only move if above threshold ======
+    const movementDistance = Math.sqrt(
+        Math.pow(outputX - lastSentX, 2) +
+        Math.pow(outputY - lastSentY, 2)
+    );
+
+    const finalX = Math.round(outputX);
+    const finalY = Math.round(outputY);
+
+    // Send mouse update (throttled + jitter filtered)
+    if (now - lastMouseUpdate >= UPDATE_INTERVAL) {
+        // Only send if movement is above jitter threshold OR enough time has passed.
+        // The joystick holds still by itself (dead zone) and creeps slowly, so any whole pixel counts
+        const jitterThreshold = state.pointingMode === 'joystick' ? 1 : SMOOTH_CONFIG.jitterThreshold;
+        if (movementDistance >= jitterThreshold || now - lastMouseUpdate > 100) {
+            sendMouse(finalX, finalY);
+            lastSentX = finalX;
+            lastSentY = finalY;
+        }
+        lastMouseUpdate = now;
+    }
+
+    // Update display
+    updateStatus('cursor', `${finalX}, ${finalY}`, 'active');
+    if (elements.positionDisplay) {
+        elements.positionDisplay.textContent = `${finalX}, ${finalY}`;
+    }
+
+    // Store final position in state for continuous interpolation
+    state.finalX = finalX;
+    state.finalY = finalY;
+
+    // MOUTH OPEN = DRAG MODE (past the mouthOpen threshold, until below mouthClosed)
+    // Keep mouth open to hold left click (drag)
+    if (mouthIsOpen) {
+        if (!state.isDragging) {
+            console.log('👄 Mouth open -> Drag Start', state.gestureLevels.mouth);
+            sendDragStart();
+            state.isDragging = true;
+            showFeedback('✊ Dragging...');
+        }
+    } else {
+        if (state.isDragging) {
+            console.log('👄 Mouth closed -> Drag End');
+            sendDragEnd();
+            state.isDragging = false;
+            state.clickCount++;
+            if (elements.clickCount) elements.clickCount.textContent = state.clickCount;
+            showFeedback('✋ Drop!');
+        }
+    }
+}
+
+function drawFace(ctx, landmarks, nose) {
+    // Draw nose (main tracking point)
+    const nX = nose.x * 640;
+    const nY = nose.y * 480;
+
+    ctx.fillStyle = 'rgba(16, 185, 129, 0.9)';
+    ctx.beginPath();
+    ctx.arc(nX, nY, 10, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Crosshair on nose
+    ctx.strokeStyle = 'rgba(16, 185, 129, 0.6)';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(nX - 20, nY);
+    ctx.lineTo(nX + 20, nY);
+    ctx.moveTo(nX, nY - 20);
+    ctx.lineTo(nX, nY + 20);
+    ctx.stroke();
+
+    // Draw eyes
+    drawEye(ctx, landmarks, 'left', 'rgba(139, 92, 246, 0.8)');
+    drawEye(ctx, landmarks, 'right', 'rgba(139, 92, 246, 0.8)');
+}
+
+function drawEye(ctx, landmarks, eye, color) {
+    const indices = EYE_LANDMARKS[eye];
+    const points = [indices.top, indices.bottom, indices.inner, indices.outer];
+
+    ctx.fillStyle = color;
+    points.forEach(i => {
+        const p = landmarks[i];
+        ctx.beginPath();
+        ctx.arc(p.x * 640, p.y * 480, 3, 0, Math.PI * 2);
+        ctx.fill();
+    });
+}
+
+// ============================================
+// Calibration
+// ============================================
+
+function calibrate() {
+    // Absolute pointing can be fitted to several targets; the joystick only needs its rest pose
+    if (state.pointingMode === 'absolute' && state.calibrationPoints > 1) {
+        startGuidedCalibration(state.calibrationPoints);
+        return;
+    }
+
+    elements.calibrateBtn.disabled = true;
+    showFeedback(state.pointingMode === 'joystick' ? '🕹️ Rest your head where the cursor should hold still...' : '👀 Look straight ahead...');
+
+    let count = 3;
+    const interval = setInterval(() => {
+        count--;
+        if (count > 0) {
+            showFeedback(`${count}...`);
+        } else {
+            clearInterval(interval);
+
+            // Each pointing mode keeps its own calibration; this one is for the mode in use
+            const mode = state.pointingMode;
+            applyCalibration(state.currentNose, state.currentPose, mode);
+            recordFaceMark({ type: 'calibrate', mode, nose: state.calibrationNose, pose: state.currentPose });
+
+            if (mode === 'absolute' && elements.calibrationQuality) {
+                elements.calibrationQuality.textContent = 'Targets to look at when calibrating';
+            }
+            finishCalibration('✅ Calibrated!');
+        }
+    }, 1000);
+}
+
+/**
+ * Recenter gesture: the current pose becomes the neutral one straight away, no countdown.
+ * A multi-point fit keeps its shape and moves along with the head.
+ */
+function recenter() {
+    if (!state.isCalibrated || !state.currentPose || guidedCalibration) return;
+
+    const mode = state.pointingMode === 'joystick' ? 'joystick' : 'absolute';
+    const pose = state.currentPose;
+    let map = null;
+    if (mode === 'absolute' && state.calibrationMap && state.calibrationPose) {
+        map = Calibration.shiftMap(state.calibrationMap, pose.yaw - state.calibrationPose.yaw, pose.pitch - state.calibrationPose.pitch);
+    }
+    applyCalibration(state.currentNose, pose, mode, map);
+    showFeedback('🎯 Recentered');
+}
+
+function finishCalibration(message) {
+    saveActiveProfile({ calibration: true });
+    showFeedback(message);
+    elements.calibrateBtn.disabled = false;
+    elements.calibrateBtn.innerHTML = '🎯 Re-calibrate';
+    if (elements.scrollModeBtn) elements.scrollModeBtn.disabled = false;
+}
+
+function clearCalibration() {
+    state.isCalibrated = false;
+    state.calibrationNose = null;
+    state.calibrationPose = null;
+    state.calibrationMap = null;
+    state.joystickPose = null;
+    joystickCursor = null;
+    driftCorrectors.absolute.reset();
+    driftCorrectors.joystick.reset();
+}
+
+/**
+ * Make this head pose the neutral one.
+ * Absolute: puts the cursor in the middle of the target display
+ * (no pose = take the next frame's, for face recordings made before head-pose pointing);
+ * map is a multi-point calibration's fit, none for a quick calibration.
+ * Joystick: the rest pose; the cursor stays where it is.
+ */
+function applyCalibration(nose, pose, mode = 'absolute', map = null) {
+    state.calibrationNose = { x: nose.x, y: nose.y };
+    state.isCalibrated = true;
+    // A fresh calibration has no drift yet
+    driftCorrectors[mode].reset();
+
+    if (mode === 'joystick') {
+        state.joystickPose = pose ? { yaw: pose.yaw, pitch: pose.pitch, roll: pose.roll } : null;
+        joystickCursor = null;
+        return;
+    }
+
+    state.calibrationPose = pose ? { yaw: pose.yaw, pitch: pose.pitch, roll: pose.roll } : null;
+    state.calibrationMap = map;
+
+    // Reset ALL smoothing state to the target display's center
+    const rect = getTargetRect();
+    const centerX = rect.x + rect.width / 2;
+    const centerY = rect.y + rect.height / 2;
+    resetSmoothingTo(centerX, centerY);
+
+    // Move cursor to center
+    sendMouse(centerX, centerY);
+}
+
+// ---- Multi-point calibration ----
+
+/**
+ * Guided calibration: the cursor visits each target, the user turns to look at it and holds
+ * still while the pose is sampled. Wobbly targets are retried straight away, targets the fit
+ * can't place are re-run once at the end. Runs on face frames, so a face recording replays it.
+ */
+function startGuidedCalibration(count) {
+    if (!state.currentPose) {
+        showFeedback('👤 Face the camera first');
+        return;
+    }
+    // The cursor shows the targets: without a backend that moves it for us there is nothing to look at
+    if (!faceReplay && !state.backendConnected) {
+        showFeedback('❌ Not connected - connect the backend to calibrate');
+        return;
+    }
+    if (!faceReplay && isObserving()) {
+        showFeedback('🎮 Take control to calibrate');
+        return;
+    }
+    cancelGestureCalibration();
+
+    // Looking around must not drag anything along
+    if (state.isDragging) {
+        sendDragEnd();
+        state.isDragging = false;
+    }
+
+    guidedCalibration = {
+        rect: getTargetRect(),
+        targets: Calibration.calibrationTargets(count).map(target => ({ target, tries: 0, result: null })),
+        queue: [],
+        current: null,
+        phase: 'settle',
+        phaseStart: null,
+        samples: [],
+        // Nose and roll while looking at the middle target: the neutral ones for scrolling
+        neutral: null,
+        // Targets in the re-run of the bad ones (0 = first round)
+        retried: 0,
+        // A replayed calibration leaves the panel's buttons alone
+        live: !faceReplay
+    };
+    guidedCalibration.queue = guidedCalibration.targets.map((_, i) => i);
+    recordFaceMark({ type: 'guidedCalibration', count });
+
+    if (guidedCalibration.live) elements.calibrateBtn.disabled = true;
+    nextCalibrationTarget(null);
+}
+
+/**
+ * Put the cursor on the next target; its time starts with the frame at now
+ * (null = the next frame, so a replay lines up with the recorded frames)
+ */
+function nextCalibrationTarget(now) {
+    const calib = guidedCalibration;
+    if (calib.queue.length === 0) {
+        finishGuidedCalibration(now);
+        return;
+    }
+
+    calib.current = calib.queue.shift();
+    calib.phase = 'settle';
+    calib.phaseStart = now;
+    calib.samples = [];
+
+    const { target } = calib.targets[calib.current];
+    const round = calib.retried || calib.targets.length;
+    sendMouse(calib.rect.x + target.x * calib.rect.width, calib.rect.y + target.y * calib.rect.height);
+    showFeedback(`🎯 Look at the cursor (${calib.retried ? 'again, ' : ''}${round - calib.queue.length}/${round})`);
+}
+
+function stepGuidedCalibration(pose, now) {
+    const calib = guidedCalibration;
+    if (calib.phaseStart === null) calib.phaseStart = now;
+    if (calib.phase === 'settle') {
+        if (now - calib.phaseStart < GUIDED_CALIBRATION_CONFIG.settleMs) return;
+        calib.phase = 'sample';
+        calib.phaseStart = now;
+    }
+
+    calib.samples.push({ yaw: pose.yaw, pitch: pose.pitch });
+    if (now - calib.phaseStart < GUIDED_CALIBRATION_CONFIG.sampleMs) return;
+
+    const point = calib.targets[calib.current];
+    const summary = Calibration.summarizeSamples(calib.samples);
+    point.tries++;
+
+    // Face lost or head wobbling: sample this target again
+    if ((!summary || summary.spread > Calibration.LIMITS.maxSpread) && point.tries < GUIDED_CALIBRATION_CONFIG.maxTries) {
+        calib.phaseStart = now;
+        calib.samples = [];
+        showFeedback('✋ Hold still on the cursor...');
+        return;
+    }
+    if (!summary) {
+        cancelGuidedCalibration('❌ Calibration stopped - face not found');
+        return;
+    }
+
+    point.result = summary;
+    if (calib.current === 0) {
+        calib.neutral = { nose: { ...state.currentNose }, roll: pose.roll };
+    }
+    nextCalibrationTarget(now);
+}
+
+function finishGuidedCalibration(now) {
+    const calib = guidedCalibration;
+    const points = calib.targets.map(({ target, result }) => ({ target, ...result }));
+    const fit = Calibration.fitCalibration(points);
+
+    // One more look at the targets the fit couldn't place
+    if (!fit.error && fit.badPoints.length > 0 && !calib.retried) {
+        calib.retried = fit.badPoints.length;
+        calib.queue = [...fit.badPoints];
+        calib.queue.forEach((i) => { calib.targets[i].tries = 0; });
+        nextCalibrationTarget(now);
+        return;
+    }
+
+    if (fit.error) {
+        cancelGuidedCalibration(`❌ ${fit.error}`);
+        return;
+    }
+
+    guidedCalibration = null;
+    // The layouts start in the middle: that target's pose is the neutral one
+    const center = points[0];
+    const map = { x: fit.x, y: fit.y, quality: fit.quality };
+    const pose = { yaw: center.yaw, pitch: center.pitch, roll: calib.neutral.roll };
+    applyCalibration(calib.neutral.nose, pose, 'absolute', map);
+    recordFaceMark({ type: 'calibrate', mode: 'absolute', nose: state.calibrationNose, pose, map });
+
+    if (!calib.live) return;
+    if (elements.calibrationQuality) {
+        elements.calibrationQuality.textContent = `Last calibration: quality ${fit.quality}/100`;
+    }
+    finishCalibration(`✅ Calibrated - quality ${fit.quality}/100`);
+}
+
+/**
+ * Abandon a guided calibration; the previous calibration stays
+ */
+function cancelGuidedCalibration(message) {
+    const calib = guidedCalibration;
+    if (!calib) return;
+    guidedCalibration = null;
+
+    // Back to where the previous calibration points
+    resetSmoothingTo(lastSentX, lastSentY);
+    if (!calib.live) return;
+    elements.calibrateBtn.disabled = !state.isRunning;
+    if (message) showFeedback(message);
+}
+
+// ---- Gesture calibration ----
+
+/**
+ * Gesture calibration: the user relaxes, closes both eyes, then opens their mouth wide, and each
+ * face is sampled; the thresholds go between the relaxed and the active values (see gestures.js).
+ * Runs on face frames, so a face recording replays it.
+ */
+function startGestureCalibration() {
+    if (!state.gestureLevels) {
+        showFeedback('👤 Face the camera first');
+        return;
+    }
+    cancelGuidedCalibration();
+
+    // Opening the mouth must not drag anything along
+    if (state.isDragging) {
+        sendDragEnd();
+        state.isDragging = false;
+    }
+
+    gestureCalibration = {
+        step: 0,
+        phase: 'settle',
+        phaseStart: null,
+        samples: { rest: [], eyesClosed: [], mouthOpen: [] },
+        // A replayed calibration leaves the panel's thresholds and buttons alone
+        live: !faceReplay
+    };
+    recordFaceMark({ type: 'gestureCalibration' });
+
+    if (gestureCalibration.live && elements.gestureCalibrateBtn) elements.gestureCalibrateBtn.disabled = true;
+    showFeedback(GESTURE_CALIBRATION_STEPS[0].prompt);
+}
+
+function stepGestureCalibration(levels, now) {
+    const calib = gestureCalibration;
+    if (calib.phaseStart === null) calib.phaseStart = now;
+    if (calib.phase === 'settle') {
+        if (now - calib.phaseStart < GESTURE_CALIBRATION_CONFIG.settleMs) return;
+        calib.phase = 'sample';
+        calib.phaseStart = now;
+    }
+
+    calib.samples[GESTURE_CALIBRATION_STEPS[calib.step].name].push({ ...levels });
+    if (now - calib.phaseStart < GESTURE_CALIBRATION_CONFIG.sampleMs) return;
+
+    calib.step++;
+    if (calib.step === GESTURE_CALIBRATION_STEPS.length) {
+        finishGestureCalibration();
+        return;
+    }
+    calib.phase = 'settle';
+    calib.phaseStart = now;
+    showFeedback(GESTURE_CALIBRATION_STEPS[calib.step].prompt);
+}
+
+function finishGestureCalibration() {
+    const calib = gestureCalibration;
+    gestureCalibration = null;
+    const result = Gestures.deriveThresholds(calib.samples);
+
+    // A failed calibration keeps the previous thresholds
+    if (!result.error) {
+        state.gestureThresholds = result.thresholds;
+        state.mouthIsOpen = false;
+    }
+    if (!calib.live) return;
+    if (elements.gestureCalibrateBtn) elements.gestureCalibrateBtn.disabled = false;
+    if (result.error) {
+        showFeedback(`❌ ${result.error}`);
+        return;
+    }
+    saveGestureThresholds();
+    renderGestureThresholds();
+    showFeedback('✅ Gestures calibrated');
+}
+
+/**
+ * Abandon a gesture calibration; the previous thresholds stay
+ */
+function cancelGestureCalibration(message) {
+    const calib = gestureCalibration;
+    if (!calib) return;
+    gestureCalibration = null;
+    if (!calib.live) return;
+    if (elements.gestureCalibrateBtn) elements.gestureCalibrateBtn.disabled = false;
+    if (message) showFeedback(message);
+}
+
+// Everything facecontrol_thresholds keeps (per profile)
+function currentThresholds() {
+    return {
+        winkCooldown: state.winkCooldown,
+        scrollPitch: SCROLL_CONFIG.pitchThreshold,
+        scrollRoll: SCROLL_CONFIG.rollThreshold,
+        gestures: state.gestureThresholds
+    };
+}
+
+function saveGestureThresholds() {
+    localStorage.setItem('facecontrol_thresholds', JSON.stringify(currentThresholds()));
+    saveActiveProfile();
+}
+
+// The slider sets a gesture's trigger threshold: eye closed, mouth open
+function gestureTrigger(gesture) {
+    return gesture === 'mouth' ? state.gestureThresholds.mouthOpen : state.gestureThresholds[`${gesture}Closed`];
+}
+
+function gestureRelease(gesture) {
+    return gesture === 'mouth' ? state.gestureThresholds.mouthClosed : state.gestureThresholds[`${gesture}Open`];
+}
+
+// Share of a meter's scale (its slider's range) - the marks line up with the slider
+function meterShare(meter, value) {
+    const min = parseFloat(meter.slider.min);
+    const max = parseFloat(meter.slider.max);
+    return `${Math.max(0, Math.min(1, (value - min) / (max - min))) * 100}%`;
+}
+
+/**
+ * Sliders and release marks from the current thresholds
+ */
+function renderGestureThresholds() {
+    if (!elements.gestureMeters) return;
+    for (const gesture of GESTURE_METERS) {
+        const meter = elements.gestureMeters[gesture];
+        if (!meter.slider) continue;
+        const trigger = gestureTrigger(gesture);
+        meter.slider.value = trigger;
+        if (meter.value) meter.value.textContent = gesture === 'mouth' ? Math.round(trigger) : trigger.toFixed(2);
+        if (meter.release) meter.release.style.left = meterShare(meter, gestureRelease(gesture));
+    }
+}
+
+/**
+ * This frame's eye and mouth values on the Settings meters (only while Settings is open)
+ */
+function renderGestureMeters(levels) {
+    if (!elements.settingsModalOverlay || !elements.settingsModalOverlay.classList.contains('active')) return;
+    for (const gesture of GESTURE_METERS) {
+        const meter = elements.gestureMeters[gesture];
+        if (!meter.fill || !meter.slider) continue;
+        meter.fill.style.width = meterShare(meter, levels[gesture]);
+        const triggered = gesture === 'mouth' ? state.mouthIsOpen : levels[gesture] < gestureTrigger(gesture);
+        meter.fill.classList.toggle('triggered', triggered);
+    }
+}
+
+/**
+ * Smoothness slider (0.1-0.9, higher = more responsive) -> each filter's main setting
+ */
+function applySmoothness(value) {
+    state.smoothness = value;
+    // Layered: base smooth factor 0.02-0.03
+    SMOOTH_CONFIG.baseSmoothFactor = 0.02 + (value * 0.015);
+    // One Euro: cutoff when still 0.3-1.3 Hz
+    SMOOTH_CONFIG.oneEuroMinCutoff = 0.2 + (value * 1.2);
+    // Double exponential: level factor 0.09-0.41
+    SMOOTH_CONFIG.desAlpha = 0.05 + (value * 0.4);
+}
+
+/**
+ * Switch the smoothing filter; the cursor carries on from where it is
+ */
+function setSmoothingFilter(filter) {
+    if (!Smoothing.FILTERS[filter]) return;
+    state.smoothingFilter = filter;
+    smoothingPipeline = Smoothing.createSmoothingPipeline(filter, SMOOTH_CONFIG);
+    if (state.isCalibrated) resetSmoothingTo(lastSentX, lastSentY);
+}
+
+/**
+ * Reset ALL smoothing state so the cursor starts at (x, y)
+ */
+function resetSmoothingTo(x, y) {
+    smoothingPipeline.reset(x, y, frameNow());
+    lastSentX = x;
+    lastSentY = y;
+    // The joystick carries on from here too
+    joystickCursor = null;
+}
+
+/**
+ * Switch between absolute and joystick pointing (settings or long blink).
+ * A mode that has never been calibrated this session calibrates first.
+ */
+function setPointingMode(mode) {
+    if (mode !== 'absolute' && mode !== 'joystick') return;
+
+    state.pointingMode = mode;
+    recordFaceMark({ type: 'pointingMode', mode });
+    // A replayed blink switches the replay's mode only - the panel's comes back afterwards
+    if (!faceReplay) {
+        localStorage.setItem('facecontrol_pointing_mode', mode);
+        if (elements.pointingModeSelect) elements.pointingModeSelect.value = mode;
+    }
+
+    // Either way the cursor carries on from where it is
+    resetSmoothingTo(lastSentX, lastSentY);
+
+    if (!state.isRunning) return;
+    const calibrated = mode === 'joystick' ? state.joystickPose : state.calibrationPose;
+    if (state.isCalibrated && !calibrated && !elements.calibrateBtn.disabled) {
+        calibrate();
+    } else {
+        showFeedback(mode === 'joystick' ? '🕹️ Joystick pointing' : '🎯 Absolute pointing');
+    }
+}
+
+// ============================================
+// User Profiles
+// ============================================
+
+// Named profiles in localStorage: { [name]: { settings, calibration, updatedAt } }.
+// The active profile's settings also live in the usual facecontrol_* keys, so loadSavedSettings applies them
+const PROFILES_KEY = 'facecontrol_profiles';
+const ACTIVE_PROFILE_KEY = 'facecontrol_profile';
+const DEFAULT_PROFILE = 'Default';
+const PROFILE_NAME_MAX = 40;
+
+// Settings a profile carries: localStorage key -> current value (null = never set, not stored)
+const PROFILE_SETTINGS = {
+    facecontrol_sensitivity: () => state.sensitivity,
+    facecontrol_smoothness: () => state.smoothness,
+    facecontrol_smoothing_filter: () => state.smoothingFilter,
+    facecontrol_pointing_mode: () => state.pointingMode,
+    facecontrol_joystick_speed: () => JOYSTICK_CONFIG.maxSpeed,
+    facecontrol_joystick_curve: () => JOYSTICK_CONFIG.curve,
+    facecontrol_calibration_points: () => state.calibrationPoints,
+    facecontrol_blink_shortcut: () => state.longBlinkShortcut,
+    facecontrol_drift_correction: () => (state.driftCorrection ? 'on' : 'off'),
+    facecontrol_recenter_gesture: () => (state.recenterGesture ? 'on' : 'off'),
+    facecontrol_thresholds: () => JSON.stringify(currentThresholds()),
+    facecontrol_macro_speed: () => state.macroSpeed,
+    facecontrol_camera: () => state.cameraId
+};
+
+function readProfiles() {
+    try {
+        const profiles = JSON.parse(localStorage.getItem(PROFILES_KEY));
+        return profiles && typeof profiles === 'object' ? profiles : {};
+    } catch (error) {
+        console.warn('⚠️ Ignoring unreadable profiles:', error.message);
+        return {};
+    }
+}
+
+function writeProfiles(profiles) {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+}
+
+function captureSettings() {
+    const settings = {};
+    for (const [key, read] of Object.entries(PROFILE_SETTINGS)) {
+        const value = read();
+        if (value !== null && value !== undefined) settings[key] = String(value);
+    }
+    return settings;
+}
+
+// The calibration in use, for the camera it was made with (null when uncalibrated)
+function captureCalibration() {
+    if (!state.isCalibrated) return null;
+    return {
+        camera: state.cameraId,
+        nose: state.calibrationNose,
+        pose: state.calibrationPose,
+        map: state.calibrationMap,
+        joystickPose: state.joystickPose
+    };
+}
+
+/**
+ * Last-used profile comes back on load; a first run turns the current settings into the Default profile
+ */
+function initProfiles() {
+    const profiles = readProfiles();
+    if (Object.keys(profiles).length === 0) {
+        profiles[DEFAULT_PROFILE] = { settings: captureSettings(), calibration: null, updatedAt: Date.now() };
+        writeProfiles(profiles);
+    }
+
+    const saved = localStorage.getItem(ACTIVE_PROFILE_KEY);
+    state.profile = profiles[saved] ? saved : Object.keys(profiles)[0];
+    localStorage.setItem(ACTIVE_PROFILE_KEY, state.profile);
+    renderProfiles();
+}
+
+/**
+ * Store the current settings (and calibration, when there is one) in the active profile
+ */
+function saveActiveProfile({ calibration = false } = {}) {
+    // A replay's calibration and modes belong to the recording
+    if (!state.profile || faceReplay) return;
+    const profiles = readProfiles();
+    const profile = profiles[state.profile] || { calibration: null };
+    profile.settings = captureSettings();
+    if (calibration) profile.calibration = captureCalibration();
+    profile.updatedAt = Date.now();
+    profiles[state.profile] = profile;
+    writeProfiles(profiles);
+}
+
+/**
+ * Switch to another profile: its settings, camera and (on that camera) calibration
+ */
+async function switchProfile(name) {
+    const profiles = readProfiles();
+    const profile = profiles[name];
+    if (!profile || name === state.profile) return;
+
+    saveActiveProfile();
+    // Thresholds being fitted to the previous user's face
+    cancelGestureCalibration();
+    const previousCamera = state.cameraId;
+    state.profile = name;
+    localStorage.setItem(ACTIVE_PROFILE_KEY, name);
+
+    for (const [key, value] of Object.entries(profile.settings || {})) {
+        localStorage.setItem(key, value);
+    }
+    loadSavedSettings();
+    renderProfiles();
+    renderCameras();
+
+    if (!state.isRunning) {
+        showFeedback(`👤 ${name}`);
+        return;
+    }
+    if (state.cameraId !== previousCamera) {
+        // Another camera: restart tracking on it (startTracking loads the calibration)
+        stopTracking();
+        await startTracking();
+        return;
+    }
+    if (!loadProfileCalibration()) {
+        // The previous user's calibration doesn't fit this one
+        cancelGuidedCalibration();
+        clearCalibration();
+        setScrollMode(false);
+        if (elements.scrollModeBtn) elements.scrollModeBtn.disabled = true;
+        elements.calibrateBtn.innerHTML = '🎯 Calibrate';
+        showFeedback(`👤 ${name} - calibrate to start`);
+    }
+}
+
+/**
+ * Apply the active profile's calibration if it was made with the camera in use
+ * @returns {boolean} Whether a calibration was loaded
+ */
+function loadProfileCalibration() {
+    const profile = readProfiles()[state.profile];
+    const calibration = profile && profile.calibration;
+    if (!calibration || calibration.camera !== state.cameraId || guidedCalibration) return false;
+
+    const { nose, pose, map, joystickPose } = calibration;
+    applyCalibration(nose, pose, 'absolute', map || null);
+    state.joystickPose = joystickPose || null;
+    if (elements.calibrationQuality) {
+        elements.calibrationQuality.textContent = map ? `Last calibration: quality ${map.quality}/100` : 'Targets to look at when calibrating';
+    }
+    finishCalibration(`✅ ${state.profile}'s calibration loaded`);
+    return true;
+}
+
+/**
+ * New profile from the current settings and calibration (or overwrite one of the same name)
+ */
+function saveProfileAs() {
+    const name = (elements.profileNameInput ? elements.profileNameInput.value : '').trim().slice(0, PROFILE_NAME_MAX);
+    if (!name) {
+        showFeedback('✏️ Enter a profile name');
+        return;
+    }
+
+    saveActiveProfile();
+    const profiles = readProfiles();
+    profiles[name] = { settings: captureSettings(), calibration: captureCalibration(), updatedAt: Date.now() };
+    writeProfiles(profiles);
+    state.profile = name;
+    localStorage.setItem(ACTIVE_PROFILE_KEY, name);
+
+    elements.profileNameInput.value = '';
+    renderProfiles();
+    showFeedback(`💾 Saved profile ${name}`);
+}
+
+function deleteActiveProfile() {
+    const profiles = readProfiles();
+    const names = Object.keys(profiles);
+    if (names.length < 2) {
+        showFeedback('👤 Keep at least one profile');
+        return;
+    }
+
+    const deleted = state.profile;
+    delete profiles[deleted];
+    writeProfiles(profiles);
+    // Nothing left to save the current settings into - the next profile takes over
+    state.profile = null;
+    switchProfile(names.find(name => name !== deleted));
+    showFeedback(`🗑️ Deleted profile ${deleted}`);
+}
+
+function renderProfiles() {
+    const select = elements.profileSelect;
+    if (!select) return;
+    select.innerHTML = '';
+    for (const name of Object.keys(readProfiles())) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    }
+    select.value = state.profile;
+}
+
+// Fill the camera list; labels stay empty until the user has allowed a camera once
+async function populateCameras() {
+    if (!elements.cameraSelect || !navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return;
+    try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        state.cameras = devices.filter(device => device.kind === 'videoinput');
+    } catch (error) {
+        console.warn('⚠️ Could not list cameras:', error.message);
+        return;
+    }
+    renderCameras();
+}
+
+function renderCameras() {
+    const select = elements.cameraSelect;
+    if (!select) return;
+    select.innerHTML = '';
+    const cameras = [{ deviceId: '', label: 'Default camera' }, ...state.cameras];
+    // A profile's camera that isn't plugged in stays selectable
+    if (state.cameraId && !cameras.some(camera => camera.deviceId === state.cameraId)) {
+        cameras.push({ deviceId: state.cameraId, label: 'Saved camera (not connected)' });
+    }
+    cameras.forEach((camera, i) => {
+        const option = document.createElement('option');
+        option.value = camera.deviceId;
+        option.textContent = camera.label || `Camera ${i}`;
+        select.appendChild(option);
+    });
+    select.value = state.cameraId;
+}
+
+async function setCamera(deviceId) {
+    if (deviceId === state.cameraId) return;
+    state.cameraId = deviceId;
+    localStorage.setItem('facecontrol_camera', deviceId);
+    saveActiveProfile();
+    if (state.isRunning) {
+        stopTracking();
+        await startTracking();
+    }
+}
+
+// ============================================
+// Face Recording & Replay
+// ============================================
 
-    // Sensitivity multiplier (how much screen movement per unit nose movement)
-    const sensitivityMultiplier = state.sensitivity * 2.5;
+// Raw landmarks per frame, so a jitter or false-click report can be reproduced without a webcam
+const FACE_RECORDING_FORMAT = 'facecontrol-face-recording';
+const FACE_RECORDING_VERSION = 1;
+// Recordings stop by themselves after 2 minutes (~35 MB of JSON)
+const FACE_RECORDING_MAX_MS = 120000;
+// Landmark precision kept in the file (1e-4 of the frame is far below a camera pixel)
+const LANDMARK_PRECISION = 1e4;
+// Face Mesh points every frame must have (refineLandmarks adds 10 iris points)
+const FACE_MESH_POINTS = 468;
+
+// { format, version, startedAt, frameSize, calibration, scrollMode, settings, marks, frames }
+let faceRecording = null;
+// { recording, index, markIndex, frameTime, live, sent, timer, saved }
+let faceReplay = null;
+
+// Face-tracking clock: the recorded frame time while replaying, so cooldowns and holds replay exactly
+function frameNow() {
+    return faceReplay ? faceReplay.frameTime : Date.now();
+}
 
-    // Invert X (camera is mirrored) and apply sensitivity
-    // Scale both axes uniformly for natural 1:1 movement feel
-    const moveX = -adjustedDx * baseScale * sensitivityMultiplier;
-    const moveY = adjustedDy * baseScale * sensitivityMultiplier;
+function toggleFaceRecording() {
+    if (faceRecording) {
+        stopFaceRecording();
+    } else {
+        startFaceRecording();
+    }
+}
 
-    // Compensate for aspect ratio difference between camera and screen
-    // This ensures moving nose left-right vs up-down feels consistent
-    const aspectCompensation = screenAspect / cameraAspect;
-    const finalMoveX = moveX * aspectCompensation;
-    const finalMoveY = moveY;
+function startFaceRecording() {
+    if (!state.isRunning) {
+        showFeedback('📷 Start the camera first');
+        return;
+    }
+    if (faceReplay) {
+        showFeedback('▶️ Stop the replay first');
+        return;
+    }
 
-    // Target screen position (centered)
-    const centerX = CONFIG.screenWidth / 2;
-    const centerY = CONFIG.screenHeight / 2;
+    faceRecording = {
+        format: FACE_RECORDING_FORMAT,
+        version: FACE_RECORDING_VERSION,
+        startedAt: Date.now(),
+        frameSize: { width: 640, height: 480 },
+        // Where the user started, so the replay begins in the same pose and mode
+        calibration: state.isCalibrated ? { nose: state.calibrationNose, pose: state.calibrationPose, map: state.calibrationMap, joystickPose: state.joystickPose } : null,
+        scrollMode: state.scrollMode,
+        pointingMode: state.pointingMode,
+        // For reference only - a replay uses the panel's current tuning
+        settings: { sensitivity: state.sensitivity, smoothingFilter: state.smoothingFilter, smoothing: { ...SMOOTH_CONFIG }, joystick: { ...JOYSTICK_CONFIG }, targetRect: getTargetRect() },
+        // Calibrations (guided ones replay from their start) and scroll/pointing-mode switches during the recording
+        marks: [],
+        frames: []
+    };
 
-    let rawTargetX = centerX + finalMoveX;
-    let rawTargetY = centerY + finalMoveY;
+    renderFaceRecordingControls();
+    showFeedback('⏺️ Recording face frames');
+}
 
-    // Clamp to screen bounds
-    rawTargetX = Math.max(0, Math.min(CONFIG.screenWidth - 1, rawTargetX));
-    rawTargetY = Math.max(0, Math.min(CONFIG.screenHeight - 1, rawTargetY));
+function recordFaceFrame(results) {
+    if (!faceRecording || faceReplay) return;
 
-    // ====== LAYER 1: Median buffer for noise reduction ======
-    addToBuffer(rawBufferX, rawTargetX, RAW_BUFFER_SIZE);
-    addToBuffer(rawBufferY, rawTargetY, RAW_BUFFER_SIZE);
+    const t = Date.now() - faceRecording.startedAt;
+    if (t > FACE_RECORDING_MAX_MS) {
+        stopFaceRecording();
+        return;
+    }
 
-    const medianX = getMedian(rawBufferX);
-    const medianY = getMedian(rawBufferY);
+    const face = results.multiFaceLandmarks && results.multiFaceLandmarks[0];
+    faceRecording.frames.push({ t, landmarks: face ? packLandmarks(face) : null });
+}
 
-    // ====== LAYER 2: Kalman filter for prediction ======
-    const kalmanedX = kalmanFilter(medianX, kalmanX);
-    const kalmanedY = kalmanFilter(medianY, kalmanY);
+// The cursor target this frame produced, before smoothing (test/smoothing.test.js replays these)
+function recordFaceTarget(x, y) {
+    if (!faceRecording || faceReplay) return;
+    const frame = faceRecording.frames[faceRecording.frames.length - 1];
+    if (frame) frame.target = [Math.round(x * 10) / 10, Math.round(y * 10) / 10];
+}
 
-    // ====== LAYER 3: Calculate velocity for adaptive smoothing ======
-    if (lastTargetX !== null && lastTargetTime > 0) {
-        const dt = (now - lastTargetTime) / 1000; // seconds
-        if (dt > 0) {
-            velocityX = lerp(velocityX, (kalmanedX - lastTargetX) / dt, 0.3);
-            velocityY = lerp(velocityY, (kalmanedY - lastTargetY) / dt, 0.3);
-        }
-    }
-    lastTargetX = kalmanedX;
-    lastTargetY = kalmanedY;
-    lastTargetTime = now;
+function recordFaceMark(mark) {
+    if (!faceRecording || faceReplay) return;
+    faceRecording.marks.push({ t: Date.now() - faceRecording.startedAt, ...mark });
+}
 
-    // Get adaptive smooth factor based on velocity
-    const adaptiveFactor = calculateAdaptiveSmoothFactor(velocityX, velocityY);
+// [{x, y, z}, ...] -> [x, y, z, x, y, z, ...], rounded (about a third of the size as JSON)
+function packLandmarks(landmarks) {
+    const flat = new Array(landmarks.length * 3);
+    landmarks.forEach((point, i) => {
+        flat[i * 3] = Math.round(point.x * LANDMARK_PRECISION) / LANDMARK_PRECISION;
+        flat[i * 3 + 1] = Math.round(point.y * LANDMARK_PRECISION) / LANDMARK_PRECISION;
+        flat[i * 3 + 2] = Math.round(point.z * LANDMARK_PRECISION) / LANDMARK_PRECISION;
+    });
+    return flat;
+}
 
-    // Initialize smooth position
-    if (smoothX === null) {
-        smoothX = kalmanedX;
-        smoothY = kalmanedY;
-        outputX = kalmanedX;
-        outputY = kalmanedY;
+function unpackLandmarks(flat) {
+    const landmarks = [];
+    for (let i = 0; i + 2 < flat.length; i += 3) {
+        landmarks.push({ x: flat[i], y: flat[i + 1], z: flat[i + 2] });
     }
+    return landmarks;
+}
 
-    // Apply adaptive exponential smoothing
-    smoothX += (kalmanedX - smoothX) * adaptiveFactor;
-    smoothY += (kalmanedY - smoothY) * adaptiveFactor;
+function stopFaceRecording() {
+    const recording = faceRecording;
+    faceRecording = null;
+    renderFaceRecordingControls();
 
-    // ====== LAYER 4: Bezier interpolation for ultra-smooth output ======
-    // Use bezier curve to smooth the transition
-    if (outputX === null) {
-        outputX = smoothX;
-        outputY = smoothY;
+    if (recording.frames.length === 0) {
+        showFeedback('⏺️ No frames recorded');
+        return;
     }
+    downloadFaceRecording(recording);
+}
 
-    // Calculate control point for bezier (midpoint with slight offset based on velocity)
-    const controlX = (outputX + smoothX) / 2 + velocityX * SMOOTH_CONFIG.bezierFactor;
-    const controlY = (outputY + smoothY) / 2 + velocityY * SMOOTH_CONFIG.bezierFactor;
+function downloadFaceRecording(recording) {
+    const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `facecontrol-${new Date(recording.startedAt).toISOString().replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    const seconds = recording.frames[recording.frames.length - 1].t / 1000;
+    console.log(`⏺️ Face recording: ${recording.frames.length} frames, ${seconds.toFixed(1)}s, ${recording.marks.length} marks`);
+    showFeedback(`💾 ${recording.frames.length} frames saved`);
+}
 
-    // Interpolate along bezier curve
-    outputX = bezierInterpolate(outputX, controlX, smoothX, SMOOTH_CONFIG.outputLerp);
-    outputY = bezierInterpolate(outputY, controlY, smoothY, SMOOTH_CONFIG.outputLerp);
+/**
+ * Check a parsed recording file
+ * @returns {string|null} What is wrong with it, or null
+ */
+function validateFaceRecording(data) {
+    if (!data || data.format !== FACE_RECORDING_FORMAT) return 'Not a face recording';
+    if (data.version !== FACE_RECORDING_VERSION) return `Unsupported recording version ${data.version}`;
+    if (!Number.isFinite(data.startedAt) || !Array.isArray(data.frames) || !Array.isArray(data.marks)) {
+        return 'Recording is damaged';
+    }
+    if (data.frames.length === 0) return 'Recording has no frames';
 
-    // ====== Jitter filter - only move if above threshold ======
-    const movementDistance = Math.sqrt(
-        Math.pow(outputX - lastSentX, 2) +
-        Math.pow(outputY - lastSentY, 2)
-    );
+    const bad = data.frames.findIndex((frame, i) => !frame || !Number.isFinite(frame.t) ||
+        (i > 0 && frame.t < data.frames[i - 1].t) ||
+        (frame.landmarks !== null && (!Array.isArray(frame.landmarks) || frame.landmarks.length < FACE_MESH_POINTS * 3)));
+    if (bad !== -1) return `Frame ${bad + 1} is damaged`;
 
-    const finalX = Math.round(outputX);
-    const finalY = Math.round(outputY);
+    return null;
+}
 
-    // Send mouse update (throttled + jitter filtered)
-    if (now - lastMouseUpdate >= UPDATE_INTERVAL) {
-        // Only send if movement is above jitter threshold OR enough time has passed
-        if (movementDistance >= SMOOTH_CONFIG.jitterThreshold || now - lastMouseUpdate > 100) {
-            sendMouse(finalX, finalY);
-            lastSentX = finalX;
-            lastSentY = finalY;
-        }
-        lastMouseUpdate = now;
+async function loadFaceReplayFile(file) {
+    let recording;
+    try {
+        recording = JSON.parse(await file.text());
+    } catch (error) {
+        showFeedback('❌ Not a JSON file');
+        return;
     }
 
-    // Update display
-    updateStatus('cursor', `${finalX}, ${finalY}`, 'active');
-    if (elements.positionDisplay) {
-        elements.positionDisplay.textContent = `${finalX}, ${finalY}`;
+    const problem = validateFaceRecording(recording);
+    if (problem) {
+        showFeedback(`❌ ${problem}`);
+        return;
     }
+    startFaceReplay(recording);
+}
 
-    // Store final position in state for continuous interpolation
-    state.finalX = finalX;
-    state.finalY = finalY;
+// Cooldowns, holds and pending gestures - a replay starts from a clean slate
+function resetGestureState() {
+    state.lastLeftClick = 0;
+    state.lastRightClick = 0;
+    state.leftEyeOpen = true;
+    state.rightEyeOpen = true;
+    state.bothEyesClosedSince = 0;
+    state.longBlinkFired = false;
+    state.lastDeliberateBlinkEnd = 0;
+    state.mouthIsOpen = false;
+    displayJump = { direction: null, since: 0, armed: true };
+    lastMouseUpdate = 0;
+    lastScrollTime = 0;
+    scrollRemainderX = 0;
+    scrollRemainderY = 0;
+}
 
-    // MOUTH OPEN = DRAG MODE (threshold 15)
-    // Keep mouth open to hold left click (drag)
-    if (mouthOpen > 15) {
-        if (!state.isDragging) {
-            console.log('👄 Mouth open -> Drag Start', mouthOpen);
-            sendDragStart();
-            state.isDragging = true;
-            showFeedback('✊ Dragging...');
+/**
+ * Feed a recording through onFaceResults in place of the camera, on its original timing.
+ * Unless "Move mouse" is ticked it is a dry run: pointer/keyboard messages are collected, not sent.
+ */
+function startFaceReplay(recording) {
+    if (faceRecording) stopFaceRecording();
+    stopFaceReplay();
+    cancelGuidedCalibration();
+    cancelGestureCalibration();
+
+    // A live drag must not carry over into the replay
+    if (state.isDragging) {
+        sendDragEnd();
+        state.isDragging = false;
+    }
+
+    faceReplay = {
+        recording,
+        index: 0,
+        markIndex: 0,
+        frameTime: recording.startedAt,
+        live: Boolean(elements.faceReplayLive && elements.faceReplayLive.checked),
+        sent: [],
+        timer: null,
+        // Restored afterwards so live tracking carries on as before
+        saved: {
+            isCalibrated: state.isCalibrated,
+            calibrationNose: state.calibrationNose,
+            calibrationPose: state.calibrationPose,
+            calibrationMap: state.calibrationMap,
+            joystickPose: state.joystickPose,
+            scrollMode: state.scrollMode,
+            pointingMode: state.pointingMode,
+            gestureThresholds: state.gestureThresholds,
+            drift: {
+                absolute: { ...driftCorrectors.absolute.offset },
+                joystick: { ...driftCorrectors.joystick.offset }
+            }
         }
+    };
+
+    resetGestureState();
+    state.scrollMode = Boolean(recording.scrollMode);
+    state.pointingMode = recording.pointingMode === 'joystick' ? 'joystick' : 'absolute';
+    if (recording.calibration) {
+        const { nose, pose, map, joystickPose } = recording.calibration;
+        applyCalibration(nose, pose, 'absolute', map || null);
+        state.joystickPose = joystickPose || null;
+        driftCorrectors.joystick.reset();
     } else {
-        if (state.isDragging) {
-            console.log('👄 Mouth closed -> Drag End');
-            sendDragEnd();
-            state.isDragging = false;
-            state.clickCount++;
-            if (elements.clickCount) elements.clickCount.textContent = state.clickCount;
-            showFeedback('✋ Drop!');
-        }
+        clearCalibration();
     }
-}
 
-function drawFace(ctx, landmarks, nose) {
-    // Draw nose (main tracking point)
-    const nX = nose.x * 640;
-    const nY = nose.y * 480;
+    elements.placeholder.classList.add('hidden');
+    renderFaceRecordingControls();
+    showFeedback(`▶️ Replaying ${recording.frames.length} frames${faceReplay.live ? '' : ' (dry run)'}`);
+    stepFaceReplay();
+}
 
-    ctx.fillStyle = 'rgba(16, 185, 129, 0.9)';
-    ctx.beginPath();
-    ctx.arc(nX, nY, 10, 0, Math.PI * 2);
-    ctx.fill();
+function applyFaceMark(mark) {
+    switch (mark.type) {
+        case 'calibrate':
+            applyCalibration(mark.nose, mark.pose, mark.mode, mark.map || null);
+            break;
+        case 'guidedCalibration':
+            startGuidedCalibration(mark.count);
+            break;
+        case 'gestureCalibration':
+            startGestureCalibration();
+            break;
+        case 'pointingMode':
+            state.pointingMode = mark.mode === 'joystick' ? 'joystick' : 'absolute';
+            resetSmoothingTo(lastSentX, lastSentY);
+            break;
+        case 'scrollMode':
+            state.scrollMode = Boolean(mark.enabled);
+            lastScrollTime = 0;
+            scrollRemainderX = 0;
+            scrollRemainderY = 0;
+            break;
+    }
+}
 
-    // Crosshair on nose
-    ctx.strokeStyle = 'rgba(16, 185, 129, 0.6)';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-    ctx.moveTo(nX - 20, nY);
-    ctx.lineTo(nX + 20, nY);
-    ctx.moveTo(nX, nY - 20);
-    ctx.lineTo(nX, nY + 20);
-    ctx.stroke();
+function stepFaceReplay() {
+    const replay = faceReplay;
+    const { frames, marks } = replay.recording;
+    const frame = frames[replay.index];
+    replay.frameTime = replay.recording.startedAt + frame.t;
 
-    // Draw eyes
-    drawEye(ctx, landmarks, 'left', 'rgba(139, 92, 246, 0.8)');
-    drawEye(ctx, landmarks, 'right', 'rgba(139, 92, 246, 0.8)');
-}
+    // Calibrations and mode switches up to this frame
+    while (replay.markIndex < marks.length && marks[replay.markIndex].t <= frame.t) {
+        applyFaceMark(marks[replay.markIndex++]);
+    }
 
-function drawEye(ctx, landmarks, eye, color) {
-    const indices = EYE_LANDMARKS[eye];
-    const points = [indices.top, indices.bottom, indices.inner, indices.outer];
+    onFaceResults({ multiFaceLandmarks: frame.landmarks ? [unpackLandmarks(frame.landmarks)] : [] });
 
-    ctx.fillStyle = color;
-    points.forEach(i => {
-        const p = landmarks[i];
-        ctx.beginPath();
-        ctx.arc(p.x * 640, p.y * 480, 3, 0, Math.PI * 2);
-        ctx.fill();
-    });
+    replay.index++;
+    if (replay.index >= frames.length) {
+        stopFaceReplay();
+        return;
+    }
+    replay.timer = setTimeout(stepFaceReplay, frames[replay.index].t - frame.t);
 }
 
-// ============================================
-// Calibration
-// ============================================
+function stopFaceReplay() {
+    const replay = faceReplay;
+    if (!replay) return;
+    clearTimeout(replay.timer);
+    // A calibration the recording started ends with it
+    cancelGuidedCalibration();
+    cancelGestureCalibration();
+
+    // Don't leave the button down if the recording ended mid-drag
+    if (state.isDragging) {
+        sendDragEnd();
+        state.isDragging = false;
+    }
 
-function calibrate() {
-    elements.calibrateBtn.disabled = true;
-    showFeedback('👀 Look straight ahead...');
+    faceReplay = null;
+    const { drift, ...saved } = replay.saved;
+    Object.assign(state, saved);
+    driftCorrectors.absolute.reset(drift.absolute.yaw, drift.absolute.pitch);
+    driftCorrectors.joystick.reset(drift.joystick.yaw, drift.joystick.pitch);
+    resetGestureState();
+    if (state.isCalibrated) {
+        const rect = getTargetRect();
+        resetSmoothingTo(rect.x + rect.width / 2, rect.y + rect.height / 2);
+    }
+    if (!state.isRunning) elements.placeholder.classList.remove('hidden');
+    renderFaceRecordingControls();
 
-    let count = 3;
-    const interval = setInterval(() => {
-        count--;
-        if (count > 0) {
-            showFeedback(`${count}...`);
-        } else {
-            clearInterval(interval);
+    const finished = replay.index >= replay.recording.frames.length;
+    if (replay.live) {
+        showFeedback(finished ? '✅ Replay done' : '⏹️ Replay stopped');
+        return;
+    }
 
-            // Save calibration position
-            state.calibrationNose = { x: state.currentNose.x, y: state.currentNose.y };
-            state.isCalibrated = true;
-
-            // Reset ALL smoothing state to screen center
-            const centerX = CONFIG.screenWidth / 2;
-            const centerY = CONFIG.screenHeight / 2;
-
-            smoothX = centerX;
-            smoothY = centerY;
-            outputX = centerX;
-            outputY = centerY;
-            lastSentX = centerX;
-            lastSentY = centerY;
-
-            // Clear buffers
-            rawBufferX = [];
-            rawBufferY = [];
-
-            // Reset velocity
-            velocityX = 0;
-            velocityY = 0;
-            lastTargetX = centerX;
-            lastTargetY = centerY;
-            lastTargetTime = Date.now();
-
-            // Reset Kalman filters with center position
-            kalmanX = { estimate: centerX, errorEstimate: 1, errorMeasure: 0.1, q: 0.01 };
-            kalmanY = { estimate: centerY, errorEstimate: 1, errorMeasure: 0.1, q: 0.01 };
-
-            // Move cursor to center
-            sendMouse(centerX, centerY);
-
-            showFeedback('✅ Calibrated!');
-            elements.calibrateBtn.disabled = false;
-            elements.calibrateBtn.innerHTML = '🎯 Re-calibrate';
-        }
-    }, 1000);
+    // What the dry run would have sent - compare runs while tuning thresholds
+    const count = (action) => replay.sent.filter(msg => msg.action === action).length;
+    const clicks = replay.sent.filter(msg => msg.action === 'click' || msg.action === 'doubleclick').length;
+    console.log(`▶️ Replay ${finished ? 'finished' : 'stopped'} after ${replay.index} frames:`, replay.sent);
+    console.table(replay.sent.filter(msg => msg.action !== 'moveTo'));
+    showFeedback(`${finished ? '✅' : '⏹️'} ${clicks} clicks, ${count('mousedown')} drags, ${count('moveTo')} moves`);
+}
+
+function renderFaceRecordingControls() {
+    if (elements.faceRecordBtn) {
+        elements.faceRecordBtn.textContent = faceRecording ? '⏹️ Stop & save' : '⏺️ Record';
+        elements.faceRecordBtn.classList.toggle('recording', Boolean(faceRecording));
+    }
+    if (elements.faceReplayBtn) {
+        elements.faceReplayBtn.textContent = faceReplay ? '⏹️ Stop' : '📂 Replay file';
+    }
 }
 
 // ============================================
@@ -1750,6 +4077,20 @@ function onSpeechResult(event) {
         }
     }
 
+    // "play macro brand font", "stop macro" ... control macros instead of being typed
+    if (finalTranscript && runVoiceMacroCommand(finalTranscript)) {
+        finalTranscript = '';
+    }
+
+    // Spoken shortcut names ("undo", "paste that") run the shortcut instead of being typed
+    if (finalTranscript) {
+        const shortcutId = matchVoiceShortcut(finalTranscript);
+        if (shortcutId) {
+            triggerShortcut(shortcutId, 'voice');
+            finalTranscript = '';
+        }
+    }
+
     // Write final transcript to destinations
     if (finalTranscript) {
         // PRIMARY: Write to Adobe Express canvas (selected text element or create new)
@@ -1849,8 +4190,7 @@ function insertTextAtCursor(textArea, text) {
  * Send type command to backend for system-level text input
  */
 function sendType(text) {
-    if (!state.backendConnected || !websocket || websocket.readyState !== WebSocket.OPEN) return;
-    websocket.send(JSON.stringify({ action: 'type', text }));
+    sendMessage({ action: 'type', text });
 }
 
 /**
@@ -2115,6 +4455,273 @@ function setupTextAreaTracking() {
     });
 }
 
+// ============================================
+// Keyboard Shortcut Palette
+// ============================================
+
+/**
+ * Render one button per Adobe Express shortcut
+ */
+function renderShortcutPalette() {
+    elements.shortcutGrid.innerHTML = Object.entries(SHORTCUTS).map(([id, shortcut]) => `
+        <button class="shortcut-btn" data-shortcut="${id}" title="${shortcut.combo}">
+            <span class="shortcut-icon">${shortcut.icon}</span>
+            <span class="shortcut-label">${shortcut.label}</span>
+        </button>
+    `).join('');
+
+    elements.shortcutGrid.querySelectorAll('.shortcut-btn').forEach(btn => {
+        btn.addEventListener('click', () => triggerShortcut(btn.dataset.shortcut, 'button'));
+    });
+}
+
+/**
+ * Send a palette shortcut to the backend
+ * @param {string} id - Key of SHORTCUTS
+ * @param {string} source - 'button', 'voice' or 'blink' (for logging)
+ */
+function triggerShortcut(id, source = 'button') {
+    const shortcut = SHORTCUTS[id];
+    if (!shortcut) return;
+
+    if (!sendKeyCombo(shortcut.combo)) {
+        showFeedback(isObserving() ? '🎮 Another session is in control' : '❌ Not connected');
+        return;
+    }
+
+    console.log(`⌨️ Shortcut "${id}" (${shortcut.combo}) via ${source}`);
+    showFeedback(`${shortcut.icon} ${shortcut.label}`);
+}
+
+/**
+ * Match a spoken phrase against shortcut phrases
+ * @returns {string|null} Shortcut id
+ */
+function matchVoiceShortcut(transcript) {
+    const spoken = transcript.toLowerCase().replace(/[^a-z ]/g, '').trim();
+    for (const [id, shortcut] of Object.entries(SHORTCUTS)) {
+        if (shortcut.phrases.includes(spoken)) return id;
+    }
+    return null;
+}
+
+// ============================================
+// Macros
+// ============================================
+
+// Long-blink setting value that plays a macro: "macro:<name>"
+const MACRO_BLINK_PREFIX = 'macro:';
+
+function handleMacroList(macros) {
+    state.macros = Array.isArray(macros) ? macros : [];
+    renderMacroList();
+    renderMacroBlinkOptions();
+}
+
+function handleMacroState(data) {
+    const wasRecording = state.macroRecording;
+    state.macroRecording = data.recording;
+    state.macroPlaying = data.playing;
+
+    if (data.saved) {
+        showFeedback(`💾 Macro "${data.saved}" saved`);
+        sendMessage({ action: 'macroList' });
+    } else if (wasRecording && !data.recording && data.saved === null) {
+        showFeedback('⏺️ Nothing recorded');
+    } else if (data.finished) {
+        // Head tracking takes the cursor back from the next frame
+        showFeedback(data.aborted ? `⏹️ Macro "${data.finished}" aborted` : `✅ Macro "${data.finished}" done`);
+    }
+
+    renderMacroList();
+}
+
+function toggleMacroRecording() {
+    if (state.macroRecording) {
+        stopMacro('button');
+        return;
+    }
+
+    const name = elements.macroNameInput ? elements.macroNameInput.value.trim() : '';
+    if (!name) {
+        showFeedback('✏️ Name the macro first');
+        if (elements.macroNameInput) elements.macroNameInput.focus();
+        return;
+    }
+    startMacroRecording(name);
+}
+
+function startMacroRecording(name) {
+    if (!sendMessage({ action: 'macroRecord', name })) {
+        showFeedback('❌ Not connected');
+        return;
+    }
+    if (elements.macroNameInput) elements.macroNameInput.value = '';
+    showFeedback(`⏺️ Recording "${name}"`);
+}
+
+/**
+ * Stop recording, or abort the macro that is playing
+ * @param {string} source - 'button', 'voice' or 'gesture' (for logging)
+ */
+function stopMacro(source = 'button') {
+    if (!state.macroRecording && !state.macroPlaying) return;
+    console.log(`⏹️ Macro stop via ${source}`);
+    sendMessage({ action: 'macroStop' });
+    // Hand the cursor back at once - the backend confirms with macro_state
+    state.macroPlaying = null;
+}
+
+// "Brand Font!" and the spoken "brand font" name the same macro
+function normalizeMacroName(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * @param {string} name - Macro name (case and punctuation are ignored)
+ * @param {string} source - 'button', 'voice' or 'blink' (for logging)
+ */
+function playMacro(name, source = 'button') {
+    const macro = state.macros.find(m => normalizeMacroName(m.name) === normalizeMacroName(name));
+    if (!macro) {
+        showFeedback(`❓ No macro "${name}"`);
+        return;
+    }
+    if (state.macroRecording) {
+        showFeedback('⏺️ Stop recording first');
+        return;
+    }
+
+    // Let go of a drag in progress - the macro brings its own
+    if (state.isDragging) {
+        sendDragEnd();
+        state.isDragging = false;
+    }
+
+    if (!sendMessage({ action: 'macroPlay', name: macro.name, speed: state.macroSpeed })) {
+        showFeedback(isObserving() ? '🎮 Another session is in control' : '❌ Not connected');
+        return;
+    }
+    console.log(`▶️ Macro "${macro.name}" at ${state.macroSpeed}x via ${source}`);
+    showFeedback(`▶️ ${macro.name}`);
+}
+
+function renameMacro(name, to) {
+    // Enter re-renders the row, which can blur the input a second time
+    if (state.renamingMacro !== name) return;
+    state.renamingMacro = null;
+    to = to.trim();
+    if (to && to !== name) {
+        sendMessage({ action: 'macroRename', name, to });
+    }
+    renderMacroList();
+}
+
+function deleteMacro(name) {
+    sendMessage({ action: 'macroDelete', name });
+}
+
+function formatMacroLength(macro) {
+    return `${macro.steps} steps · ${((macro.duration || 0) / 1000).toFixed(1)}s`;
+}
+
+function renderMacroList() {
+    if (elements.macroRecordBtn) {
+        elements.macroRecordBtn.classList.toggle('recording', Boolean(state.macroRecording));
+        elements.macroRecordBtn.querySelector('span').textContent = state.macroRecording ? '⏹️ Stop' : '⏺️ Record';
+    }
+    if (!elements.macroList) return;
+
+    if (state.macros.length === 0) {
+        elements.macroList.innerHTML = '<p class="macro-empty">No macros yet - name one and press Record</p>';
+        return;
+    }
+
+    elements.macroList.innerHTML = '';
+    state.macros.forEach((macro) => {
+        const row = document.createElement('div');
+        row.className = `macro-row${state.macroPlaying === macro.name ? ' playing' : ''}`;
+
+        const name = document.createElement('div');
+        name.className = 'macro-name';
+        if (state.renamingMacro === macro.name) {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'image-search-input';
+            input.maxLength = 64;
+            input.value = macro.name;
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') renameMacro(macro.name, input.value);
+                if (e.key === 'Escape') renameMacro(macro.name, '');
+            });
+            input.addEventListener('blur', () => renameMacro(macro.name, input.value));
+            name.appendChild(input);
+            setTimeout(() => input.focus(), 0);
+        } else {
+            name.textContent = macro.name;
+            const meta = document.createElement('div');
+            meta.className = 'macro-meta';
+            meta.textContent = formatMacroLength(macro);
+            name.appendChild(meta);
+        }
+        row.appendChild(name);
+
+        const playing = state.macroPlaying === macro.name;
+        [
+            { icon: playing ? '⏹️' : '▶️', title: playing ? 'Abort' : 'Play', onClick: () => (playing ? stopMacro('button') : playMacro(macro.name, 'button')) },
+            { icon: '✏️', title: 'Rename', onClick: () => { state.renamingMacro = macro.name; renderMacroList(); } },
+            { icon: '🗑️', title: 'Delete', onClick: () => deleteMacro(macro.name) }
+        ].forEach(({ icon, title, onClick }) => {
+            const btn = document.createElement('button');
+            btn.className = 'macro-btn';
+            btn.title = title;
+            btn.textContent = icon;
+            btn.addEventListener('click', onClick);
+            row.appendChild(btn);
+        });
+
+        elements.macroList.appendChild(row);
+    });
+}
+
+// Offer each macro as a long-blink action in Settings
+function renderMacroBlinkOptions() {
+    if (!elements.longBlinkMacros || !elements.longBlinkSelect) return;
+
+    elements.longBlinkMacros.innerHTML = '';
+    state.macros.forEach((macro) => {
+        const option = document.createElement('option');
+        option.value = MACRO_BLINK_PREFIX + macro.name;
+        option.textContent = macro.name;
+        elements.longBlinkMacros.appendChild(option);
+    });
+    // The saved choice only exists once the list has arrived
+    elements.longBlinkSelect.value = state.longBlinkShortcut;
+}
+
+/**
+ * Spoken macro commands: "play|run macro <name>", "record macro <name>", "stop macro|recording"
+ * @returns {boolean} Whether the transcript was a macro command
+ */
+function runVoiceMacroCommand(transcript) {
+    const spoken = transcript.toLowerCase().replace(/[^a-z0-9 ]/g, '').trim();
+
+    if (/^(stop|abort|cancel) (the )?(macro|recording)$/.test(spoken)) {
+        stopMacro('voice');
+        return true;
+    }
+
+    const command = spoken.match(/^(play|run|record) macro (.+)$/);
+    if (!command) return false;
+
+    if (command[1] === 'record') {
+        startMacroRecording(command[2]);
+    } else {
+        playMacro(command[2], 'voice');
+    }
+    return true;
+}
+
 // ============================================
 // Image Search & Insert to Canvas
 // ============================================
@@ -2136,12 +4743,13 @@ function triggerImageSearch() {
         return;
     }
 
-    if (!websocket || websocket.readyState !== WebSocket.OPEN) {
+    if (!state.backendConnected || !websocket || websocket.readyState !== WebSocket.OPEN) {
         showFeedback('❌ Not connected');
         return;
     }
 
-    if (imageSearchState.isSearching) return;
+    // Search and AI suggestions share the gallery - one at a time
+    if (imageSearchState.isSearching || isSuggestingImages) return;
 
     imageSearchState.isSearching = true;
 
@@ -2165,11 +4773,9 @@ function triggerImageSearch() {
     showFeedback(`🔍 Searching...`);
 
     // Send search request
-    websocket.send(JSON.stringify({
-        action: 'image_search',
-        query: query,
-        count: 12
-    }));
+    if (!sendRequest('gallery', { action: 'image_search', query: query, count: 12 })) {
+        handleImageSearchError('Search term is too long');
+    }
 }
 
 /**
@@ -2343,13 +4949,13 @@ let isSuggestingImages = false;
 /**
  * Trigger AI image suggestions
  */
-function triggerAISuggestions() {
-    if (!websocket || websocket.readyState !== WebSocket.OPEN) {
+async function triggerAISuggestions() {
+    if (!state.backendConnected || !websocket || websocket.readyState !== WebSocket.OPEN) {
         showFeedback('❌ Not connected');
         return;
     }
 
-    if (isSuggestingImages) return;
+    if (isSuggestingImages || imageSearchState.isSearching) return;
 
     isSuggestingImages = true;
 
@@ -2378,10 +4984,11 @@ function triggerAISuggestions() {
     console.log('🔮 Requesting AI image suggestions...');
     showFeedback('🔮 Analyzing canvas...');
 
-    // Send request
-    websocket.send(JSON.stringify({
-        action: 'suggest_images'
-    }));
+    // Send request with the page rendition (if Express can export it)
+    const rendition = await exportPageRendition();
+    if (!sendRequest('gallery', { action: 'suggest_images', ...rendition })) {
+        handleAISuggestionError('Not connected');
+    }
 }
 
 /**
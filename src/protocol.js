@@ -0,0 +1,431 @@
+/**
+ * FaceControl Socket Protocol
+ * Shared by the panel (loaded as a plain script -> window.FaceControlProtocol)
+ * and the backend (require('../src/protocol')), so both sides validate
+ * messages against the same definitions.
+ *
+ * Client -> backend: { action, requestId?, ...params }
+ * Backend -> client: { type, requestId?, ...payload }
+ * Errors:            { type: 'error', requestId?, code, message }
+ *
+ * The first message on a socket is the handshake:
+ *   { action: 'auth', token, version, encodings? }  ->  { type: 'auth_ok', version, encodings }
+ * A client speaking another protocol version gets auth_error UNSUPPORTED_VERSION.
+ *
+ * If both sides list 'binary' in encodings, the client may send moveTo, click,
+ * doubleclick, mousedown and mouseup as small binary frames (see BINARY below);
+ * everything else stays JSON.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FaceControlProtocol = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const PROTOCOL_VERSION = 1;
+
+    const ERROR_CODES = {
+        BAD_JSON: 'BAD_JSON',                       // Message is not a JSON object
+        UNKNOWN_ACTION: 'UNKNOWN_ACTION',           // No schema for this action
+        INVALID_PARAMS: 'INVALID_PARAMS',           // Field missing, wrong type or out of range
+        UNSUPPORTED_VERSION: 'UNSUPPORTED_VERSION', // Handshake version mismatch
+        AUTH_FAILED: 'AUTH_FAILED',                 // Wrong or missing pairing token
+        MISSING_API_KEY: 'MISSING_API_KEY',         // Backend lacks HF/Unsplash keys
+        UPSTREAM_FAILED: 'UPSTREAM_FAILED',         // AI model or image API failed
+        DRIVER_FAILED: 'DRIVER_FAILED',             // Input driver threw
+        NOT_CONTROLLER: 'NOT_CONTROLLER',           // Another session has control of the mouse
+        UNSUPPORTED: 'UNSUPPORTED',                 // The input driver can't do this (screen capture)
+        TIMEOUT: 'TIMEOUT',                         // No result in time (REST)
+        INTERNAL: 'INTERNAL'
+    };
+
+    // WebSocket close codes (4000-4999 are application-defined)
+    const CLOSE_CODES = {
+        UNAUTHORIZED: 4001,
+        UNSUPPORTED_VERSION: 4002
+    };
+
+    const MAX_REQUEST_ID_LENGTH = 64;
+
+    // Base64 page renditions sent with AI requests (~6 MB of PNG)
+    const MAX_IMAGE_LENGTH = 8 * 1024 * 1024;
+
+    /*
+     * Field specs: { type, required?, min?, max?, maxLength?, maxItems?, values? }
+     * type is 'number' (finite), 'integer', 'string' or 'array'.
+     * oneOf lists fields of which exactly one must be present.
+     * responds: the backend answers with a result message (AI/search actions);
+     * other actions only ever answer with an error.
+     * controls: moves the mouse or presses keys - only the session in control may send it.
+     * socketOnly: meaningless outside a WebSocket session (not offered over REST).
+     */
+    const coord = { type: 'number' };
+
+    // Optional page rendition; without it the backend falls back to screen capture
+    const rendition = {
+        image: { type: 'string', maxLength: MAX_IMAGE_LENGTH },
+        imageType: { type: 'string', values: ['image/png', 'image/jpeg'] }
+    };
+
+    const macroName = { type: 'string', required: true, maxLength: 64 };
+
+    const ACTIONS = {
+        auth: {
+            description: 'Pair the socket (first message only)',
+            socketOnly: true,
+            fields: {
+                token: { type: 'string', required: true, maxLength: 64 },
+                version: { type: 'integer', required: true, min: 1 },
+                // Optional frame formats the client can send, e.g. ['binary']
+                encodings: { type: 'array', maxItems: 4 }
+            }
+        },
+
+        // ---- Connection ----
+        ping: {
+            description: 'Heartbeat; answered with pong echoing t (for round-trip time)',
+            responds: true,
+            fields: { t: { type: 'number' } }
+        },
+
+        // ---- Control ownership (one session drives the mouse at a time) ----
+        takeControl: {
+            description: 'Become the session in control; the previous one becomes an observer',
+            socketOnly: true,
+            fields: {}
+        },
+        releaseControl: {
+            description: 'Hand control to the next waiting session',
+            socketOnly: true,
+            fields: {}
+        },
+
+        // ---- Pointer ----
+        moveTo: {
+            description: 'Move the cursor to an absolute desktop position',
+            controls: true,
+            fields: { x: { ...coord, required: true }, y: { ...coord, required: true } }
+        },
+        move: { description: 'Move the cursor by a delta', controls: true, fields: { x: coord, y: coord } },
+        click: { description: 'Click a button', controls: true, fields: { button: { type: 'string', values: ['left', 'right'] } } },
+        doubleclick: { description: 'Double click (left)', controls: true, fields: {} },
+        mousedown: { description: 'Press the left button (start a drag)', controls: true, fields: {} },
+        mouseup: { description: 'Release the left button (end a drag)', controls: true, fields: {} },
+        scroll: {
+            description: 'Scroll by wheel steps (y: positive=up, x: positive=right) or by direction + amount',
+            controls: true,
+            fields: {
+                x: coord,
+                y: coord,
+                direction: { type: 'string', values: ['up', 'down', 'left', 'right'] },
+                amount: { type: 'number', min: 0, max: 50 }
+            }
+        },
+
+        // ---- Keyboard (key names are checked against the backend allowlist) ----
+        keyTap: {
+            description: 'Press one key, optionally with modifiers and held for hold ms',
+            controls: true,
+            fields: {
+                key: { type: 'string', required: true, maxLength: 32 },
+                modifiers: { type: 'array', maxItems: 4 },
+                hold: { type: 'number', min: 0, max: 5000 }
+            }
+        },
+        keyCombo: {
+            description: 'Press a combo ("mod+shift+z") or a sequence of combos',
+            controls: true,
+            oneOf: ['combo', 'sequence'],
+            fields: {
+                combo: { type: 'string', maxLength: 64 },
+                sequence: { type: 'array', maxItems: 20 },
+                hold: { type: 'number', min: 0, max: 5000 },
+                delay: { type: 'number', min: 0, max: 2000 }
+            }
+        },
+        type: {
+            description: 'Type text',
+            controls: true,
+            fields: { text: { type: 'string', required: true, maxLength: 1000 } }
+        },
+
+        // ---- Macros (recorded pointer/keyboard actions, saved by the backend) ----
+        macroList: {
+            description: 'List saved macros',
+            responds: true,
+            fields: {}
+        },
+        macroRecord: {
+            description: 'Start recording this session\'s pointer and keyboard actions into a macro',
+            socketOnly: true,
+            responds: true,
+            fields: { name: macroName }
+        },
+        macroStop: {
+            description: 'Stop recording (saves the macro) or abort the macro that is playing',
+            responds: true,
+            fields: {}
+        },
+        macroPlay: {
+            description: 'Play a saved macro; speed 2 plays it twice as fast',
+            controls: true,
+            // Playback belongs to a session, so control changes can stop it
+            socketOnly: true,
+            responds: true,
+            fields: { name: macroName, speed: { type: 'number', min: 0.1, max: 10 } }
+        },
+        macroRename: {
+            description: 'Rename a saved macro',
+            responds: true,
+            fields: { name: macroName, to: macroName }
+        },
+        macroDelete: {
+            description: 'Delete a saved macro',
+            responds: true,
+            fields: { name: macroName }
+        },
+
+        // ---- AI / search ----
+        analyze: {
+            description: 'Explain the UI element around the cursor',
+            responds: true,
+            fields: { x: coord, y: coord }
+        },
+        analyze_design: {
+            description: 'Design advice for the current page',
+            responds: true,
+            fields: { x: coord, y: coord, ...rendition }
+        },
+        improve_design: {
+            description: 'Shapes/text the AI suggests adding to the page',
+            responds: true,
+            fields: { x: coord, y: coord, ...rendition }
+        },
+        image_search: {
+            description: 'Search Unsplash',
+            responds: true,
+            fields: {
+                query: { type: 'string', required: true, maxLength: 200 },
+                count: { type: 'integer', min: 1, max: 30 }
+            }
+        },
+        suggest_images: {
+            description: 'Unsplash photos matching the current page',
+            responds: true,
+            fields: { ...rendition }
+        }
+    };
+
+    /*
+     * Backend -> client message types.
+     * final: the request is finished once this arrives (errors are always final).
+     */
+    const RESPONSES = {
+        auth_ok: { final: true },
+        auth_error: { final: true },
+        position: { final: true },
+        pong: { final: true },
+        // Broadcast on every ownership change: { inControl, controllerId, sessionId, queuePosition, sessions }
+        control: { final: true },
+        // Saved macros: { macros: [{ name, steps, duration, createdAt }] }
+        macros: { final: true },
+        // { recording, playing } macro names (or null); saved/aborted when one ends
+        macro_state: { final: true },
+        error: { final: true },
+        explanation: { final: true },
+        design_advice: { final: true },
+        design_improvements: { final: true },
+        image_search_results: { final: true },
+        image_suggestion_insight: { final: false },
+        image_suggestion_results: { final: true }
+    };
+
+    /*
+     * Binary frames for high-rate pointer actions.
+     * Byte 0 is the opcode; moveTo carries x, y as little-endian int32 at bytes 1-8
+     * (desktop coordinates can be negative), click carries the button at byte 1.
+     */
+    const BINARY = {
+        ENCODING: 'binary',
+        OPCODES: { moveTo: 1, click: 2, doubleclick: 3, mousedown: 4, mouseup: 5 },
+        BUTTONS: ['left', 'right']
+    };
+
+    const BINARY_ACTIONS = Object.keys(BINARY.OPCODES).reduce((byCode, action) => {
+        byCode[BINARY.OPCODES[action]] = action;
+        return byCode;
+    }, {});
+
+    const INT32_MIN = -2147483648;
+    const INT32_MAX = 2147483647;
+
+    /**
+     * Encode a pointer message as a binary frame
+     * @returns {ArrayBuffer|null} null if the message has no binary form (other action, requestId, ...)
+     */
+    function encodeBinary(msg) {
+        const opcode = BINARY.OPCODES[msg.action];
+        if (!opcode || msg.requestId !== undefined) return null;
+
+        switch (msg.action) {
+            case 'moveTo': {
+                const x = Math.round(msg.x);
+                const y = Math.round(msg.y);
+                if (!(x >= INT32_MIN && x <= INT32_MAX && y >= INT32_MIN && y <= INT32_MAX)) return null;
+                const view = new DataView(new ArrayBuffer(9));
+                view.setUint8(0, opcode);
+                view.setInt32(1, x, true);
+                view.setInt32(5, y, true);
+                return view.buffer;
+            }
+            case 'click': {
+                const button = BINARY.BUTTONS.indexOf(msg.button || 'left');
+                if (button === -1) return null;
+                return new Uint8Array([opcode, button]).buffer;
+            }
+            default:
+                return new Uint8Array([opcode]).buffer;
+        }
+    }
+
+    /**
+     * Decode a binary frame back into the equivalent JSON message
+     * @param {ArrayBuffer|Uint8Array} data - Node Buffers are Uint8Arrays
+     * @returns {object|null} null if the frame is malformed
+     */
+    function decodeBinary(data) {
+        const view = data instanceof ArrayBuffer
+            ? new DataView(data)
+            : new DataView(data.buffer, data.byteOffset, data.byteLength);
+        if (view.byteLength < 1) return null;
+
+        const action = BINARY_ACTIONS[view.getUint8(0)];
+        switch (action) {
+            case 'moveTo':
+                if (view.byteLength !== 9) return null;
+                return { action, x: view.getInt32(1, true), y: view.getInt32(5, true) };
+            case 'click': {
+                const button = view.byteLength === 2 ? BINARY.BUTTONS[view.getUint8(1)] : undefined;
+                return button ? { action, button } : null;
+            }
+            case undefined:
+                return null;
+            default:
+                return view.byteLength === 1 ? { action } : null;
+        }
+    }
+
+    function describeType(value) {
+        if (Array.isArray(value)) return 'array';
+        if (value === null) return 'null';
+        return typeof value;
+    }
+
+    function checkField(name, value, spec) {
+        switch (spec.type) {
+            case 'number':
+            case 'integer':
+                if (typeof value !== 'number' || !Number.isFinite(value)) return `${name} must be a number`;
+                if (spec.type === 'integer' && !Number.isInteger(value)) return `${name} must be an integer`;
+                if (spec.min !== undefined && value < spec.min) return `${name} must be >= ${spec.min}`;
+                if (spec.max !== undefined && value > spec.max) return `${name} must be <= ${spec.max}`;
+                return null;
+
+            case 'string':
+                if (typeof value !== 'string') return `${name} must be a string, got ${describeType(value)}`;
+                if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+                    return `${name} is longer than ${spec.maxLength} characters`;
+                }
+                if (spec.values && !spec.values.includes(value)) {
+                    return `${name} must be one of ${spec.values.join(', ')}`;
+                }
+                return null;
+
+            case 'array':
+                if (!Array.isArray(value)) return `${name} must be an array, got ${describeType(value)}`;
+                if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+                    return `${name} has more than ${spec.maxItems} items`;
+                }
+                return null;
+
+            default:
+                return `${name} has no valid type`;
+        }
+    }
+
+    /**
+     * Validate a parsed client message against its action schema
+     * @param {*} msg - Parsed JSON
+     * @returns {{ok: boolean, requestId?: (string|number), code?: string, message?: string}}
+     */
+    function validateMessage(msg) {
+        let requestId;
+        const fail = (code, message) => ({ ok: false, code, message, requestId });
+
+        if (!msg || typeof msg !== 'object' || Array.isArray(msg)) {
+            return fail(ERROR_CODES.BAD_JSON, 'Message must be a JSON object');
+        }
+
+        const { action, requestId: id, ...params } = msg;
+
+        if (id !== undefined) {
+            const idType = typeof id;
+            if ((idType !== 'string' && idType !== 'number') || String(id).length > MAX_REQUEST_ID_LENGTH) {
+                return fail(ERROR_CODES.INVALID_PARAMS, 'requestId must be a short string or number');
+            }
+            // Well-formed - safe to echo back, even in an error
+            requestId = id;
+        }
+
+        const schema = typeof action === 'string' && Object.prototype.hasOwnProperty.call(ACTIONS, action)
+            ? ACTIONS[action]
+            : null;
+        if (!schema) return fail(ERROR_CODES.UNKNOWN_ACTION, `Unknown action: ${action}`);
+
+        for (const name of Object.keys(params)) {
+            if (!schema.fields[name]) return fail(ERROR_CODES.INVALID_PARAMS, `${action} has no field "${name}"`);
+        }
+
+        for (const [name, spec] of Object.entries(schema.fields)) {
+            const value = params[name];
+            if (value === undefined) {
+                if (spec.required) return fail(ERROR_CODES.INVALID_PARAMS, `${action} needs ${name}`);
+                continue;
+            }
+            const problem = checkField(name, value, spec);
+            if (problem) return fail(ERROR_CODES.INVALID_PARAMS, `${action}: ${problem}`);
+        }
+
+        if (schema.oneOf) {
+            const present = schema.oneOf.filter(name => params[name] !== undefined);
+            if (present.length !== 1) {
+                return fail(ERROR_CODES.INVALID_PARAMS, `${action} needs exactly one of ${schema.oneOf.join(', ')}`);
+            }
+        }
+
+        return { ok: true, requestId };
+    }
+
+    /**
+     * Whether a response of this type ends its request
+     */
+    function isFinalResponse(type) {
+        return !RESPONSES[type] || RESPONSES[type].final;
+    }
+
+    return {
+        PROTOCOL_VERSION,
+        MAX_IMAGE_LENGTH,
+        ERROR_CODES,
+        CLOSE_CODES,
+        ACTIONS,
+        RESPONSES,
+        BINARY,
+        validateMessage,
+        isFinalResponse,
+        encodeBinary,
+        decodeBinary
+    };
+});
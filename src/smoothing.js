@@ -0,0 +1,330 @@
+/**
+ * Cursor Smoothing Pipeline
+ * Turns the raw screen target of each camera frame into a steady cursor
+ * position. Loaded by the panel as a plain script (window.FaceControlSmoothing)
+ * and by the Node tests (require('../src/smoothing')), so the tests run the
+ * exact code the panel does.
+ *
+ * A pipeline is a chain of stages. Each stage takes a sample
+ * { x, y, t, vx, vy } (pixels, ms, px/s) and returns the next one:
+ *
+ *   median             median of the last few targets - drops single-frame outliers
+ *   kalman             1D Kalman filter per axis
+ *   adaptive           exponential smoothing that loosens as the head speeds up (sets vx/vy)
+ *   bezier             eases the output towards the smoothed point along a curve
+ *   oneEuro            One Euro filter (Casiez et al. 2012): low cutoff when still, high when moving
+ *   doubleExponential  Holt's double exponential smoothing: level + trend, little lag on pans
+ *
+ * Stages read their settings from the config object on every sample, so a
+ * settings slider can change them while tracking.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.FaceControlSmoothing = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Used for any setting missing from the config
+    const DEFAULTS = {
+        // median
+        medianSize: 8,
+        // kalman: measurement noise and process noise
+        kalmanMeasureNoise: 0.1,
+        kalmanProcessNoise: 0.01,
+        // adaptive: base factor (lower = smoother), how much speed (px/s) loosens it, and its limits
+        baseSmoothFactor: 0.06,
+        velocityInfluence: 0.002,
+        minSmoothFactor: 0.02,
+        maxSmoothFactor: 0.20,
+        // bezier: how far towards the smoothed point per frame, and how much velocity bends the curve
+        outputLerp: 0.1,
+        bezierFactor: 0.3,
+        // oneEuro: cutoff in Hz when still, how fast it opens up with speed, cutoff of the speed estimate
+        oneEuroMinCutoff: 0.8,
+        oneEuroBeta: 0.005,
+        oneEuroDerivativeCutoff: 1.0,
+        // doubleExponential: level and trend smoothing (0-1, higher = more responsive)
+        desAlpha: 0.25,
+        desTrend: 0.1
+    };
+
+    // Ready-made pipelines offered in the panel settings
+    const FILTERS = {
+        layered: ['median', 'kalman', 'adaptive', 'bezier'],
+        oneEuro: ['oneEuro'],
+        doubleExponential: ['doubleExponential']
+    };
+
+    function option(config, name) {
+        return config[name] !== undefined ? config[name] : DEFAULTS[name];
+    }
+
+    function lerp(start, end, factor) {
+        return start + (end - start) * factor;
+    }
+
+    function median(values) {
+        if (values.length === 0) return 0;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    // Quadratic bezier from p0 to p2 with control point p1
+    function bezier(p0, p1, p2, t) {
+        const oneMinusT = 1 - t;
+        return oneMinusT * oneMinusT * p0 + 2 * oneMinusT * t * p1 + t * t * p2;
+    }
+
+    // Every stage: push(sample) -> sample, reset(x, y, t) starts over at a point (no arguments = empty)
+
+    function medianStage(config) {
+        let bufferX = [];
+        let bufferY = [];
+
+        return {
+            push(sample) {
+                const size = option(config, 'medianSize');
+                bufferX.push(sample.x);
+                bufferY.push(sample.y);
+                while (bufferX.length > size) bufferX.shift();
+                while (bufferY.length > size) bufferY.shift();
+                return { ...sample, x: median(bufferX), y: median(bufferY) };
+            },
+            reset() {
+                bufferX = [];
+                bufferY = [];
+            }
+        };
+    }
+
+    function kalmanStage(config) {
+        let axes;
+
+        function axis(estimate) {
+            return { estimate, errorEstimate: 1 };
+        }
+
+        function update(state, measurement) {
+            if (state.estimate === null) {
+                state.estimate = measurement;
+                return measurement;
+            }
+            // Predict, then correct by the Kalman gain
+            state.errorEstimate += option(config, 'kalmanProcessNoise');
+            const gain = state.errorEstimate / (state.errorEstimate + option(config, 'kalmanMeasureNoise'));
+            state.estimate += gain * (measurement - state.estimate);
+            state.errorEstimate *= 1 - gain;
+            return state.estimate;
+        }
+
+        const stage = {
+            push(sample) {
+                return { ...sample, x: update(axes.x, sample.x), y: update(axes.y, sample.y) };
+            },
+            reset(x = null, y = null) {
+                axes = { x: axis(x), y: axis(y) };
+            }
+        };
+        stage.reset();
+        return stage;
+    }
+
+    function adaptiveStage(config) {
+        let velocityX = 0;
+        let velocityY = 0;
+        let lastX = null;
+        let lastY = null;
+        let lastTime = 0;
+        let smoothX = null;
+        let smoothY = null;
+
+        return {
+            push(sample) {
+                // Speed estimate, itself smoothed so one noisy frame doesn't loosen the filter
+                if (lastX !== null && lastTime > 0) {
+                    const dt = (sample.t - lastTime) / 1000;
+                    if (dt > 0) {
+                        velocityX = lerp(velocityX, (sample.x - lastX) / dt, 0.3);
+                        velocityY = lerp(velocityY, (sample.y - lastY) / dt, 0.3);
+                    }
+                }
+                lastX = sample.x;
+                lastY = sample.y;
+                lastTime = sample.t;
+
+                // Faster head = higher factor = more responsive
+                const speed = Math.sqrt(velocityX * velocityX + velocityY * velocityY);
+                const factor = Math.max(
+                    option(config, 'minSmoothFactor'),
+                    Math.min(option(config, 'maxSmoothFactor'), option(config, 'baseSmoothFactor') + speed * option(config, 'velocityInfluence'))
+                );
+
+                if (smoothX === null) {
+                    smoothX = sample.x;
+                    smoothY = sample.y;
+                }
+                smoothX += (sample.x - smoothX) * factor;
+                smoothY += (sample.y - smoothY) * factor;
+
+                return { ...sample, x: smoothX, y: smoothY, vx: velocityX, vy: velocityY };
+            },
+            reset(x = null, y = null, t = 0) {
+                velocityX = 0;
+                velocityY = 0;
+                lastX = x;
+                lastY = y;
+                lastTime = t;
+                smoothX = x;
+                smoothY = y;
+            }
+        };
+    }
+
+    function bezierStage(config) {
+        let outputX = null;
+        let outputY = null;
+
+        return {
+            push(sample) {
+                if (outputX === null) {
+                    outputX = sample.x;
+                    outputY = sample.y;
+                }
+
+                // Control point: midway, pushed ahead by the velocity
+                const controlX = (outputX + sample.x) / 2 + sample.vx * option(config, 'bezierFactor');
+                const controlY = (outputY + sample.y) / 2 + sample.vy * option(config, 'bezierFactor');
+                outputX = bezier(outputX, controlX, sample.x, option(config, 'outputLerp'));
+                outputY = bezier(outputY, controlY, sample.y, option(config, 'outputLerp'));
+
+                return { ...sample, x: outputX, y: outputY };
+            },
+            reset(x = null, y = null) {
+                outputX = x;
+                outputY = y;
+            }
+        };
+    }
+
+    function oneEuroStage(config) {
+        let last = null; // { x, y, dx, dy, t }
+
+        // Smoothing factor of a low-pass filter with this cutoff (Hz) over dt seconds
+        function alpha(cutoff, dt) {
+            const tau = 1 / (2 * Math.PI * cutoff);
+            return 1 / (1 + tau / dt);
+        }
+
+        function filterAxis(value, previous, previousSpeed, dt) {
+            const speed = lerp(previousSpeed, (value - previous) / dt, alpha(option(config, 'oneEuroDerivativeCutoff'), dt));
+            const cutoff = option(config, 'oneEuroMinCutoff') + option(config, 'oneEuroBeta') * Math.abs(speed);
+            return { value: lerp(previous, value, alpha(cutoff, dt)), speed };
+        }
+
+        return {
+            push(sample) {
+                if (!last) {
+                    last = { x: sample.x, y: sample.y, dx: 0, dy: 0, t: sample.t };
+                    return { ...sample, vx: 0, vy: 0 };
+                }
+
+                const dt = (sample.t - last.t) / 1000;
+                // Same timestamp twice: nothing new to filter
+                if (dt <= 0) return { ...sample, x: last.x, y: last.y, vx: last.dx, vy: last.dy };
+
+                const x = filterAxis(sample.x, last.x, last.dx, dt);
+                const y = filterAxis(sample.y, last.y, last.dy, dt);
+                last = { x: x.value, y: y.value, dx: x.speed, dy: y.speed, t: sample.t };
+                return { ...sample, x: x.value, y: y.value, vx: x.speed, vy: y.speed };
+            },
+            reset(x = null, y = null, t = 0) {
+                last = x === null ? null : { x, y, dx: 0, dy: 0, t };
+            }
+        };
+    }
+
+    function doubleExponentialStage(config) {
+        let level = null; // { x, y }
+        let trend = { x: 0, y: 0 };
+
+        function updateAxis(axis, value) {
+            const alpha = option(config, 'desAlpha');
+            const beta = option(config, 'desTrend');
+            const previous = level[axis];
+            level[axis] = alpha * value + (1 - alpha) * (previous + trend[axis]);
+            trend[axis] = beta * (level[axis] - previous) + (1 - beta) * trend[axis];
+        }
+
+        return {
+            push(sample) {
+                if (!level) {
+                    level = { x: sample.x, y: sample.y };
+                } else {
+                    updateAxis('x', sample.x);
+                    updateAxis('y', sample.y);
+                }
+                return { ...sample, x: level.x, y: level.y };
+            },
+            reset(x = null, y = null) {
+                level = x === null ? null : { x, y };
+                trend = { x: 0, y: 0 };
+            }
+        };
+    }
+
+    const STAGES = {
+        median: medianStage,
+        kalman: kalmanStage,
+        adaptive: adaptiveStage,
+        bezier: bezierStage,
+        oneEuro: oneEuroStage,
+        doubleExponential: doubleExponentialStage
+    };
+
+    /**
+     * @param {string|string[]} filter - A FILTERS name, or stage names in order
+     * @param {object} [config] - Stage settings (see DEFAULTS), read on every sample
+     * @returns {{filter: string|string[], push: function(number, number, number): {x: number, y: number, vx: number, vy: number}, reset: function(number=, number=, number=): void}}
+     */
+    function createSmoothingPipeline(filter = 'layered', config = {}) {
+        const names = Array.isArray(filter) ? filter : FILTERS[filter];
+        if (!names) throw new Error(`Unknown smoothing filter: ${filter}`);
+
+        const stages = names.map((name) => {
+            if (!STAGES[name]) throw new Error(`Unknown smoothing stage: ${name}`);
+            return STAGES[name](config);
+        });
+
+        return {
+            filter,
+
+            // Raw target (px) at time t (ms) -> smoothed position
+            push(x, y, t) {
+                let sample = { x, y, t, vx: 0, vy: 0 };
+                for (const stage of stages) sample = stage.push(sample);
+                return sample;
+            },
+
+            // Start over holding (x, y) at time t, e.g. after calibration; no arguments = forget everything
+            reset(x, y, t) {
+                for (const stage of stages) {
+                    if (x === undefined) {
+                        stage.reset();
+                    } else {
+                        stage.reset(x, y, t);
+                    }
+                }
+            }
+        };
+    }
+
+    return {
+        DEFAULTS,
+        FILTERS,
+        STAGES,
+        createSmoothingPipeline
+    };
+});
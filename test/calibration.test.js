@@ -0,0 +1,103 @@
+/**
+ * Multi-point calibration tests
+ * A simulated user turns their head to look at each target; the fit must
+ * map their poses back onto the targets. Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { LIMITS, calibrationTargets, summarizeSamples, fitCalibration, mapPose, shiftMap } = require('../src/calibration');
+
+// A user with limited, uneven neck rotation: 8° to the left, 15° to the right, 6° up, 12° down - not linear
+function userPose({ x, y }) {
+    const yaw = x < 0.5 ? -8 * Math.pow((0.5 - x) / 0.4, 1.3) : 15 * Math.pow((x - 0.5) / 0.4, 0.8);
+    const pitch = y < 0.5 ? -6 * ((0.5 - y) / 0.4) : 12 * Math.pow((y - 0.5) / 0.4, 1.2);
+    return { yaw, pitch };
+}
+
+function calibrate(count, { spread = 0.3, wobble = () => ({ yaw: 0, pitch: 0 }) } = {}) {
+    return calibrationTargets(count).map((target, i) => {
+        const pose = userPose(target);
+        const off = wobble(i);
+        return { target, yaw: pose.yaw + off.yaw, pitch: pose.pitch + off.pitch, spread };
+    });
+}
+
+test('target layouts start in the middle and span the display', () => {
+    for (const count of [5, 9]) {
+        const targets = calibrationTargets(count);
+        assert.strictEqual(targets.length, count);
+        assert.deepStrictEqual(targets[0], { x: 0.5, y: 0.5 });
+        assert.strictEqual(Math.min(...targets.map(t => t.x)), 0.1);
+        assert.strictEqual(Math.max(...targets.map(t => t.y)), 0.9);
+    }
+    assert.throws(() => calibrationTargets(4), /No 4-point calibration layout/);
+});
+
+test('summarizes a target\'s samples by their median and spread', () => {
+    const samples = [10, 10.2, 9.8, 10.1, 9.9, 30].map(yaw => ({ yaw, pitch: 2 }));
+    const summary = summarizeSamples(samples);
+    // One glance away doesn't move the median
+    assert.ok(Math.abs(summary.yaw - 10.05) < 1e-9);
+    assert.strictEqual(summary.pitch, 2);
+    assert.ok(summary.spread > LIMITS.maxSpread);
+    assert.strictEqual(summarizeSamples(samples.slice(0, LIMITS.minSamples - 1)), null);
+});
+
+for (const count of [5, 9]) {
+    test(`${count} points: the user's own range of motion reaches every target`, () => {
+        const fit = fitCalibration(calibrate(count));
+        assert.ok(!fit.error, fit.error);
+        for (const target of calibrationTargets(count)) {
+            const mapped = mapPose(fit, userPose(target));
+            assert.ok(Math.hypot(mapped.x - target.x, mapped.y - target.y) < 1e-9, JSON.stringify({ target, mapped }));
+        }
+        assert.deepStrictEqual(fit.badPoints, []);
+        assert.ok(fit.quality >= 85, `quality ${fit.quality}`);
+    });
+}
+
+test('uneven reach: a small turn left and a bigger turn right both reach their edge', () => {
+    const fit = fitCalibration(calibrate(9));
+    // Just past the outer targets the mapping keeps going - the edges are reachable
+    assert.ok(mapPose(fit, { yaw: -10, pitch: 0 }).x < 0.1);
+    assert.ok(mapPose(fit, { yaw: 18, pitch: 0 }).x > 0.9);
+    // Halfway toward each side lands between the middle and the outer target
+    const left = mapPose(fit, { yaw: -4, pitch: 0 }).x;
+    const right = mapPose(fit, { yaw: 7.5, pitch: 0 }).x;
+    assert.ok(left > 0.1 && left < 0.5 && right > 0.5 && right < 0.9, `${left}, ${right}`);
+});
+
+test('a wobbly or misread point is flagged for a retry and lowers the quality', () => {
+    const clean = fitCalibration(calibrate(9));
+    // Point 3 (top right) was read 6° low: the user glanced away
+    const misread = fitCalibration(calibrate(9, { wobble: i => (i === 3 ? { yaw: 0, pitch: 6 } : { yaw: 0, pitch: 0 }) }));
+    assert.ok(misread.badPoints.includes(3), JSON.stringify(misread.badPoints));
+    assert.ok(misread.quality < clean.quality);
+
+    const shaky = fitCalibration(calibrate(9, { spread: 2 }));
+    assert.strictEqual(shaky.badPoints.length, 9);
+    assert.ok(shaky.quality < clean.quality);
+});
+
+test('no usable fit when the head did not turn between targets', () => {
+    const still = calibrationTargets(9).map(target => ({ target, yaw: 0.2 * target.x, pitch: 5 * target.y, spread: 0.2 }));
+    assert.match(fitCalibration(still).error, /left and right/);
+
+    const backwards = calibrate(5).map(point => ({ ...point, pitch: -point.pitch }));
+    assert.match(fitCalibration(backwards).error, /top and bottom/);
+});
+
+test('a shifted mapping puts the same targets under the moved head', () => {
+    const fit = fitCalibration(calibrate(9));
+    const shifted = shiftMap(fit, 4, -2);
+    assert.strictEqual(shifted.quality, fit.quality);
+    for (const target of calibrationTargets(9)) {
+        const pose = userPose(target);
+        const mapped = mapPose(shifted, { yaw: pose.yaw + 4, pitch: pose.pitch - 2 });
+        assert.ok(Math.hypot(mapped.x - target.x, mapped.y - target.y) < 1e-9, JSON.stringify({ target, mapped }));
+    }
+    // The original is untouched
+    assert.notStrictEqual(shifted.x, fit.x);
+    assert.strictEqual(fit.x.knots[1].input, userPose({ x: 0.5, y: 0.5 }).yaw);
+});
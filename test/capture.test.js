@@ -0,0 +1,71 @@
+/**
+ * Capture pool tests
+ * Stand-in workers: one that dies while loading, like one with a broken Jimp
+ * install, and one that crashes on every task. Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createCaptureService } = require('../facecontrol-backend/capture');
+
+const driver = { name: 'virtual', getScreenSize: () => ({ width: 100, height: 100 }) };
+
+const WORKERS = {
+    broken: "throw new Error(\"Cannot find module 'jimp'\");",
+    crashing: `
+        import { parentPort } from 'worker_threads';
+        parentPort.postMessage({ ready: true, canCapture: true });
+        parentPort.on('message', () => process.exit(3));
+    `
+};
+
+// Worker script as a data: URL (test/ files would be run as tests themselves)
+function workerFile(name) {
+    return new URL(`data:text/javascript,${encodeURIComponent(WORKERS[name])}`);
+}
+
+// The pool's workers and timers don't keep the process alive - the server does that
+function keepAlive() {
+    const timer = setInterval(() => {}, 1000);
+    return () => clearInterval(timer);
+}
+
+test('workers that never start are retried a few times, then queued work fails', async () => {
+    const logError = console.error;
+    const errors = [];
+    console.error = (...args) => errors.push(args.join(' '));
+    const service = createCaptureService({ driver, size: 1, workerFile: workerFile('broken'), respawnDelay: 5 });
+    const release = keepAlive();
+    try {
+        await assert.rejects(service.encodeImage('aGk='), /Capture workers failed to start 5 times/);
+        assert.match(service.stats().failed, /failed to start/);
+        assert.strictEqual(service.stats().workers, 0);
+        // No more restarts, and new work fails straight away
+        await assert.rejects(service.encodeImage('aGk='), /failed to start/);
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.strictEqual(service.stats().workers, 0);
+        // One load error per attempt, and the message giving up
+        assert.strictEqual(errors.filter(line => line.includes('Capture Worker Error')).length, 5);
+    } finally {
+        console.error = logError;
+        service.close();
+        release();
+    }
+});
+
+test('a worker that crashes after starting fails its task and is replaced', async () => {
+    const logError = console.error;
+    console.error = () => {};
+    const service = createCaptureService({ driver, size: 1, workerFile: workerFile('crashing') });
+    const release = keepAlive();
+    try {
+        await assert.rejects(service.encodeImage('aGk='), /Capture worker exited \(3\)/);
+        await assert.rejects(service.encodeImage('aGk='), /Capture worker exited \(3\)/);
+        assert.strictEqual(service.stats().workers, 1);
+        assert.strictEqual(service.stats().failed, null);
+    } finally {
+        console.error = logError;
+        service.close();
+        release();
+    }
+});
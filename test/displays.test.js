@@ -0,0 +1,53 @@
+/**
+ * Display lookup tests
+ * A primary display with a second one to its left, at a negative offset
+ * and lower down, and xrandr output for a HiDPI laptop with a rotated
+ * monitor and a projector. Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { getDesktopBounds, displayAt, parseXrandr } = require('../facecontrol-backend/displays');
+
+const DISPLAYS = [
+    { id: 0, name: 'Primary', primary: true, x: 0, y: 0, width: 1920, height: 1080, scale: 1 },
+    { id: 1, name: 'Left', primary: false, x: -1280, y: 200, width: 1280, height: 1024, scale: 1 }
+];
+
+test('finds the display under a point, secondary and negative offsets included', () => {
+    assert.strictEqual(displayAt(DISPLAYS, 960, 540).id, 0);
+    assert.strictEqual(displayAt(DISPLAYS, -640, 700).id, 1);
+    // The edge pixels belong to their display
+    assert.strictEqual(displayAt(DISPLAYS, -1, 200).id, 1);
+    assert.strictEqual(displayAt(DISPLAYS, 0, 1079).id, 0);
+});
+
+test('a point outside every display goes to the nearest one', () => {
+    // Above the left display, in the gap the desktop rectangle includes
+    assert.strictEqual(displayAt(DISPLAYS, -640, 50).id, 1);
+    assert.strictEqual(displayAt(DISPLAYS, 2500, 500).id, 0);
+    assert.deepStrictEqual(getDesktopBounds(DISPLAYS), { x: -1280, y: 0, width: 3200, height: 1224 });
+});
+
+const XRANDR = `Screen 0: minimum 320 x 200, current 5000 x 1920, maximum 16384 x 16384
+eDP-1 connected primary 2560x1600+0+0 (normal left inverted right x axis y axis) 286mm x 179mm
+   2560x1600     60.00*+
+HDMI-1 connected 1080x1920+2560+0 left (normal left inverted right x axis y axis) 527mm x 296mm
+   1920x1080     60.00*+
+DP-1 connected 1920x1080+3640+0 (normal left inverted right x axis y axis) 1600mm x 900mm
+DP-2 disconnected (normal left inverted right x axis y axis)`;
+
+test('xrandr: the scale comes from the physical size, or is unknown', () => {
+    const displays = parseXrandr(XRANDR);
+    assert.deepStrictEqual(displays.map(d => d.name), ['eDP-1', 'HDMI-1', 'DP-1']);
+    assert.deepStrictEqual(displays[0], { name: 'eDP-1', primary: true, width: 2560, height: 1600, x: 0, y: 0, scale: 2.25 });
+    // Rotated: pixels swapped, millimetres not - still an ordinary 96 dpi-ish monitor
+    assert.deepStrictEqual([displays[1].width, displays[1].height, displays[1].x, displays[1].scale], [1080, 1920, 2560, 1]);
+    // A projector reporting its aspect ratio (x 100) as millimetres
+    assert.strictEqual(displays[2].scale, null);
+    assert.strictEqual(parseXrandr('VGA-1 connected 1024x768+0+0 (normal) 0mm x 0mm')[0].scale, null);
+});
+
+test('xrandr: Xft.dpi sets the scale of every display', () => {
+    assert.deepStrictEqual(parseXrandr(XRANDR, 144).map(d => d.scale), [1.5, 1.5, 1.5]);
+});
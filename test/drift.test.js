@@ -0,0 +1,107 @@
+/**
+ * Drift correction tests
+ * Simulated sessions at 30 fps: a resting posture that wanders, holds while
+ * pointing at something, and head movement. Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULTS, createDriftCorrector } = require('../src/drift');
+
+const FRAME_MS = 33;
+
+// Small deterministic tremor, as the pose estimate has
+function tremor(i) {
+    return 0.2 * Math.sin(i * 1.7) * Math.cos(i * 0.31);
+}
+
+// Feed pose(t) from start to end ms; returns the last offset
+function run(corrector, start, end, pose) {
+    let offset = corrector.offset;
+    for (let t = start, i = 0; t < end; t += FRAME_MS, i++) {
+        const { yaw, pitch } = pose(t);
+        offset = corrector.update({ yaw: yaw + tremor(i), pitch: pitch + tremor(i + 7) }, t);
+    }
+    return offset;
+}
+
+test('follows a resting posture that wanders away from the calibration', () => {
+    const corrector = createDriftCorrector();
+    // Over 5 minutes the user ends up resting 5° to the right and 3° down;
+    // every 20 s they look at something up and left for 3 s
+    const minutes = 5 * 60000;
+    const offset = run(corrector, 0, minutes, (t) => {
+        if (t % 20000 > 17000) return { yaw: -15, pitch: -10 };
+        return { yaw: 5 * t / minutes, pitch: 3 * t / minutes };
+    });
+    // Then rests another half minute in the new posture
+    const settled = run(corrector, minutes, minutes + 30000, () => ({ yaw: 5, pitch: 3 }));
+
+    assert.ok(Math.hypot(offset.yaw - 5, offset.pitch - 3) < 2.5, `after the drift: ${JSON.stringify(offset)}`);
+    assert.ok(Math.hypot(settled.yaw - 5, settled.pitch - 3) < 1, `after resting: ${JSON.stringify(settled)}`);
+});
+
+test('holding the head turned toward something leaves the neutral alone', () => {
+    const corrector = createDriftCorrector();
+    run(corrector, 0, 10000, () => ({ yaw: 0, pitch: 0 }));
+    const offset = run(corrector, 10000, 70000, () => ({ yaw: 12, pitch: -4 }));
+    assert.ok(Math.hypot(offset.yaw, offset.pitch) < 0.05, JSON.stringify(offset));
+});
+
+test('a short hold near the middle barely moves it', () => {
+    const corrector = createDriftCorrector();
+    const offset = run(corrector, 0, 5000, () => ({ yaw: 4, pitch: 0 }));
+    // Nothing for the first stillMs, then a slow follow
+    assert.ok(offset.yaw > 0 && offset.yaw < 0.5, JSON.stringify(offset));
+});
+
+test('moving the head is not resting', () => {
+    const corrector = createDriftCorrector();
+    // Looking around ±5° every couple of seconds
+    const offset = run(corrector, 0, 60000, t => ({ yaw: 5 * Math.sin(t / 300), pitch: 3 * Math.cos(t / 450) }));
+    assert.ok(Math.hypot(offset.yaw, offset.pitch) < 0.1, JSON.stringify(offset));
+});
+
+test('the correction is capped', () => {
+    const corrector = createDriftCorrector();
+    // Slowly slumping 25° over 20 minutes
+    const offset = run(corrector, 0, 20 * 60000, t => ({ yaw: 0, pitch: 25 * t / (20 * 60000) }));
+    assert.ok(Math.abs(Math.hypot(offset.yaw, offset.pitch) - DEFAULTS.maxDrift) < 1e-9, JSON.stringify(offset));
+});
+
+test('reset() forgets the drift and reset(yaw, pitch) recenters on that pose', () => {
+    const corrector = createDriftCorrector();
+    run(corrector, 0, 60000, () => ({ yaw: 3, pitch: 0 }));
+    assert.ok(corrector.offset.yaw > 1);
+
+    corrector.reset(-7, 2);
+    assert.deepStrictEqual(corrector.offset, { yaw: -7, pitch: 2 });
+    // Resting on the recentered pose keeps it there
+    const offset = run(corrector, 60000, 90000, () => ({ yaw: -7, pitch: 2 }));
+    assert.ok(Math.hypot(offset.yaw + 7, offset.pitch - 2) < 0.2, JSON.stringify(offset));
+
+    corrector.reset();
+    assert.deepStrictEqual(corrector.offset, { yaw: 0, pitch: 0 });
+});
+
+test('settings are read live from the config object', () => {
+    const config = { timeConstant: 1e12 };
+    const corrector = createDriftCorrector(config);
+    const frozen = run(corrector, 0, 20000, () => ({ yaw: 3, pitch: 0 }));
+    assert.ok(frozen.yaw < 1e-6);
+    config.timeConstant = 1000;
+    const quick = run(corrector, 20000, 30000, () => ({ yaw: 3, pitch: 0 }));
+    assert.ok(quick.yaw > 2.9, JSON.stringify(quick));
+});
+
+test('a joystick hold just outside its dead zone is not taken for the neutral', () => {
+    // The panel keeps the joystick's nearNeutral inside its 4° dead zone
+    const deadZone = 4;
+    const corrector = createDriftCorrector({ nearNeutral: deadZone * 0.75 });
+    // Steering slowly at 4.5° for a minute
+    const offset = run(corrector, 0, 60000, () => ({ yaw: 4.5, pitch: 1 }));
+    assert.ok(Math.hypot(offset.yaw, offset.pitch) < 0.05, JSON.stringify(offset));
+    // With the default nearNeutral the same hold would be absorbed, and the cursor stop
+    const absorbed = run(createDriftCorrector(), 0, 60000, () => ({ yaw: 4.5, pitch: 1 }));
+    assert.ok(absorbed.yaw > 1, JSON.stringify(absorbed));
+});
@@ -0,0 +1,134 @@
+/**
+ * Gesture threshold tests
+ * Simulated gesture calibrations for different faces: typical, drooping
+ * eyelids, one eye that doesn't close fully, a mouth that rests open.
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_THRESHOLDS, deriveThresholds, isValidThresholds, setTrigger, updateEyes } = require('../src/gestures');
+
+// Frames around a face's values, with a little deterministic noise
+function samples({ left, right, mouth }, count = 45) {
+    return Array.from({ length: count }, (_, i) => {
+        const noise = Math.sin(i * 2.3) * Math.cos(i * 0.7);
+        return { left: left + noise * 0.01, right: right - noise * 0.01, mouth: mouth + noise * 1.5 };
+    });
+}
+
+// A face's calibration: relaxed, eyes closed, mouth open
+function calibrate(face) {
+    return deriveThresholds({
+        rest: samples({ left: face.open, right: face.rightOpen || face.open, mouth: face.mouthRest }),
+        eyesClosed: samples({ left: face.closed, right: face.rightClosed || face.closed, mouth: face.mouthRest }),
+        mouthOpen: samples({ left: face.open, right: face.rightOpen || face.open, mouth: face.mouthOpen })
+    });
+}
+
+test('a typical face gets thresholds close to the old fixed ones', () => {
+    const { thresholds, error } = calibrate({ open: 0.3, closed: 0.06, mouthRest: 4, mouthOpen: 30 });
+    assert.ok(!error, error);
+    assert.ok(isValidThresholds(thresholds));
+    assert.ok(Math.abs(thresholds.leftClosed - DEFAULT_THRESHOLDS.leftClosed) < 0.03, JSON.stringify(thresholds));
+    assert.ok(Math.abs(thresholds.mouthOpen - DEFAULT_THRESHOLDS.mouthOpen) < 5, JSON.stringify(thresholds));
+});
+
+test('drooping eyelids: the open eye no longer counts as closed', () => {
+    // Open at 0.16 is below the fixed 0.15/0.2 band's open side - constant false winks
+    const { thresholds, error } = calibrate({ open: 0.16, closed: 0.05, mouthRest: 4, mouthOpen: 30 });
+    assert.ok(!error, error);
+    assert.ok(thresholds.leftClosed < 0.14 && thresholds.leftOpen < 0.16, JSON.stringify(thresholds));
+    assert.ok(thresholds.leftClosed > 0.07, JSON.stringify(thresholds));
+});
+
+test('each eye gets its own thresholds', () => {
+    const { thresholds, error } = calibrate({ open: 0.3, closed: 0.06, rightOpen: 0.22, rightClosed: 0.12, mouthRest: 4, mouthOpen: 30 });
+    assert.ok(!error, error);
+    assert.ok(thresholds.rightClosed > thresholds.leftClosed, JSON.stringify(thresholds));
+    assert.ok(thresholds.rightClosed > 0.12 && thresholds.rightOpen < 0.22, JSON.stringify(thresholds));
+});
+
+test('a mouth that rests open triggers further out, and releases with hysteresis', () => {
+    const { thresholds, error } = calibrate({ open: 0.3, closed: 0.06, mouthRest: 18, mouthOpen: 45 });
+    assert.ok(!error, error);
+    // The resting mouth (and its noise) stays below both thresholds
+    assert.ok(thresholds.mouthClosed > 18 + 1.5, JSON.stringify(thresholds));
+    assert.ok(thresholds.mouthOpen > thresholds.mouthClosed && thresholds.mouthOpen < 45, JSON.stringify(thresholds));
+});
+
+test('a step that looks like the resting face is refused', () => {
+    assert.match(calibrate({ open: 0.3, closed: 0.28, mouthRest: 4, mouthOpen: 30 }).error, /left eye/);
+    assert.match(calibrate({ open: 0.3, closed: 0.06, rightClosed: 0.29, mouthRest: 4, mouthOpen: 30 }).error, /right eye/);
+    assert.match(calibrate({ open: 0.3, closed: 0.06, mouthRest: 4, mouthOpen: 9 }).error, /mouth wider/);
+    const short = deriveThresholds({ rest: samples({ left: 0.3, right: 0.3, mouth: 4 }, 3), eyesClosed: [], mouthOpen: [] });
+    assert.match(short.error, /Face not found/);
+});
+
+test('saved thresholds are checked before use', () => {
+    assert.ok(isValidThresholds(DEFAULT_THRESHOLDS));
+    assert.ok(!isValidThresholds(null));
+    assert.ok(!isValidThresholds({ ...DEFAULT_THRESHOLDS, rightOpen: undefined }));
+    assert.ok(!isValidThresholds({ ...DEFAULT_THRESHOLDS, leftClosed: 0.3 }));
+    assert.ok(!isValidThresholds({ ...DEFAULT_THRESHOLDS, mouthClosed: 20 }));
+});
+
+test('fine-tuning a trigger keeps its release gap', () => {
+    const base = { ...DEFAULT_THRESHOLDS, mouthClosed: 11 };
+    const eye = setTrigger(base, 'right', 0.1);
+    assert.strictEqual(eye.rightClosed, 0.1);
+    assert.strictEqual(eye.rightOpen, 0.15);
+    assert.strictEqual(eye.leftClosed, base.leftClosed);
+
+    const mouth = setTrigger(base, 'mouth', 25);
+    assert.deepStrictEqual([mouth.mouthOpen, mouth.mouthClosed], [25, 21]);
+    assert.ok(isValidThresholds(mouth));
+    // The original is untouched
+    assert.strictEqual(base.mouthOpen, 15);
+});
+
+test('the mouth slider at its minimum keeps a usable release', () => {
+    // A calibrated gap wider than the slider's lowest trigger (5)
+    const { thresholds } = calibrate({ open: 0.3, closed: 0.06, mouthRest: 4, mouthOpen: 40 });
+    assert.ok(thresholds.mouthOpen - thresholds.mouthClosed > 5, JSON.stringify(thresholds));
+    const lowest = setTrigger(thresholds, 'mouth', 5);
+    assert.strictEqual(lowest.mouthOpen, 5);
+    assert.ok(lowest.mouthClosed > 0 && lowest.mouthClosed < 5, JSON.stringify(lowest));
+    assert.ok(isValidThresholds(lowest));
+});
+
+// Feed left-eye levels (right eye open throughout) from open eyes; returns the frames that winked
+function leftWinks(thresholds, lefts) {
+    let eyes = { left: true, right: true };
+    return lefts.filter((left) => {
+        eyes = updateEyes(eyes, { left, right: 0.3 }, thresholds);
+        return eyes.leftWink;
+    });
+}
+
+test('an eye closing gradually through the release gap still winks', () => {
+    const { thresholds } = calibrate({ open: 0.3, closed: 0.06, mouthRest: 4, mouthOpen: 30 });
+    // 0.18 is between the thresholds: still open, so the close at 0.12 counts
+    assert.deepStrictEqual(leftWinks(thresholds, [0.25, 0.18, 0.12]), [0.12]);
+    assert.deepStrictEqual(leftWinks(DEFAULT_THRESHOLDS, [0.25, 0.18, 0.12]), [0.12]);
+});
+
+test('a closed eye stays closed until it opens past the release threshold', () => {
+    // Hovering around the trigger after a wink doesn't click again
+    assert.deepStrictEqual(leftWinks(DEFAULT_THRESHOLDS, [0.3, 0.12, 0.16, 0.13, 0.18, 0.14]), [0.12]);
+    // Opening properly rearms it
+    assert.deepStrictEqual(leftWinks(DEFAULT_THRESHOLDS, [0.3, 0.12, 0.25, 0.12]), [0.12, 0.12]);
+    // Both eyes closing is a blink, not a wink
+    const blink = updateEyes({ left: true, right: true }, { left: 0.1, right: 0.1 }, DEFAULT_THRESHOLDS);
+    assert.deepStrictEqual(blink, { left: false, right: false, leftWink: false, rightWink: false });
+});
+
+test('an eye lagging a frame behind in a blink is not open enough for a wink', () => {
+    // The right eye is in its release gap: still latched open, but on its way down
+    const lagging = updateEyes({ left: true, right: true }, { left: 0.12, right: 0.17 }, DEFAULT_THRESHOLDS);
+    assert.deepStrictEqual(lagging, { left: false, right: true, leftWink: false, rightWink: false });
+    const closed = updateEyes(lagging, { left: 0.1, right: 0.1 }, DEFAULT_THRESHOLDS);
+    assert.ok(!closed.leftWink && !closed.rightWink, JSON.stringify(closed));
+    // The same close with the right eye wide open is a wink
+    assert.ok(updateEyes({ left: true, right: true }, { left: 0.12, right: 0.25 }, DEFAULT_THRESHOLDS).leftWink);
+});
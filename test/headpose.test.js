@@ -0,0 +1,90 @@
+/**
+ * Head pose tests
+ * Landmarks are made by rotating the face model, placing it in front of a
+ * perspective camera and projecting it, so the true pose is known.
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MODEL_POINTS, DEFAULTS, estimateHeadPose } = require('../src/headpose');
+
+const RADIANS = Math.PI / 180;
+
+// Landmarks of a head at (x, y) mm from the optical axis, distance mm away, turned by yaw/pitch/roll degrees
+function project({ yaw = 0, pitch = 0, roll = 0, x = 0, y = 0, distance = 600 }) {
+    const focal = (DEFAULTS.width / 2) / Math.tan(DEFAULTS.fieldOfView / 2 * RADIANS);
+    // Turning right swings the nose toward the image left; looking down swings it down
+    const a = -yaw * RADIANS;
+    const b = pitch * RADIANS;
+    const c = roll * RADIANS;
+
+    const landmarks = [];
+    for (const { landmark, point } of MODEL_POINTS) {
+        let [px, py, pz] = point;
+        // Roll (about z), then pitch (about x), then yaw (about y)
+        [px, py] = [px * Math.cos(c) - py * Math.sin(c), px * Math.sin(c) + py * Math.cos(c)];
+        [py, pz] = [py * Math.cos(b) - pz * Math.sin(b), py * Math.sin(b) + pz * Math.cos(b)];
+        [px, pz] = [px * Math.cos(a) + pz * Math.sin(a), -px * Math.sin(a) + pz * Math.cos(a)];
+
+        // The model is about 3x life size; the camera looks down -z, y up
+        const depth = distance - pz / 3;
+        landmarks[landmark] = {
+            x: (DEFAULTS.width / 2 + focal * (x + px / 3) / depth) / DEFAULTS.width,
+            y: (DEFAULTS.height / 2 - focal * (y + py / 3) / depth) / DEFAULTS.height,
+            z: 0
+        };
+    }
+    return landmarks;
+}
+
+function assertNear(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${label}: ${actual.toFixed(2)}, expected ${expected} ±${tolerance}`);
+}
+
+test('facing the camera from straight ahead is the zero pose', () => {
+    const pose = estimateHeadPose(project({}));
+    assertNear(pose.yaw, 0, 0.5, 'yaw');
+    assertNear(pose.pitch, 0, 0.5, 'pitch');
+    assertNear(pose.roll, 0, 0.5, 'roll');
+});
+
+test('recovers yaw, pitch and roll with their signs', () => {
+    for (const angles of [{ yaw: 20 }, { yaw: -20 }, { pitch: 15 }, { pitch: -15 }, { roll: 10 }, { roll: -10 }, { yaw: 15, pitch: -10, roll: 5 }]) {
+        const pose = estimateHeadPose(project(angles));
+        for (const axis of ['yaw', 'pitch', 'roll']) {
+            assertNear(pose[axis], angles[axis] || 0, 1, `${JSON.stringify(angles)} ${axis}`);
+        }
+    }
+});
+
+test('swaying sideways or up and down barely changes the angles', () => {
+    const centered = estimateHeadPose(project({ yaw: 10, pitch: 5 }));
+    for (const [x, y] of [[150, 0], [-150, 0], [0, 100], [0, -100], [120, 80]]) {
+        const moved = estimateHeadPose(project({ yaw: 10, pitch: 5, x, y }));
+        // The head moved a quarter of the frame
+        assert.ok(Math.hypot(moved.x - centered.x, moved.y - centered.y) > 0.1);
+        assertNear(moved.yaw, centered.yaw, 0.5, `yaw after moving ${x}, ${y}`);
+        assertNear(moved.pitch, centered.pitch, 0.5, `pitch after moving ${x}, ${y}`);
+    }
+});
+
+test('moving closer or further away changes the scale, not the angles', () => {
+    const near = estimateHeadPose(project({ yaw: -12, pitch: 8, distance: 400 }));
+    const far = estimateHeadPose(project({ yaw: -12, pitch: 8, distance: 900 }));
+    assert.ok(near.scale > far.scale * 2);
+    assertNear(near.yaw, far.yaw, 0.5, 'yaw');
+    assertNear(near.pitch, far.pitch, 0.5, 'pitch');
+    assertNear(near.roll, far.roll, 0.5, 'roll');
+});
+
+test('reports where the head is in the frame', () => {
+    const pose = estimateHeadPose(project({ x: 100, y: -50 }));
+    assert.ok(pose.x > 0.5 && pose.y > 0.5, `${pose.x}, ${pose.y}`);
+});
+
+test('landmarks collapsed onto one point give no pose', () => {
+    const landmarks = [];
+    for (const { landmark } of MODEL_POINTS) landmarks[landmark] = { x: 0.5, y: 0.5, z: 0 };
+    assert.strictEqual(estimateHeadPose(landmarks), null);
+});
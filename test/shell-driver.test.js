@@ -0,0 +1,107 @@
+/**
+ * Shell input driver tests
+ * A fake execFile keeps each xdotool/ydotool process running until the test
+ * finishes it, so the order commands start in is visible. Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createShellDriver } = require('../facecontrol-backend/drivers/shell');
+
+// Stand-in for child_process: started processes wait in `running` until finish() is called
+function fakeChildProcess() {
+    const started = [];
+    const running = [];
+    return {
+        started,
+        execFile(tool, args, options, callback) {
+            started.push(args.join(' '));
+            running.push(callback);
+        },
+        execFileSync(tool, args) {
+            return args[0] === 'getdisplaygeometry' ? '1920 1080\n' : '';
+        },
+        // Finish the oldest running process (there should only ever be one), failed with error if given
+        finish(error = null) {
+            assert.ok(running.length <= 1, `${running.length} processes ran at once`);
+            const callback = running.shift();
+            if (callback) callback(error);
+        },
+        finishAll() {
+            while (running.length > 0) this.finish();
+        }
+    };
+}
+
+test('a click waits for the move before it', () => {
+    const fake = fakeChildProcess();
+    const driver = createShellDriver({ tool: 'xdotool', childProcess: fake });
+
+    driver.moveMouse(100, 200);
+    driver.mouseClick('left');
+    assert.deepStrictEqual(fake.started, ['mousemove 100 200']);
+
+    fake.finishAll();
+    assert.deepStrictEqual(fake.started, ['mousemove 100 200', 'click 1']);
+});
+
+test('presses and releases run in order, one process at a time', () => {
+    const fake = fakeChildProcess();
+    const driver = createShellDriver({ tool: 'ydotool', childProcess: fake });
+
+    driver.mouseToggle('down', 'left');
+    driver.moveMouse(300, 300);
+    driver.mouseToggle('up', 'left');
+    driver.keyToggle('shift', 'down');
+    driver.keyToggle('shift', 'up');
+    fake.finishAll();
+
+    assert.deepStrictEqual(fake.started, [
+        'click 0x40',
+        'mousemove --absolute -x 300 -y 300',
+        'click 0x80',
+        'key 42:1',
+        'key 42:0'
+    ]);
+});
+
+test('only moves waiting next to each other collapse into the latest', () => {
+    const fake = fakeChildProcess();
+    const driver = createShellDriver({ tool: 'xdotool', childProcess: fake });
+
+    driver.moveMouse(1, 1);
+    // Waiting behind the first move: these three become one
+    driver.moveMouse(2, 2);
+    driver.moveMouse(3, 3);
+    driver.moveMouse(4, 4);
+    driver.mouseClick('right');
+    // After the click: not merged into the moves before it
+    driver.moveMouse(5, 5);
+    driver.moveMouse(6, 6);
+    fake.finishAll();
+
+    assert.deepStrictEqual(fake.started, ['mousemove 1 1', 'mousemove 4 4', 'click 3', 'mousemove 6 6']);
+    assert.deepStrictEqual(driver.getMousePos(), { x: 6, y: 6 });
+});
+
+test('a failed command does not stall the ones behind it', () => {
+    const fake = fakeChildProcess();
+    const driver = createShellDriver({ tool: 'xdotool', childProcess: fake });
+    const logError = console.error;
+    console.error = () => {};
+    try {
+        driver.keyTap('z', ['control']);
+        driver.typeString('hi');
+        fake.finish(new Error('Command failed: xdotool key ctrl+z'));
+    } finally {
+        console.error = logError;
+    }
+    fake.finishAll();
+    assert.deepStrictEqual(fake.started, ['key ctrl+z', 'type -- hi']);
+});
+
+test('reports that it cannot capture the screen', () => {
+    const driver = createShellDriver({ tool: 'xdotool', childProcess: fakeChildProcess() });
+    assert.strictEqual(driver.capabilities.capture, false);
+    assert.throws(() => driver.captureScreen(0, 0, 10, 10), /not supported by the xdotool driver/);
+});
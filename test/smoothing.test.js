@@ -0,0 +1,220 @@
+/**
+ * Smoothing pipeline tests
+ * The traces in fixtures/ are synthetic: generated raw cursor targets (a still
+ * head with jitter, a quick turn, a slow pan) as { t, target: [x, y] } frames,
+ * the shape face recordings store too. Each runs through every filter. Face
+ * recordings copied into fixtures/ get the checks that need no known path;
+ * none is checked in yet, and that test reports itself as skipped until one is.
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { FILTERS, createSmoothingPipeline } = require('../src/smoothing');
+
+function loadTrace(name) {
+    const trace = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.json`), 'utf8'));
+    return trace.frames.filter(frame => frame.target);
+}
+
+// Smoothed positions for every frame of a trace
+function run(pipeline, frames) {
+    return frames.map(({ t, target }) => {
+        const { x, y } = pipeline.push(target[0], target[1], t);
+        return { t, x, y };
+    });
+}
+
+// Mean distance moved per frame - what the user sees as jitter
+function meanStep(points) {
+    let total = 0;
+    for (let i = 1; i < points.length; i++) {
+        total += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    }
+    return total / (points.length - 1);
+}
+
+// First time from which the output stays within radius of (x, y)
+function settleTime(points, x, y, radius) {
+    let settledAt = null;
+    for (const point of points) {
+        if (Math.hypot(point.x - x, point.y - y) <= radius) {
+            if (settledAt === null) settledAt = point.t;
+        } else {
+            settledAt = null;
+        }
+    }
+    return settledAt;
+}
+
+// The chain as it was inlined in index.js before the pipeline existed, as the reference for 'layered'
+function legacyLayered(frames) {
+    const config = { baseSmoothFactor: 0.06, velocityInfluence: 0.002, maxSmoothFactor: 0.20, minSmoothFactor: 0.02, outputLerp: 0.1, bezierFactor: 0.3 };
+    const lerp = (a, b, f) => a + (b - a) * f;
+    const median = (values) => {
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    };
+    const kalman = (measurement, k) => {
+        if (k.estimate === null) {
+            k.estimate = measurement;
+            return measurement;
+        }
+        k.errorEstimate += k.q;
+        const gain = k.errorEstimate / (k.errorEstimate + k.errorMeasure);
+        k.estimate = k.estimate + gain * (measurement - k.estimate);
+        k.errorEstimate = (1 - gain) * k.errorEstimate;
+        return k.estimate;
+    };
+
+    const bufferX = [];
+    const bufferY = [];
+    const kalmanX = { estimate: null, errorEstimate: 1, errorMeasure: 0.1, q: 0.01 };
+    const kalmanY = { estimate: null, errorEstimate: 1, errorMeasure: 0.1, q: 0.01 };
+    let velocityX = 0, velocityY = 0, lastX = null, lastY = null, lastTime = 0;
+    let smoothX = null, smoothY = null, outputX = null, outputY = null;
+
+    return frames.map(({ t, target }) => {
+        bufferX.push(target[0]);
+        bufferY.push(target[1]);
+        if (bufferX.length > 8) bufferX.shift();
+        if (bufferY.length > 8) bufferY.shift();
+        const kx = kalman(median(bufferX), kalmanX);
+        const ky = kalman(median(bufferY), kalmanY);
+
+        if (lastX !== null && lastTime > 0) {
+            const dt = (t - lastTime) / 1000;
+            if (dt > 0) {
+                velocityX = lerp(velocityX, (kx - lastX) / dt, 0.3);
+                velocityY = lerp(velocityY, (ky - lastY) / dt, 0.3);
+            }
+        }
+        lastX = kx;
+        lastY = ky;
+        lastTime = t;
+
+        const speed = Math.sqrt(velocityX * velocityX + velocityY * velocityY);
+        const factor = Math.max(config.minSmoothFactor, Math.min(config.maxSmoothFactor, config.baseSmoothFactor + speed * config.velocityInfluence));
+        if (smoothX === null) {
+            smoothX = outputX = kx;
+            smoothY = outputY = ky;
+        }
+        smoothX += (kx - smoothX) * factor;
+        smoothY += (ky - smoothY) * factor;
+
+        const controlX = (outputX + smoothX) / 2 + velocityX * config.bezierFactor;
+        const controlY = (outputY + smoothY) / 2 + velocityY * config.bezierFactor;
+        const bez = (p0, p1, p2, f) => (1 - f) * (1 - f) * p0 + 2 * (1 - f) * f * p1 + f * f * p2;
+        outputX = bez(outputX, controlX, smoothX, config.outputLerp);
+        outputY = bez(outputY, controlY, smoothY, config.outputLerp);
+        return { t, x: outputX, y: outputY };
+    });
+}
+
+// Every trace in fixtures/ - a face recording dropped in there is picked up as well
+const traceNames = fs.readdirSync(path.join(__dirname, 'fixtures')).filter(file => file.endsWith('.json')).map(file => path.basename(file, '.json'));
+
+// Face recordings (src/index.js FACE_RECORDING_FORMAT) among them: real head movement
+const recordingNames = traceNames.filter((name) => {
+    const trace = JSON.parse(fs.readFileSync(path.join(__dirname, 'fixtures', `${name}.json`), 'utf8'));
+    return trace.format === 'facecontrol-face-recording';
+});
+
+const still = loadTrace('still-jitter');
+const saccade = loadTrace('saccade');
+const pan = loadTrace('slow-pan');
+
+test('layered filter reproduces the original inline chain exactly', () => {
+    for (const frames of [still, saccade, pan]) {
+        assert.deepStrictEqual(run(createSmoothingPipeline('layered'), frames), legacyLayered(frames));
+    }
+});
+
+for (const filter of Object.keys(FILTERS)) {
+    test(`${filter}: removes most jitter when the head is still`, () => {
+        const raw = still.map(({ t, target }) => ({ t, x: target[0], y: target[1] }));
+        const smoothed = run(createSmoothingPipeline(filter), still);
+        assert.ok(meanStep(smoothed) < meanStep(raw) / 4, `${meanStep(smoothed).toFixed(2)}px/frame vs ${meanStep(raw).toFixed(2)} raw`);
+        // Never wanders off the held point
+        for (const point of smoothed) {
+            assert.ok(Math.hypot(point.x - 960, point.y - 540) < 20, `at t=${point.t}: ${point.x.toFixed(1)}, ${point.y.toFixed(1)}`);
+        }
+    });
+
+    test(`${filter}: settles on the new point after a quick head turn`, () => {
+        const smoothed = run(createSmoothingPipeline(filter), saccade);
+        const settledAt = settleTime(smoothed, 1300, 700, 20);
+        assert.ok(settledAt !== null, 'never settled');
+        // The turn ends at t=1150
+        assert.ok(settledAt - 1150 < 1500, `settled ${settledAt - 1150}ms after the turn`);
+    });
+
+    test(`${filter}: follows a slow pan`, () => {
+        const smoothed = run(createSmoothingPipeline(filter), pan);
+        // Past the start-up, the cursor stays close behind the head
+        for (const point of smoothed.filter(p => p.t > 1000)) {
+            const lag = (400 + point.t / 3) - point.x;
+            assert.ok(Math.abs(lag) < 100, `at t=${point.t} the cursor is ${lag.toFixed(0)}px behind`);
+            assert.ok(Math.abs(point.y - 500) < 15);
+        }
+    });
+
+    test(`${filter}: same trace, same output`, () => {
+        for (const name of traceNames) {
+            const frames = loadTrace(name);
+            const smoothed = run(createSmoothingPipeline(filter), frames);
+            assert.ok(smoothed.every(point => Number.isFinite(point.x) && Number.isFinite(point.y)), `${name}: non-finite output`);
+            assert.deepStrictEqual(run(createSmoothingPipeline(filter), frames), smoothed, name);
+        }
+    });
+
+    test(`${filter}: smooths recorded head movement`, { skip: recordingNames.length === 0 && 'no face recording in test/fixtures yet' }, () => {
+        for (const name of recordingNames) {
+            const frames = loadTrace(name);
+            assert.ok(frames.length > 30, `${name}: only ${frames.length} frames with a target`);
+            const raw = frames.map(({ t, target }) => ({ t, x: target[0], y: target[1] }));
+            const smoothed = run(createSmoothingPipeline(filter), frames);
+            // Smoothing takes the jitter out: the cursor travels less than the raw target
+            assert.ok(meanStep(smoothed) < meanStep(raw), `${name}: ${meanStep(smoothed).toFixed(2)}px/frame vs ${meanStep(raw).toFixed(2)} raw`);
+        }
+    });
+
+    test(`${filter}: reset(x, y, t) holds the cursor at that point`, () => {
+        const pipeline = createSmoothingPipeline(filter);
+        run(pipeline, saccade);
+        pipeline.reset(100, 200, 5000);
+        const { x, y } = pipeline.push(100, 200, 5033);
+        assert.ok(Math.hypot(x - 100, y - 200) < 1e-9, `${x}, ${y}`);
+    });
+
+    test(`${filter}: reset() forgets the previous trace`, () => {
+        const pipeline = createSmoothingPipeline(filter);
+        run(pipeline, saccade);
+        pipeline.reset();
+        assert.deepStrictEqual(run(pipeline, pan), run(createSmoothingPipeline(filter), pan));
+    });
+}
+
+test('settings are read live from the config object', () => {
+    const config = {};
+    const pipeline = createSmoothingPipeline('doubleExponential', config);
+    pipeline.push(0, 0, 0);
+    config.desAlpha = 1;
+    config.desTrend = 0;
+    assert.strictEqual(pipeline.push(50, 0, 33).x, 50);
+});
+
+test('a custom stage list builds a pipeline', () => {
+    const pipeline = createSmoothingPipeline(['median', 'oneEuro']);
+    const smoothed = run(pipeline, still);
+    assert.strictEqual(smoothed.length, still.length);
+    assert.ok(smoothed.every(point => Number.isFinite(point.x) && Number.isFinite(point.y)));
+});
+
+test('unknown filters and stages are rejected', () => {
+    assert.throws(() => createSmoothingPipeline('wobbly'), /Unknown smoothing filter: wobbly/);
+    assert.throws(() => createSmoothingPipeline(['median', 'wobbly']), /Unknown smoothing stage: wobbly/);
+});